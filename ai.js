@@ -0,0 +1,87 @@
+// ai.js - Stratégies de l'IA et niveaux de difficulté
+
+const { getRuleSet, counterMoves } = require("./rules");
+
+// Configuration
+const DEFAULT_STRATEGY = "random";
+
+// Stratégies disponibles, de la plus facile à la plus difficile
+const AI_STRATEGIES = {
+  random: { label: "Aléatoire", difficulty: "Facile" },
+  beat_last: { label: "Contre le dernier coup", difficulty: "Moyen" },
+  frequency: { label: "Compteur de fréquences", difficulty: "Difficile" },
+  markov: { label: "Prédicteur de motifs", difficulty: "Expert" },
+};
+
+function randomMove(moves) {
+  return moves[Math.floor(Math.random() * moves.length)];
+}
+
+// Coup le plus fréquent d'un compteur { coup: nombre }, null si le compteur est vide
+function mostFrequent(counts) {
+  let best = null;
+  Object.keys(counts).forEach((move) => {
+    if ((counts[move] || 0) > 0 && (best === null || counts[move] > counts[best])) {
+      best = move;
+    }
+  });
+  return best;
+}
+
+// Adversaire IA avec mémoire des coups du joueur pendant la session
+class AIOpponent {
+  constructor(strategy = DEFAULT_STRATEGY, ruleSet = getRuleSet()) {
+    if (!AI_STRATEGIES[strategy]) {
+      throw new Error(`Stratégie d'IA inconnue : ${strategy}`);
+    }
+    this.strategy = strategy;
+    this.ruleSet = ruleSet;
+    this.history = []; // Coups joués par le joueur
+    this.frequencies = {}; // Nombre de fois où chaque coup a été joué
+    this.transitions = {}; // Coup suivant observé après chaque coup
+  }
+
+  // Prédiction du prochain coup du joueur (null si aucune information)
+  predict() {
+    const lastMove = this.history[this.history.length - 1];
+
+    switch (this.strategy) {
+      case "beat_last":
+        return lastMove || null;
+      case "frequency":
+        return mostFrequent(this.frequencies);
+      case "markov":
+        // Sans transition connue, se rabattre sur les fréquences
+        return (lastMove && mostFrequent(this.transitions[lastMove] || {})) || mostFrequent(this.frequencies);
+      default:
+        return null;
+    }
+  }
+
+  // Choix du coup de l'IA pour la prochaine manche
+  nextMove() {
+    const prediction = this.predict();
+    if (!prediction) return randomMove(this.ruleSet.moves);
+
+    // Jouer l'un des coups qui battent le coup prédit
+    return randomMove(counterMoves(this.ruleSet, prediction));
+  }
+
+  // Mémoriser le coup joué par le joueur
+  observe(playerMove) {
+    const lastMove = this.history[this.history.length - 1];
+    if (lastMove) {
+      this.transitions[lastMove] = this.transitions[lastMove] || {};
+      this.transitions[lastMove][playerMove] = (this.transitions[lastMove][playerMove] || 0) + 1;
+    }
+    this.frequencies[playerMove] = (this.frequencies[playerMove] || 0) + 1;
+    this.history.push(playerMove);
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  AI_STRATEGIES,
+  DEFAULT_STRATEGY,
+  AIOpponent,
+};
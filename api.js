@@ -0,0 +1,393 @@
+// api.js - API REST servie sur le même port que le serveur WebSocket
+
+const path = require("path");
+const express = require("express");
+const { AuthManager, authMiddleware, adminMiddleware, clientInfo } = require("./auth");
+const { ModerationManager, describeBan } = require("./moderation");
+const { logger } = require("./logger");
+const { registry } = require("./metrics");
+
+// Configuration
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null; // Si défini, exigé par /metrics (Authorization: Bearer)
+
+// Création de l'application HTTP (client du jeu et routes /api)
+// `onSessionsRevoked` ferme les connexions WebSocket des sessions révoquées par l'API,
+// `admin` donne aux routes /api/admin l'accès aux joueurs et aux parties en cours
+function createApiApp({ matchHistory, getRanking, getPlayerRating, userExists, onSessionsRevoked, admin }) {
+  const app = express();
+  app.use(express.json());
+
+  // Le client est servi directement par le serveur de jeu
+  app.get(["/", "/index.html"], (req, res) => {
+    res.sendFile(path.join(__dirname, "index.html"));
+  });
+
+  // Mesures au format Prometheus
+  app.get("/metrics", (req, res) => {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+      return res.status(401).json({ message: "Authentification requise" });
+    }
+    res.type("text/plain; version=0.0.4").send(registry.render());
+  });
+
+  // Inscription d'un nouvel utilisateur
+  app.post("/api/register", async (req, res) => {
+    const { username, email, password } = req.body || {};
+    if (!username || !email || !password) {
+      return res.status(400).json({ message: "Nom d'utilisateur, email et mot de passe requis" });
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.register(username, email, password, clientInfo(req));
+      res.status(result.status).json({
+        message: result.message,
+        username: result.data.username,
+        token: result.data.token,
+        refreshToken: result.data.refreshToken,
+        emailVerified: result.data.emailVerified,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Connexion
+  app.post("/api/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ message: "Nom d'utilisateur et mot de passe requis" });
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.login(username, password, clientInfo(req));
+      res.status(result.status).json({
+        message: result.message,
+        username: result.data.username,
+        token: result.data.token,
+        refreshToken: result.data.refreshToken,
+        emailVerified: result.data.emailVerified,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Nouveau token d'accès en échange du jeton de rafraîchissement (qui est remplacé)
+  app.post("/api/refresh", async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Jeton de rafraîchissement requis" });
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.refresh(refreshToken, clientInfo(req));
+      res.status(result.status).json({
+        message: result.message,
+        username: result.data.username,
+        token: result.data.token,
+        refreshToken: result.data.refreshToken,
+      });
+    } catch (error) {
+      if (error.revokedSessionIds) onSessionsRevoked(error.revokedSessionIds);
+      sendError(res, error);
+    }
+  });
+
+  // Vérification de l'adresse e-mail avec le lien reçu
+  app.post("/api/verify-email", async (req, res) => {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ message: "Lien de vérification requis" });
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.verifyEmail(token);
+      res.status(result.status).json({ message: result.message });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Demande d'un lien de réinitialisation du mot de passe
+  app.post("/api/forgot-password", async (req, res) => {
+    const { email } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ message: "Adresse e-mail requise" });
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.requestPasswordReset(String(email).trim());
+      res.status(result.status).json({ message: result.message });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Nouveau mot de passe avec le lien reçu (toutes les sessions sont fermées)
+  app.post("/api/reset-password", async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ message: "Lien de réinitialisation et mot de passe requis" });
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.resetPassword(token, password);
+      onSessionsRevoked(result.data.sessionIds);
+      res.status(result.status).json({ message: result.message });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Déconnexion (révocation du token utilisé pour la requête)
+  app.post("/api/logout", authMiddleware, async (req, res) => {
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.logout(req.headers.authorization.split(" ")[1]);
+      onSessionsRevoked([result.data.sessionId]);
+      res.status(result.status).json({ message: result.message });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Classement général et classement contre l'IA
+  app.get("/api/leaderboard", async (req, res) => {
+    try {
+      res.json(await getRanking());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Profil public d'un utilisateur
+  app.get("/api/users/:name", authMiddleware, async (req, res) => {
+    try {
+      if (!(await userExists(req.params.name))) {
+        return res.status(404).json({ message: "Utilisateur introuvable" });
+      }
+
+      const [result, rating] = await Promise.all([
+        matchHistory.getProfile(req.params.name),
+        getPlayerRating(req.params.name),
+      ]);
+      res.json({ ...result.data, rating });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Historique paginé des matchs d'un utilisateur (?page=1&pageSize=10)
+  app.get("/api/users/:name/matches", authMiddleware, async (req, res) => {
+    try {
+      const result = await matchHistory.getHistory(req.params.name, req.query.page, req.query.pageSize, {
+        viewer: req.user.username,
+        isAdmin: req.user.role === "admin",
+      });
+      res.json(result.data);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Détail d'un match avec ses manches
+  app.get("/api/matches/:id", authMiddleware, async (req, res) => {
+    try {
+      const result = await matchHistory.getMatch(req.params.id, {
+        username: req.user.username,
+        isAdmin: req.user.role === "admin",
+      });
+      res.json(result.data);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Administration : toutes les routes suivantes sont réservées aux comptes administrateurs
+  app.use("/api/admin", adminMiddleware);
+
+  // Joueurs connectés (toutes instances) et joueurs en attente de reconnexion
+  app.get("/api/admin/players", async (req, res) => {
+    try {
+      res.json(await admin.listPlayers());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Matchs en cours sur l'instance qui répond, parties privées en attente sur toutes les instances
+  app.get("/api/admin/matches", async (req, res) => {
+    try {
+      res.json(await admin.listMatches());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Exclure un joueur connecté : sa connexion est fermée et son match abandonné
+  app.post("/api/admin/players/:name/kick", async (req, res) => {
+    const { reason } = req.body || {};
+    const message = `Vous avez été exclu par un administrateur${reason ? ` : ${reason}` : "."}`;
+
+    try {
+      if (!(await admin.kickPlayer(req.params.name, message))) {
+        return res.status(404).json({ message: "Ce joueur n'est pas connecté" });
+      }
+      logger.info("Joueur exclu par un administrateur", { admin: req.user.username, player: req.params.name });
+      res.json({ message: "Joueur exclu" });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get("/api/admin/bans", async (req, res) => {
+    try {
+      const result = await new ModerationManager().listBans();
+      res.json(result.data);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Bannir un joueur pour `minutes` minutes, ou définitivement sans durée.
+  // Ses sessions sont révoquées et il est exclu s'il est connecté.
+  app.post("/api/admin/players/:name/ban", async (req, res) => {
+    const { minutes = null, reason = null } = req.body || {};
+
+    try {
+      const result = await new ModerationManager().ban(req.params.name, {
+        minutes,
+        reason: reason ? String(reason).slice(0, 500) : null,
+        bannedBy: req.user.username,
+      });
+      if (result.data.userId) {
+        await new AuthManager().revokeAllSessions(result.data.userId, "banned");
+      }
+      await admin.kickPlayer(req.params.name, describeBan(result.data));
+
+      logger.info("Joueur banni", {
+        admin: req.user.username,
+        player: req.params.name,
+        expiresAt: result.data.expiresAt,
+      });
+      res.status(result.status).json({ message: result.message, ban: result.data });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.delete("/api/admin/players/:name/ban", async (req, res) => {
+    try {
+      const result = await new ModerationManager().lift(req.params.name, req.user.username);
+      logger.info("Bannissement levé", { admin: req.user.username, player: req.params.name });
+      res.status(result.status).json({ message: result.message });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Corriger le classement : { rating } pour une valeur absolue, { delta } pour un ajustement
+  app.patch("/api/admin/players/:name/rating", async (req, res) => {
+    const { rating, delta } = req.body || {};
+
+    try {
+      const result = await new ModerationManager().adjustRating(req.params.name, { rating, delta });
+      admin.onRankingChanged();
+      logger.info("Classement modifié", { admin: req.user.username, player: req.params.name, rating: result.data.rating });
+      res.status(result.status).json({ message: result.message, player: result.data });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Remettre le classement d'un joueur à sa valeur initiale
+  app.delete("/api/admin/players/:name/rating", async (req, res) => {
+    try {
+      const result = await new ModerationManager().resetRating(req.params.name);
+      admin.onRankingChanged();
+      logger.info("Classement réinitialisé", { admin: req.user.username, player: req.params.name });
+      res.status(result.status).json({ message: result.message, player: result.data });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Donner ou retirer le rôle administrateur ({ role: "admin" | "player" })
+  app.put("/api/admin/users/:name/role", async (req, res) => {
+    const { role } = req.body || {};
+    if (req.params.name === req.user.username) {
+      return res.status(400).json({ message: "Vous ne pouvez pas modifier votre propre rôle" });
+    }
+
+    try {
+      const result = await new ModerationManager().setRole(req.params.name, role);
+      logger.info("Rôle modifié", { admin: req.user.username, user: req.params.name, role });
+      res.status(result.status).json({ message: result.message, user: result.data });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Fermer une partie privée en attente de son invité
+  app.delete("/api/admin/private-games/:id", async (req, res) => {
+    try {
+      if (!(await admin.closePrivateGame(req.params.id, "Votre partie privée a été fermée par un administrateur."))) {
+        return res.status(404).json({ message: "Partie privée introuvable" });
+      }
+      logger.info("Partie privée fermée par un administrateur", { admin: req.user.username, gameId: req.params.id });
+      res.json({ message: "Partie privée fermée" });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Annonce envoyée à toutes les connexions, sur toutes les instances
+  app.post("/api/admin/announcements", async (req, res) => {
+    const message = String((req.body || {}).message || "").trim();
+    if (!message) {
+      return res.status(400).json({ message: "Message requis" });
+    }
+
+    try {
+      await admin.announce(message.slice(0, 500));
+      logger.info("Annonce envoyée", { admin: req.user.username, announcement: message });
+      res.status(201).json({ message: "Annonce envoyée" });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.use("/api", (req, res) => {
+    res.status(404).json({ message: "Route inconnue" });
+  });
+
+  // Corps de requête illisible ou erreur inattendue
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    sendError(res, {
+      status: err.status || 500,
+      message: err.expose ? err.message : "Erreur interne du serveur",
+      error: err,
+    });
+  });
+
+  return app;
+}
+
+// Réponse d'erreur à partir des rejets { status, message, error } des gestionnaires
+function sendError(res, error) {
+  if (error.error) logger.error(error);
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status || 500).json({ message: error.message || "Erreur interne du serveur" });
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  createApiApp,
+};
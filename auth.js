@@ -1,198 +1,573 @@
 // auth.js - Gestion de l'authentification et des comptes utilisateurs
 
-const sqlite3 = require("sqlite3").verbose();
 const bcrypt = require("bcrypt"); // Vous devrez installer ce package: npm install bcrypt
 const jwt = require("jsonwebtoken"); // Vous devrez installer ce package: npm install jsonwebtoken
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
+const { run, get, all } = require("./database");
+const { Mailer } = require("./mailer");
+const { LoginThrottle } = require("./ratelimit");
+const { ModerationManager } = require("./moderation");
+const { metrics } = require("./metrics");
+const { logger } = require("./logger");
 
 // Configuration
 const JWT_SECRET = process.env.JWT_SECRET || "votre_clé_secrète_jwt"; // À changer en production
 const SALT_ROUNDS = 10;
-const TOKEN_EXPIRY = '7d'; // Durée de validité du token
-
-// Initialisation de la base de données
-const db = new sqlite3.Database("./database.sqlite");
-
-// Création des tables nécessaires
-db.serialize(() => {
-  // Table des utilisateurs
-  db.run(`CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE,
-    email TEXT UNIQUE,
-    password TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    last_login TIMESTAMP
-  )`);
-
-  // Table des sessions
-  db.run(`CREATE TABLE IF NOT EXISTS sessions (
-    token TEXT PRIMARY KEY,
-    user_id TEXT,
-    expires_at TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  )`);
-});
+const SESSION_DAYS = 7; // Durée de validité d'une session sans rafraîchissement
+const ACCESS_TOKEN_EXPIRY = "15m"; // Durée de validité du token d'accès
+const SESSION_CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // Nettoyage des sessions expirées (ms)
+const MIN_PASSWORD_LENGTH = 6;
+const VERIFY_EMAIL_HOURS = 48; // Validité du lien de vérification de l'adresse e-mail
+const RESET_PASSWORD_MINUTES = 60; // Validité du lien de réinitialisation du mot de passe
+// Adresse e-mail : ni espace, ni barre oblique, ni caractère de contrôle
+const EMAIL_PATTERN = /^[^\s@/\\\x00-\x1f\x7f]+@[^\s@/\\\x00-\x1f\x7f]+\.[^\s@/\\\x00-\x1f\x7f]+$/;
+const GUEST_RESERVATION_DAYS = 30; // Un pseudo d'invité reste réservé après sa dernière connexion
+
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY, 10) || 0; // Proxys de confiance (0 : X-Forwarded-For ignoré)
+const LOGIN_THROTTLE_PRUNE_INTERVAL = 10 * 60 * 1000; // Nettoyage des compteurs d'échecs (ms)
+
+const mailer = new Mailer();
+const loginThrottle = new LoginThrottle(); // Échecs de connexion par compte et par adresse IP
 
 // Classe pour gérer l'authentification
 class AuthManager {
   // Inscription d'un nouvel utilisateur
-  async register(username, email, password) {
-    return new Promise((resolve, reject) => {
-      // Vérifier si l'utilisateur existe déjà
-      db.get("SELECT id FROM users WHERE username = ? OR email = ?", [username, email], async (err, row) => {
-        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-        if (row) return reject({ status: 409, message: "Nom d'utilisateur ou email déjà utilisé" });
-
-        try {
-          // Hachage du mot de passe
-          const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
-          const userId = uuidv4();
-
-          // Insertion du nouvel utilisateur
-          db.run(
-            "INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)",
-            [userId, username, email, hashedPassword],
-            (err) => {
-              if (err) return reject({ status: 500, message: "Erreur lors de la création du compte", error: err });
-              
-              // Création du token JWT
-              const token = this.generateToken(userId, username);
-              
-              // Enregistrement de la session
-              this.saveSession(token, userId);
-              
-              resolve({ 
-                status: 201, 
-                message: "Compte créé avec succès", 
-                data: { 
-                  userId, 
-                  username, 
-                  token 
-                } 
-              });
-            }
-          );
-        } catch (error) {
-          reject({ status: 500, message: "Erreur lors du hachage du mot de passe", error });
-        }
-      });
-    });
+  async register(username, email, password, client = {}) {
+    await this.checkAvailable(username, email);
+    await new ModerationManager().checkNotBanned(username);
+
+    // Un pseudo utilisé récemment par un invité lui reste réservé
+    const reservation = await get("SELECT last_seen FROM guest_names WHERE username = ?", [username]);
+    if (reservation && reservation.last_seen > guestReservationCutoff()) {
+      throw { status: 409, message: "Ce pseudo est utilisé par un invité. Choisissez-en un autre." };
+    }
+
+    // Réservation expirée : le pseudo n'est libéré que si l'ancien invité n'a laissé aucun historique,
+    // sinon le nouveau compte hériterait de ses matchs et de ses statistiques
+    const history = await get("SELECT id FROM matches WHERE player1 = ? OR player2 = ? LIMIT 1", [
+      username,
+      username,
+    ]);
+    if (history) {
+      throw { status: 409, message: "Ce pseudo a déjà été utilisé par un invité. Choisissez-en un autre." };
+    }
+    await run("DELETE FROM guest_names WHERE username = ?", [username]);
+    await run("DELETE FROM players WHERE username = ?", [username]);
+    await run("DELETE FROM ai_results WHERE username = ?", [username]);
+
+    return this.createAccount(username, email, password, client);
   }
 
-  // Connexion d'un utilisateur
-  async login(username, password) {
-    return new Promise((resolve, reject) => {
-      db.get("SELECT id, username, password FROM users WHERE username = ?", [username], async (err, user) => {
-        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-        if (!user) return reject({ status: 401, message: "Nom d'utilisateur ou mot de passe incorrect" });
-
-        try {
-          // Vérification du mot de passe
-          const match = await bcrypt.compare(password, user.password);
-          if (!match) return reject({ status: 401, message: "Nom d'utilisateur ou mot de passe incorrect" });
-
-          // Mise à jour de la date de dernière connexion
-          db.run("UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?", [user.id]);
-
-          // Création du token JWT
-          const token = this.generateToken(user.id, user.username);
-          
-          // Enregistrement de la session
-          this.saveSession(token, user.id);
-          
-          resolve({ 
-            status: 200, 
-            message: "Connexion réussie", 
-            data: { 
-              userId: user.id, 
-              username: user.username, 
-              token 
-            } 
-          });
-        } catch (error) {
-          reject({ status: 500, message: "Erreur lors de la vérification du mot de passe", error });
-        }
-      });
+  // Transformer la session d'un invité en compte, en conservant son score et son historique
+  async claimGuest(username, email, password, client = {}) {
+    await this.checkAvailable(username, email);
+    await new ModerationManager().checkNotBanned(username);
+
+    const result = await this.createAccount(username, email, password, client);
+    await run("DELETE FROM guest_names WHERE username = ?", [username]);
+
+    return { ...result, message: "Compte créé, votre score et votre historique sont conservés" };
+  }
+
+  // Réserver le pseudo d'un invité, refusé s'il appartient à un compte inscrit ou s'il est banni
+  async reserveGuestName(username) {
+    await new ModerationManager().checkNotBanned(username);
+
+    const user = await get("SELECT id FROM users WHERE username = ?", [username]);
+    if (user) {
+      throw {
+        status: 409,
+        message: "Ce pseudo appartient à un compte inscrit. Connectez-vous ou choisissez-en un autre.",
+      };
+    }
+
+    const now = new Date().toISOString();
+    await run(
+      `INSERT INTO guest_names (username, created_at, last_seen) VALUES (?, ?, ?)
+       ON CONFLICT (username) DO UPDATE SET last_seen = excluded.last_seen`,
+      [username, now, now]
+    );
+    await run("INSERT OR IGNORE INTO players (username, score) VALUES (?, ?)", [username, 0]);
+    return { status: 200 };
+  }
+
+  // Vérifier que le pseudo et l'adresse e-mail ne sont pas déjà pris par un compte
+  async checkAvailable(username, email) {
+    const existing = await get("SELECT id FROM users WHERE username = ? OR email = ?", [username, email]);
+    if (existing) throw { status: 409, message: "Nom d'utilisateur ou email déjà utilisé" };
+  }
+
+  // Création du compte, de sa ligne de scores (conservée si elle existe) et de la première session
+  async createAccount(username, email, password, client) {
+    if (typeof email !== "string" || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+      throw { status: 400, message: "Adresse e-mail invalide" };
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw { status: 400, message: `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères` };
+    }
+
+    // Hachage du mot de passe
+    let hashedPassword;
+    try {
+      hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    } catch (error) {
+      throw { status: 500, message: "Erreur lors du hachage du mot de passe", error };
+    }
+
+    // Insertion du nouvel utilisateur
+    const userId = uuidv4();
+    await run("INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)", [
+      userId,
+      username,
+      email,
+      hashedPassword,
+    ]).catch((error) => {
+      throw { status: 500, message: "Erreur lors de la création du compte", error: error.error };
     });
+
+    // Ajouter l'utilisateur à la table des scores
+    await run("INSERT OR IGNORE INTO players (username, score) VALUES (?, ?)", [username, 0]);
+
+    const session = await this.createSession(userId, username, client);
+
+    // Un e-mail qui ne part pas ne doit pas empêcher l'inscription : le lien peut être renvoyé
+    await this.sendVerificationEmail(userId).catch((error) => {
+      logger.error("Erreur lors de l'envoi de l'e-mail de vérification", { error: error.error || error });
+    });
+
+    return {
+      status: 201,
+      message: "Compte créé avec succès",
+      data: { userId, username, emailVerified: false, ...session },
+    };
+  }
+
+  // Connexion d'un utilisateur, bloquée temporairement après trop d'échecs
+  async login(username, password, client = {}) {
+    const retryAfter = loginThrottle.retryAfter(client.ip, username);
+    if (retryAfter) {
+      metrics.authFailures.inc(1, { reason: "throttled" });
+      throw {
+        status: 429,
+        message: `Trop de tentatives de connexion. Réessayez dans ${Math.ceil(retryAfter / 60)} min.`,
+        retryAfter,
+      };
+    }
+
+    const user = await get("SELECT id, username, password, email_verified_at FROM users WHERE username = ?", [
+      username,
+    ]);
+    if (!user) {
+      loginThrottle.recordFailure(client.ip, username);
+      metrics.authFailures.inc(1, { reason: "invalid_credentials" });
+      throw { status: 401, message: "Nom d'utilisateur ou mot de passe incorrect" };
+    }
+
+    // Vérification du mot de passe
+    let match;
+    try {
+      match = await bcrypt.compare(password, user.password);
+    } catch (error) {
+      throw { status: 500, message: "Erreur lors de la vérification du mot de passe", error };
+    }
+    if (!match) {
+      loginThrottle.recordFailure(client.ip, username);
+      metrics.authFailures.inc(1, { reason: "invalid_credentials" });
+      throw { status: 401, message: "Nom d'utilisateur ou mot de passe incorrect" };
+    }
+    loginThrottle.recordSuccess(username);
+
+    // Un joueur banni ne l'apprend qu'avec le bon mot de passe
+    await new ModerationManager().checkNotBanned(user.username);
+
+    // Mise à jour de la date de dernière connexion
+    await run("UPDATE users SET last_login = ? WHERE id = ?", [new Date().toISOString(), user.id]);
+
+    const session = await this.createSession(user.id, user.username, client);
+
+    return {
+      status: 200,
+      message: "Connexion réussie",
+      data: {
+        userId: user.id,
+        username: user.username,
+        emailVerified: Boolean(user.email_verified_at),
+        ...session,
+      },
+    };
   }
 
-  // Déconnexion d'un utilisateur
+  // Déconnexion d'un utilisateur (révocation de la session du token, même expiré)
   async logout(token) {
-    return new Promise((resolve, reject) => {
-      db.run("DELETE FROM sessions WHERE token = ?", [token], (err) => {
-        if (err) return reject({ status: 500, message: "Erreur lors de la déconnexion", error: err });
-        resolve({ status: 200, message: "Déconnexion réussie" });
-      });
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+      throw { status: 401, message: "Token invalide", error };
+    }
+
+    await run(
+      "UPDATE sessions SET revoked_at = ?, revoked_reason = 'logout' WHERE id = ? AND revoked_at IS NULL",
+      [new Date().toISOString(), decoded.sid]
+    ).catch((error) => {
+      throw { status: 500, message: "Erreur lors de la déconnexion", error: error.error };
     });
+    return { status: 200, message: "Déconnexion réussie", data: { sessionId: decoded.sid } };
   }
 
-  // Vérification d'un token
+  // Vérification d'un token d'accès
   async verifyToken(token) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Vérifier si le token est valide
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Vérifier si la session existe toujours
-        db.get("SELECT user_id FROM sessions WHERE token = ? AND expires_at > CURRENT_TIMESTAMP", [token], (err, session) => {
-          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-          if (!session) return reject({ status: 401, message: "Session expirée ou invalide" });
-          
-          // Récupérer les informations de l'utilisateur
-          db.get("SELECT id, username FROM users WHERE id = ?", [session.user_id], (err, user) => {
-            if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-            if (!user) return reject({ status: 401, message: "Utilisateur introuvable" });
-            
-            resolve({ 
-              status: 200, 
-              data: { 
-                userId: user.id, 
-                username: user.username 
-              } 
-            });
-          });
-        });
-      } catch (error) {
-        reject({ status: 401, message: "Token invalide", error });
-      }
-    });
+    // Vérifier si le token est valide
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      // Un token expiré est attendu : le client le remplace avec son jeton de rafraîchissement
+      if (!(error instanceof jwt.TokenExpiredError)) metrics.authFailures.inc(1, { reason: "invalid_token" });
+      throw { status: 401, message: "Token invalide", error };
+    }
+    if (!decoded.sid) {
+      metrics.authFailures.inc(1, { reason: "invalid_token" });
+      throw { status: 401, message: "Token invalide" };
+    }
+
+    // Vérifier que la session n'a pas été révoquée (dates enregistrées au format ISO)
+    const now = new Date().toISOString();
+    const session = await get(
+      "SELECT user_id FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?",
+      [decoded.sid, now]
+    );
+    if (!session) {
+      metrics.authFailures.inc(1, { reason: "invalid_session" });
+      throw { status: 401, message: "Session expirée ou invalide" };
+    }
+
+    // Récupérer les informations de l'utilisateur
+    const user = await get("SELECT id, username, email_verified_at, role FROM users WHERE id = ?", [session.user_id]);
+    if (!user) throw { status: 401, message: "Utilisateur introuvable" };
+
+    // Les sessions sont révoquées au bannissement, mais un bannissement posé autrement doit aussi s'appliquer
+    await new ModerationManager().checkNotBanned(user.username);
+
+    await run("UPDATE sessions SET last_seen = ? WHERE id = ?", [now, decoded.sid]);
+
+    return {
+      status: 200,
+      data: {
+        userId: user.id,
+        username: user.username,
+        emailVerified: Boolean(user.email_verified_at),
+        role: user.role,
+        sessionId: decoded.sid,
+      },
+    };
+  }
+
+  // Échanger un jeton de rafraîchissement contre un nouveau couple de tokens.
+  // Chaque jeton ne sert qu'une fois : présenter un jeton déjà remplacé révoque toute la session.
+  async refresh(refreshToken, client = {}) {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    if (!sessionId || !secret) {
+      metrics.authFailures.inc(1, { reason: "invalid_refresh_token" });
+      throw { status: 401, message: "Jeton de rafraîchissement invalide" };
+    }
+
+    const now = new Date().toISOString();
+    const session = await get(
+      `SELECT sessions.*, users.username, users.email_verified_at FROM sessions
+       JOIN users ON users.id = sessions.user_id
+       WHERE sessions.id = ?`,
+      [sessionId]
+    );
+    if (!session || session.revoked_at || session.expires_at <= now) {
+      metrics.authFailures.inc(1, { reason: "invalid_session" });
+      throw { status: 401, message: "Session expirée ou invalide" };
+    }
+    await new ModerationManager().checkNotBanned(session.username);
+
+    const newSecret = crypto.randomBytes(32).toString("hex");
+    const rotated = sameHash(hashToken(secret), session.refresh_token_hash)
+      ? await run(
+          `UPDATE sessions SET refresh_token_hash = ?, last_seen = ?, expires_at = ?, device = ?, ip = ?
+           WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+          [
+            hashToken(newSecret),
+            now,
+            sessionExpiry(),
+            client.device || session.device,
+            client.ip || session.ip,
+            sessionId,
+            session.refresh_token_hash,
+          ]
+        )
+      : { changes: 0 };
+
+    // Jeton déjà utilisé (ou utilisé deux fois en même temps) : il a pu être volé
+    if (rotated.changes === 0) {
+      await this.revokeSession(session.user_id, sessionId, "reuse").catch(() => {});
+      metrics.authFailures.inc(1, { reason: "refresh_token_reuse" });
+      throw {
+        status: 401,
+        message: "Jeton de rafraîchissement déjà utilisé, la session a été révoquée",
+        revokedSessionIds: [sessionId],
+      };
+    }
+
+    return {
+      status: 200,
+      message: "Session prolongée",
+      data: {
+        userId: session.user_id,
+        username: session.username,
+        emailVerified: Boolean(session.email_verified_at),
+        sessionId,
+        token: this.generateToken(session.user_id, session.username, sessionId),
+        refreshToken: `${sessionId}.${newSecret}`,
+      },
+    };
   }
 
-  // Génération d'un token JWT
-  generateToken(userId, username) {
-    return jwt.sign(
-      { userId, username },
-      JWT_SECRET,
-      { expiresIn: TOKEN_EXPIRY }
+  // Sessions actives d'un utilisateur, la plus récemment utilisée en premier
+  async listSessions(userId) {
+    const rows = await all(
+      `SELECT id, device, ip, created_at, last_seen FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_seen DESC`,
+      [userId, new Date().toISOString()]
     );
+
+    return {
+      status: 200,
+      data: rows.map((row) => ({
+        id: row.id,
+        device: row.device,
+        ip: row.ip,
+        createdAt: row.created_at,
+        lastSeen: row.last_seen,
+      })),
+    };
   }
 
-  // Enregistrement d'une session
-  saveSession(token, userId) {
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 jours de validité
-    
-    db.run(
-      "INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)",
-      [token, userId, expiresAt.toISOString()]
+  // Révoquer une session de l'utilisateur
+  async revokeSession(userId, sessionId, reason = "revoked") {
+    const result = await run(
+      `UPDATE sessions SET revoked_at = ?, revoked_reason = ?
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [new Date().toISOString(), reason, sessionId, userId]
     );
+    if (result.changes === 0) throw { status: 404, message: "Session introuvable" };
+    return { status: 200, message: "Session révoquée", data: { sessionIds: [sessionId] } };
   }
 
-  // Nettoyage des sessions expirées
-  cleanExpiredSessions() {
-    db.run("DELETE FROM sessions WHERE expires_at < CURRENT_TIMESTAMP");
+  // Révoquer toutes les sessions de l'utilisateur (déconnexion partout)
+  async revokeAllSessions(userId, reason = "logout_all") {
+    const rows = await all("SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL", [userId]);
+    await run(
+      "UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL",
+      [new Date().toISOString(), reason, userId]
+    );
+    return {
+      status: 200,
+      message: "Toutes les sessions ont été révoquées",
+      data: { sessionIds: rows.map((row) => row.id) },
+    };
+  }
+
+  // Envoyer un lien de vérification de l'adresse e-mail (remplace le lien précédent)
+  async sendVerificationEmail(userId) {
+    const user = await get("SELECT username, email, email_verified_at FROM users WHERE id = ?", [userId]);
+    if (!user) throw { status: 404, message: "Utilisateur introuvable" };
+    if (user.email_verified_at) throw { status: 409, message: "Adresse e-mail déjà vérifiée" };
+
+    const token = await createEmailToken(userId, "verify_email", VERIFY_EMAIL_HOURS * 60);
+    await mailer.sendVerificationEmail(user.email, user.username, token, VERIFY_EMAIL_HOURS);
+    return { status: 200, message: "Un lien de vérification a été envoyé à votre adresse e-mail" };
+  }
+
+  // Valider l'adresse e-mail avec le lien reçu
+  async verifyEmail(token) {
+    const userId = await consumeEmailToken(token, "verify_email");
+    await run("UPDATE users SET email_verified_at = ? WHERE id = ? AND email_verified_at IS NULL", [
+      new Date().toISOString(),
+      userId,
+    ]);
+    return { status: 200, message: "Adresse e-mail vérifiée", data: { userId } };
+  }
+
+  // Demande de réinitialisation : la réponse ne révèle pas si l'adresse correspond à un compte
+  async requestPasswordReset(email) {
+    const response = {
+      status: 200,
+      message: "Si un compte correspond à cette adresse, un e-mail de réinitialisation vient d'être envoyé",
+    };
+
+    const user = await get("SELECT id, username, email FROM users WHERE email = ?", [email]);
+    if (!user) return response;
+
+    const token = await createEmailToken(user.id, "reset_password", RESET_PASSWORD_MINUTES);
+    await mailer.sendPasswordResetEmail(user.email, user.username, token, RESET_PASSWORD_MINUTES);
+    return response;
+  }
+
+  // Choisir un nouveau mot de passe avec le lien reçu ; toutes les sessions sont fermées
+  async resetPassword(token, password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw { status: 400, message: `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères` };
+    }
+
+    const userId = await consumeEmailToken(token, "reset_password");
+
+    let hashedPassword;
+    try {
+      hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    } catch (error) {
+      throw { status: 500, message: "Erreur lors du hachage du mot de passe", error };
+    }
+
+    // Le lien reçu par e-mail prouve aussi que l'adresse appartient à l'utilisateur
+    await run("UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?", [
+      hashedPassword,
+      new Date().toISOString(),
+      userId,
+    ]);
+
+    const revoked = await this.revokeAllSessions(userId, "password_reset");
+    return {
+      status: 200,
+      message: "Mot de passe modifié, vous pouvez vous reconnecter",
+      data: { userId, sessionIds: revoked.data.sessionIds },
+    };
+  }
+
+  // Génération d'un token d'accès JWT rattaché à sa session
+  generateToken(userId, username, sessionId) {
+    return jwt.sign({ userId, username, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+  }
+
+  // Ouverture d'une session : token d'accès et premier jeton de rafraîchissement
+  async createSession(userId, username, { device = null, ip = null } = {}) {
+    const sessionId = uuidv4();
+    const secret = crypto.randomBytes(32).toString("hex");
+    const now = new Date().toISOString();
+
+    await run(
+      `INSERT INTO sessions (id, user_id, refresh_token_hash, device, ip, created_at, last_seen, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [sessionId, userId, hashToken(secret), device, ip, now, now, sessionExpiry()]
+    );
+
+    return {
+      sessionId,
+      token: this.generateToken(userId, username, sessionId),
+      refreshToken: `${sessionId}.${secret}`,
+    };
+  }
+
+  // Nettoyage des sessions et des liens expirés (les sessions révoquées sont gardées jusqu'à
+  // leur expiration pour reconnaître la réutilisation d'un ancien jeton)
+  async cleanExpiredSessions() {
+    const now = new Date().toISOString();
+    await run("DELETE FROM sessions WHERE expires_at < ?", [now]);
+    await run("DELETE FROM email_tokens WHERE expires_at < ?", [now]);
   }
 }
 
+// Créer un lien à usage unique envoyé par e-mail, en invalidant les liens précédents du même type
+async function createEmailToken(userId, purpose, validMinutes) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + validMinutes * 60 * 1000);
+
+  await run("UPDATE email_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL", [
+    now.toISOString(),
+    userId,
+    purpose,
+  ]);
+  await run(
+    `INSERT INTO email_tokens (token_hash, user_id, purpose, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [hashToken(token), userId, purpose, now.toISOString(), expiresAt.toISOString()]
+  );
+  return token;
+}
+
+// Utiliser un lien reçu par e-mail, retourne l'identifiant de l'utilisateur
+async function consumeEmailToken(token, purpose) {
+  const tokenHash = hashToken(String(token || ""));
+  const now = new Date().toISOString();
+  const invalid = { status: 400, message: "Lien invalide ou expiré" };
+
+  const row = await get(
+    "SELECT user_id FROM email_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?",
+    [tokenHash, purpose, now]
+  );
+  if (!row) throw invalid;
+
+  // Le lien ne sert qu'une fois, même si deux requêtes arrivent en même temps
+  const result = await run("UPDATE email_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL", [
+    now,
+    tokenHash,
+  ]);
+  if (result.changes === 0) throw invalid;
+  return row.user_id;
+}
+
+// Seule l'empreinte des jetons de rafraîchissement et des liens envoyés par e-mail est enregistrée
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function sameHash(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Date avant laquelle la réservation d'un pseudo d'invité est expirée
+function guestReservationCutoff() {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - GUEST_RESERVATION_DAYS);
+  return cutoff.toISOString();
+}
+
+// Expiration glissante : chaque rafraîchissement prolonge la session
+function sessionExpiry() {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + SESSION_DAYS);
+  return expiresAt.toISOString();
+}
+
+// Navigateur et système d'exploitation lisibles à partir du User-Agent
+function describeDevice(userAgent) {
+  if (!userAgent) return "Appareil inconnu";
+
+  const browsers = [["Edge", /Edg\//], ["Opera", /OPR\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]];
+  const systems = [["Windows", /Windows/], ["Android", /Android/], ["iOS", /iPhone|iPad/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent.slice(0, 100);
+  return `${browser ? browser[0] : "Navigateur inconnu"} sur ${system ? system[0] : "système inconnu"}`;
+}
+
+// Appareil et adresse IP d'une requête HTTP (connexion WebSocket ou appel à l'API)
+// L'adresse transmise par X-Forwarded-For n'est retenue que derrière un proxy de confiance :
+// chaque proxy ajoute l'adresse de son client à la fin, les premières valeurs viennent du client lui-même
+function clientInfo(req) {
+  const forwarded = TRUST_PROXY > 0 && req.headers["x-forwarded-for"];
+  const hops = forwarded ? forwarded.split(",").map((address) => address.trim()) : [];
+  const ip = hops.length > 0 ? hops[Math.max(hops.length - TRUST_PROXY, 0)] : req.socket.remoteAddress;
+  return { device: describeDevice(req.headers["user-agent"]), ip: ip || null };
+}
+
 // Middleware pour vérifier l'authentification
 function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
-  
+
   if (!token) {
     return res.status(401).json({ message: "Authentification requise" });
   }
-  
+
   const authManager = new AuthManager();
   authManager.verifyToken(token)
     .then(result => {
@@ -204,14 +579,30 @@ function authMiddleware(req, res, next) {
     });
 }
 
+// Middleware pour les routes réservées aux administrateurs (après l'authentification)
+function adminMiddleware(req, res, next) {
+  authMiddleware(req, res, () => {
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ message: "Accès réservé aux administrateurs" });
+    }
+    next();
+  });
+}
+
 // Nettoyer les sessions expirées périodiquement
 setInterval(() => {
   const authManager = new AuthManager();
-  authManager.cleanExpiredSessions();
-}, 24 * 60 * 60 * 1000); // Une fois par jour
+  authManager
+    .cleanExpiredSessions()
+    .catch((error) => logger.error("Erreur lors du nettoyage des sessions", { error: error.error }));
+}, SESSION_CLEANUP_INTERVAL);
+
+setInterval(() => loginThrottle.prune(), LOGIN_THROTTLE_PRUNE_INTERVAL);
 
 // Exporter les fonctionnalités
 module.exports = {
   AuthManager,
-  authMiddleware
-};
\ No newline at end of file
+  authMiddleware,
+  adminMiddleware,
+  clientInfo,
+};
@@ -0,0 +1,219 @@
+// chat.js - Discussion dans le salon et pendant les matchs, avec modération
+
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { logger } = require("./logger");
+
+// Configuration
+const MAX_MESSAGE_LENGTH = 200;
+const RATE_LIMIT_MESSAGES = 5; // Nombre de messages autorisés...
+const RATE_LIMIT_WINDOW = 10; // ...par fenêtre glissante (secondes)
+const LOBBY_HISTORY_SIZE = 50; // Messages du salon renvoyés à la connexion
+const WORD_LIST_FILE = process.env.CHAT_WORD_LIST || path.join(__dirname, "profanity.txt");
+const CHAT_SCOPES = ["lobby", "match"];
+const RELATION_KINDS = ["mute", "block"]; // Masquer un joueur, ou couper la discussion dans les deux sens
+
+// Mettre un mot sous une forme comparable (minuscules, sans accents)
+function normalizeWord(word) {
+  return word
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Charger la liste des mots interdits (un mot par ligne, lignes commençant par # ignorées)
+function loadWordList(file = WORD_LIST_FILE) {
+  try {
+    return fs
+      .readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"))
+      .map(normalizeWord);
+  } catch (err) {
+    logger.error("Liste de mots interdits illisible", { file, error: err });
+    return [];
+  }
+}
+
+class ChatService {
+  constructor(db, wordList = loadWordList()) {
+    this.db = db;
+    this.bannedWords = new Set(wordList);
+    this.lobbyHistory = [];
+    this.recentMessages = new Map(); // Horodatage des derniers messages de chaque joueur
+    this.relations = new Map(); // username -> { mute: Set, block: Set }
+  }
+
+  // Charger les listes de joueurs masqués et bloqués (en mémoire seulement pour les invités :
+  // celles d'un invité qui revient sont conservées)
+  async loadRelations(username, persistent) {
+    if (!persistent) return this.getRelations(username);
+
+    const relations = { mute: new Set(), block: new Set() };
+    this.relations.set(username, relations);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        "SELECT target, kind FROM chat_relations WHERE username = ?",
+        [username],
+        (err, rows) => {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+          rows.forEach((row) => {
+            if (relations[row.kind]) relations[row.kind].add(row.target);
+          });
+          resolve(relations);
+        }
+      );
+    });
+  }
+
+  getRelations(username) {
+    if (!this.relations.has(username)) {
+      this.relations.set(username, { mute: new Set(), block: new Set() });
+    }
+    return this.relations.get(username);
+  }
+
+  // Ajouter (enabled = true) ou retirer un joueur d'une liste
+  async setRelation(username, target, kind, enabled, persistent) {
+    if (!RELATION_KINDS.includes(kind)) {
+      throw { status: 400, message: "Action de modération inconnue." };
+    }
+    if (!target || target === username) {
+      throw { status: 400, message: "Joueur invalide." };
+    }
+
+    const list = this.getRelations(username)[kind];
+    if (enabled) list.add(target);
+    else list.delete(target);
+
+    if (!persistent) return { status: 200 };
+
+    return new Promise((resolve, reject) => {
+      const query = enabled
+        ? "INSERT OR IGNORE INTO chat_relations (username, target, kind, created_at) VALUES (?, ?, ?, ?)"
+        : "DELETE FROM chat_relations WHERE username = ? AND target = ? AND kind = ?";
+      const params = enabled
+        ? [username, target, kind, new Date().toISOString()]
+        : [username, target, kind];
+
+      this.db.run(query, params, (err) => {
+        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+        resolve({ status: 200 });
+      });
+    });
+  }
+
+  // Enregistrer les listes d'un invité qui vient de créer son compte
+  async persistRelations(username) {
+    const relations = this.getRelations(username);
+    const entries = RELATION_KINDS.flatMap((kind) => [...relations[kind]].map((target) => [target, kind]));
+
+    for (const [target, kind] of entries) {
+      await this.setRelation(username, target, kind, true, true);
+    }
+    return { status: 200 };
+  }
+
+  // Listes du joueur envoyées au client
+  relationsView(username) {
+    const relations = this.getRelations(username);
+    return { muted: [...relations.mute], blocked: [...relations.block] };
+  }
+
+  // Un blocage coupe la discussion dans les deux sens, un masquage seulement pour celui qui l'a choisi
+  canReceive(recipient, sender) {
+    if (recipient === sender) return true;
+    const recipientRelations = this.getRelations(recipient);
+    if (recipientRelations.mute.has(sender) || recipientRelations.block.has(sender)) return false;
+    return !this.getRelations(sender).block.has(recipient);
+  }
+
+  isBlocked(username, other) {
+    return this.getRelations(username).block.has(other) || this.getRelations(other).block.has(username);
+  }
+
+  // Limite de débit par joueur sur une fenêtre glissante
+  isRateLimited(username, now = Date.now()) {
+    const windowStart = now - RATE_LIMIT_WINDOW * 1000;
+    const timestamps = (this.recentMessages.get(username) || []).filter((time) => time > windowStart);
+
+    if (timestamps.length >= RATE_LIMIT_MESSAGES) {
+      this.recentMessages.set(username, timestamps);
+      return true;
+    }
+
+    timestamps.push(now);
+    this.recentMessages.set(username, timestamps);
+    return false;
+  }
+
+  // Remplacer les mots interdits par des astérisques
+  filterProfanity(text) {
+    return text
+      .split(/([\s.,;:!?'’"()«»-]+)/)
+      .map((token) => (this.bannedWords.has(normalizeWord(token)) ? "*".repeat(token.length) : token))
+      .join("");
+  }
+
+  // Valider et préparer un message, lève une erreur si le message est refusé
+  createMessage(username, scope, text) {
+    if (!CHAT_SCOPES.includes(scope)) {
+      throw { status: 400, message: "Canal de discussion inconnu." };
+    }
+
+    const content = String(text || "").trim();
+    if (!content) {
+      throw { status: 400, message: "Le message est vide." };
+    }
+    if (content.length > MAX_MESSAGE_LENGTH) {
+      throw { status: 400, message: `Le message ne doit pas dépasser ${MAX_MESSAGE_LENGTH} caractères.` };
+    }
+    if (this.isRateLimited(username)) {
+      throw { status: 429, message: "Vous envoyez des messages trop rapidement. Patientez un instant." };
+    }
+
+    return {
+      id: uuidv4(),
+      scope,
+      from: username,
+      text: this.filterProfanity(content),
+      sentAt: new Date().toISOString(),
+    };
+  }
+
+  addToLobbyHistory(message) {
+    this.lobbyHistory.push(message);
+    if (this.lobbyHistory.length > LOBBY_HISTORY_SIZE) this.lobbyHistory.shift();
+  }
+
+  // Historique récent du salon visible par un joueur
+  lobbyHistoryFor(username) {
+    return this.lobbyHistory.filter((message) => this.canReceive(username, message.from));
+  }
+
+  // Alléger l'état d'un joueur déconnecté. Ses blocages restent appliqués à l'historique du salon
+  // et sa limite de débit court toujours : se reconnecter ne doit pas la remettre à zéro.
+  forget(username, now = Date.now()) {
+    const relations = this.relations.get(username);
+    if (relations && relations.mute.size === 0 && relations.block.size === 0) {
+      this.relations.delete(username);
+    }
+
+    // Les fenêtres écoulées de tous les joueurs ne servent plus à rien
+    const windowStart = now - RATE_LIMIT_WINDOW * 1000;
+    this.recentMessages.forEach((timestamps, player) => {
+      if (!timestamps.some((time) => time > windowStart)) this.recentMessages.delete(player);
+    });
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  RATE_LIMIT_MESSAGES,
+  RATE_LIMIT_WINDOW,
+  ChatService,
+};
@@ -0,0 +1,216 @@
+// cluster.js - Coordination des instances du serveur : annuaire des joueurs connectés, file d'attente
+// et parties privées partagées, acheminement des messages entre instances.
+// Un match reste hébergé par une seule instance ; les joueurs connectés ailleurs y sont représentés
+// par une RemoteSocket et leurs coups sont relayés par leur propre instance.
+
+const WebSocket = require("ws");
+const { v4: uuidv4 } = require("uuid");
+const { logger } = require("./logger");
+
+// Configuration
+const HEARTBEAT_INTERVAL = 5; // Fréquence du signal de vie de chaque instance (secondes)
+const NODE_TIMEOUT = 15; // Une instance sans signal de vie depuis ce délai est ignorée (secondes)
+
+// Tables de l'état partagé
+const NODES = "nodes"; // instance -> dernier signal de vie
+const PLAYERS = "players"; // joueur -> instance qui détient sa connexion
+const QUEUE = "queue"; // joueur -> demande de partie rapide
+const PRIVATE_GAMES = "private_games"; // partie -> hôte et instance qui l'héberge
+
+// Classe pour la participation d'une instance au cluster
+class Cluster {
+  constructor(store, nodeId = uuidv4()) {
+    this.store = store;
+    this.nodeId = nodeId;
+    this.handlers = new Map(); // événement -> gestionnaire (données, instance d'origine)
+    this.heartbeat = null;
+  }
+
+  async start() {
+    await this.store.connect();
+    await this.store.subscribe(`node:${this.nodeId}`, (message) => this.dispatch(message));
+    await this.store.subscribe("broadcast", (message) => this.dispatch(message));
+    await this.beat();
+    this.heartbeat = setInterval(() => {
+      this.beat().catch((error) => logger.error("Signal de vie non envoyé", { error }));
+    }, HEARTBEAT_INTERVAL * 1000);
+  }
+
+  async stop() {
+    clearInterval(this.heartbeat);
+    await this.store.delete(NODES, this.nodeId);
+    await this.store.close();
+  }
+
+  beat() {
+    return this.store.set(NODES, this.nodeId, Date.now());
+  }
+
+  // Instances ayant donné signe de vie récemment
+  async liveNodes(now = Date.now()) {
+    const nodes = await this.store.getAll(NODES);
+    return new Set(Object.keys(nodes).filter((node) => now - nodes[node] < NODE_TIMEOUT * 1000));
+  }
+
+  // Messages entre instances
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  dispatch({ event, from, payload }) {
+    const handler = this.handlers.get(event);
+    if (!handler) return;
+    Promise.resolve()
+      .then(() => handler(payload, from))
+      .catch((error) => logger.error("Erreur lors du traitement d'un événement du cluster", { event, from, error }));
+  }
+
+  sendTo(node, event, payload) {
+    return this.store
+      .publish(`node:${node}`, { event, from: this.nodeId, payload })
+      .catch((error) => logger.error("Événement non transmis", { event, node, error }));
+  }
+
+  broadcast(event, payload) {
+    return this.store
+      .publish("broadcast", { event, from: this.nodeId, payload })
+      .catch((error) => logger.error("Événement non diffusé", { event, error }));
+  }
+
+  // Annuaire des joueurs connectés
+
+  addPlayer(username) {
+    return this.store.set(PLAYERS, username, this.nodeId);
+  }
+
+  // L'entrée n'est retirée que si elle appartient encore à cette instance (pas de reconnexion ailleurs)
+  async removePlayer(username) {
+    if ((await this.store.get(PLAYERS, username)) === this.nodeId) {
+      await this.store.delete(PLAYERS, username);
+    }
+  }
+
+  // Instance qui détient la connexion d'un joueur (null s'il n'est connecté nulle part)
+  async locatePlayer(username) {
+    const node = await this.store.get(PLAYERS, username);
+    if (!node) return null;
+    return (await this.liveNodes()).has(node) ? node : null;
+  }
+
+  // Joueurs connectés aux instances en vie : joueur -> instance
+  async listPlayers() {
+    const [players, nodes] = await Promise.all([this.store.getAll(PLAYERS), this.liveNodes()]);
+    const live = {};
+    Object.keys(players).forEach((username) => {
+      if (nodes.has(players[username])) live[username] = players[username];
+    });
+    return live;
+  }
+
+  async onlineCount() {
+    const [players, nodes] = await Promise.all([this.store.getAll(PLAYERS), this.liveNodes()]);
+    return Object.values(players).filter((node) => nodes.has(node)).length;
+  }
+
+  // File d'attente des parties rapides : chaque instance y inscrit ses joueurs,
+  // une seule à la fois (celle qui détient le verrou) forme les paires
+
+  queueRecord(entry) {
+    return {
+      username: entry.username,
+      format: entry.format.code,
+      ruleSet: entry.ruleSet.id,
+      rating: entry.rating,
+      joinedAt: entry.joinedAt,
+      node: entry.node || this.nodeId,
+    };
+  }
+
+  enqueue(entry) {
+    return this.store.set(QUEUE, entry.username, this.queueRecord(entry));
+  }
+
+  dequeue(username) {
+    return this.store.delete(QUEUE, username);
+  }
+
+  // Demandes des instances en vie, de la plus ancienne à la plus récente (format et règles par leur code)
+  async queueEntries() {
+    const [queue, nodes] = await Promise.all([this.store.getAll(QUEUE), this.liveNodes()]);
+    return Object.values(queue)
+      .filter((entry) => nodes.has(entry.node))
+      .sort((entry1, entry2) => entry1.joinedAt - entry2.joinedAt);
+  }
+
+  // Retirer une paire de la file ; si l'un des deux n'y est plus, l'autre y est remis et la paire est abandonnée
+  async claimPair(entry1, entry2) {
+    const removed = await Promise.all([this.dequeue(entry1.username), this.dequeue(entry2.username)]);
+    if (removed[0] && removed[1]) return true;
+
+    if (removed[0]) await this.enqueue(entry1);
+    if (removed[1]) await this.enqueue(entry2);
+    return false;
+  }
+
+  acquireLock(name, ttl) {
+    return this.store.acquireLock(name, ttl);
+  }
+
+  releaseLock(name, owner) {
+    return this.store.releaseLock(name, owner);
+  }
+
+  // Parties privées : l'instance de l'hôte héberge la partie, les autres lui transmettent les demandes
+
+  addPrivateGame(gameId, host) {
+    return this.store.set(PRIVATE_GAMES, gameId, { host, node: this.nodeId });
+  }
+
+  removePrivateGame(gameId) {
+    return this.store.delete(PRIVATE_GAMES, gameId);
+  }
+
+  async findPrivateGame(gameId) {
+    const game = await this.store.get(PRIVATE_GAMES, gameId);
+    if (!game) return null;
+    return (await this.liveNodes()).has(game.node) ? game : null;
+  }
+
+  // Parties privées hébergées par les instances en vie : partie -> { host, node }
+  async listPrivateGames() {
+    const [games, nodes] = await Promise.all([this.store.getAll(PRIVATE_GAMES), this.liveNodes()]);
+    const live = {};
+    Object.keys(games).forEach((gameId) => {
+      if (nodes.has(games[gameId].node)) live[gameId] = games[gameId];
+    });
+    return live;
+  }
+}
+
+// Connexion d'un joueur détenue par une autre instance : ce qui lui est envoyé y est acheminé
+class RemoteSocket {
+  constructor(cluster, node, username) {
+    this.cluster = cluster;
+    this.node = node;
+    this.username = username;
+    this.readyState = WebSocket.OPEN;
+  }
+
+  send(data) {
+    if (this.readyState !== WebSocket.OPEN) return;
+    this.cluster.sendTo(this.node, "deliver", { to: this.username, data });
+  }
+
+  close() {
+    if (this.readyState !== WebSocket.OPEN) return;
+    this.readyState = WebSocket.CLOSED;
+    this.cluster.sendTo(this.node, "close_connection", { username: this.username });
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  Cluster,
+  RemoteSocket,
+};
@@ -0,0 +1,323 @@
+// database.js - Connexion SQLite partagée et migrations versionnées du schéma
+
+const sqlite3 = require("sqlite3").verbose();
+const { DEFAULT_RATING } = require("./rating");
+const { logger } = require("./logger");
+
+// Configuration
+const DATABASE_FILE = process.env.DATABASE_FILE || "./database.sqlite";
+
+// Connexion unique utilisée par l'authentification et par le jeu
+const db = new sqlite3.Database(DATABASE_FILE);
+
+// Exécuter une requête d'écriture, retourne { lastID, changes }
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// Lire une seule ligne (undefined si aucune)
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+      resolve(row);
+    });
+  });
+}
+
+// Lire toutes les lignes
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+      resolve(rows);
+    });
+  });
+}
+
+// Ajouter une colonne à une table existante si elle n'existe pas encore
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some((col) => col.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Migrations appliquées dans l'ordre, une seule fois chacune.
+// Les bases créées avant le suivi des versions ont déjà tout ou partie de ce schéma :
+// les migrations 1 à 7 restent donc idempotentes. Les suivantes n'ont pas besoin de l'être.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Comptes et sessions",
+    up: async () => {
+      await run(`CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT UNIQUE,
+        email TEXT UNIQUE,
+        password TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP
+      )`);
+      await run(`CREATE TABLE IF NOT EXISTS sessions (
+        token TEXT PRIMARY KEY,
+        user_id TEXT,
+        expires_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`);
+    },
+  },
+  {
+    version: 2,
+    description: "Scores et historique des matchs",
+    up: async () => {
+      await run(`CREATE TABLE IF NOT EXISTS players (
+        username TEXT PRIMARY KEY,
+        score INTEGER
+      )`);
+      await run(`CREATE TABLE IF NOT EXISTS matches (
+        id TEXT PRIMARY KEY,
+        mode TEXT,
+        format TEXT,
+        player1 TEXT,
+        player2 TEXT,
+        winner TEXT,
+        player1_score INTEGER DEFAULT 0,
+        player2_score INTEGER DEFAULT 0,
+        status TEXT,
+        started_at TIMESTAMP,
+        ended_at TIMESTAMP
+      )`);
+      await run(`CREATE TABLE IF NOT EXISTS rounds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id TEXT,
+        round_number INTEGER,
+        player1_choice TEXT,
+        player2_choice TEXT,
+        winner TEXT,
+        played_at TIMESTAMP,
+        FOREIGN KEY (match_id) REFERENCES matches(id)
+      )`);
+      await run("CREATE INDEX IF NOT EXISTS idx_matches_player1 ON matches (player1, started_at)");
+      await run("CREATE INDEX IF NOT EXISTS idx_matches_player2 ON matches (player2, started_at)");
+      await run("CREATE INDEX IF NOT EXISTS idx_rounds_match ON rounds (match_id, round_number)");
+    },
+  },
+  {
+    version: 3,
+    description: "Stratégie de l'IA et règles du jeu des matchs",
+    up: async () => {
+      await addColumnIfMissing("matches", "ai_strategy", "TEXT");
+      await addColumnIfMissing("matches", "rule_set", "TEXT DEFAULT 'classic'");
+    },
+  },
+  {
+    version: 4,
+    description: "Classement Elo",
+    up: async () => {
+      await addColumnIfMissing("players", "rating", `INTEGER DEFAULT ${DEFAULT_RATING}`);
+      await addColumnIfMissing("players", "games_played", "INTEGER DEFAULT 0");
+    },
+  },
+  {
+    version: 5,
+    description: "Résultats contre l'IA par niveau de difficulté",
+    up: async () => {
+      await run(`CREATE TABLE IF NOT EXISTS ai_results (
+        username TEXT,
+        strategy TEXT,
+        wins INTEGER DEFAULT 0,
+        draws INTEGER DEFAULT 0,
+        losses INTEGER DEFAULT 0,
+        PRIMARY KEY (username, strategy)
+      )`);
+    },
+  },
+  {
+    version: 6,
+    description: "Joueurs masqués ou bloqués dans la discussion",
+    up: async () => {
+      await run(`CREATE TABLE IF NOT EXISTS chat_relations (
+        username TEXT,
+        target TEXT,
+        kind TEXT,
+        created_at TIMESTAMP,
+        PRIMARY KEY (username, target, kind)
+      )`);
+    },
+  },
+  {
+    version: 7,
+    description: "Relations d'amitié",
+    up: async () => {
+      await run(`CREATE TABLE IF NOT EXISTS friendships (
+        requester TEXT,
+        addressee TEXT,
+        status TEXT,
+        created_at TIMESTAMP,
+        responded_at TIMESTAMP,
+        PRIMARY KEY (requester, addressee)
+      )`);
+      await run("CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships (addressee)");
+    },
+  },
+  {
+    version: 8,
+    description: "Sessions avec jetons de rafraîchissement",
+    // Les anciennes sessions (un token de 7 jours par ligne) ne sont pas reprises :
+    // les joueurs concernés doivent se reconnecter une fois
+    up: async () => {
+      await run("DROP TABLE IF EXISTS sessions");
+      await run(`CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        refresh_token_hash TEXT,
+        device TEXT,
+        ip TEXT,
+        created_at TIMESTAMP,
+        last_seen TIMESTAMP,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_reason TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`);
+      await run("CREATE INDEX idx_sessions_user ON sessions (user_id)");
+    },
+  },
+  {
+    version: 9,
+    description: "Vérification de l'adresse e-mail et réinitialisation du mot de passe",
+    up: async () => {
+      await run("ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP");
+      await run(`CREATE TABLE email_tokens (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT,
+        purpose TEXT,
+        created_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        used_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`);
+      await run("CREATE INDEX idx_email_tokens_user ON email_tokens (user_id, purpose)");
+    },
+  },
+  {
+    version: 10,
+    description: "Pseudos réservés par les invités",
+    up: async () => {
+      await run(`CREATE TABLE guest_names (
+        username TEXT PRIMARY KEY,
+        created_at TIMESTAMP,
+        last_seen TIMESTAMP
+      )`);
+      // Les joueurs sans compte existants sont des invités : leur pseudo est réservé à partir de maintenant
+      const now = new Date().toISOString();
+      await run(
+        `INSERT INTO guest_names (username, created_at, last_seen)
+         SELECT username, ?, ? FROM players WHERE username NOT IN (SELECT username FROM users)`,
+        [now, now]
+      );
+    },
+  },
+  {
+    version: 11,
+    description: "Journal des coups engagés (commit-reveal)",
+    up: async () => {
+      await run("ALTER TABLE matches ADD COLUMN move_protocol TEXT DEFAULT 'plain'");
+      await run("ALTER TABLE rounds ADD COLUMN player1_commitment TEXT");
+      await run("ALTER TABLE rounds ADD COLUMN player1_nonce TEXT");
+      await run("ALTER TABLE rounds ADD COLUMN player2_commitment TEXT");
+      await run("ALTER TABLE rounds ADD COLUMN player2_nonce TEXT");
+    },
+  },
+  {
+    version: 12,
+    description: "Matchs et parties privées sauvegardés pour reprendre après un redémarrage",
+    up: async () => {
+      await run(`CREATE TABLE match_snapshots (
+        id TEXT PRIMARY KEY,
+        state TEXT,
+        saved_at TIMESTAMP,
+        FOREIGN KEY (id) REFERENCES matches(id)
+      )`);
+      await run(`CREATE TABLE private_game_snapshots (
+        id TEXT PRIMARY KEY,
+        host TEXT,
+        state TEXT,
+        saved_at TIMESTAMP
+      )`);
+      await run("CREATE INDEX idx_private_game_snapshots_host ON private_game_snapshots (host)");
+    },
+  },
+  {
+    version: 13,
+    description: "Rôle administrateur et bannissements",
+    up: async () => {
+      await run("ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'player'");
+      await run(`CREATE TABLE bans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT,
+        reason TEXT,
+        banned_by TEXT,
+        created_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        lifted_at TIMESTAMP,
+        lifted_by TEXT
+      )`);
+      await run("CREATE INDEX idx_bans_username ON bans (username, lifted_at)");
+    },
+  },
+];
+
+// Appliquer les migrations manquantes, chacune dans sa propre transaction
+async function migrate() {
+  await run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    description TEXT,
+    applied_at TIMESTAMP
+  )`);
+
+  const rows = await all("SELECT version FROM schema_migrations");
+  const applied = new Set(rows.map((row) => row.version));
+  const pending = MIGRATIONS.filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await run("BEGIN TRANSACTION");
+    try {
+      await migration.up();
+      await run(
+        "INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)",
+        [migration.version, migration.description, new Date().toISOString()]
+      );
+      await run("COMMIT");
+      logger.info("Migration appliquée", { version: migration.version, description: migration.description });
+    } catch (error) {
+      await run("ROLLBACK").catch(() => {});
+      throw {
+        status: 500,
+        message: `Échec de la migration ${migration.version} (${migration.description})`,
+        error: error.error || error,
+      };
+    }
+  }
+
+  return pending.map((migration) => migration.version);
+}
+
+// Les requêtes du jeu ne doivent commencer qu'une fois le schéma à jour
+const ready = migrate();
+
+// Exporter les fonctionnalités
+module.exports = {
+  db,
+  run,
+  get,
+  all,
+  ready,
+  MIGRATIONS,
+};
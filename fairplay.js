@@ -0,0 +1,102 @@
+// fairplay.js - Coups engagés (commit-reveal) : chaque joueur s'engage sur un coup avant de le dévoiler
+
+const crypto = require("crypto");
+
+// Configuration
+const MOVE_PROTOCOLS = ["plain", "commit_reveal"]; // Coups envoyés en clair ou engagés puis dévoilés
+const REVEAL_TIMEOUT = 10; // Temps pour dévoiler son coup une fois les deux engagements reçus (secondes)
+const COMMITMENT_PATTERN = /^[0-9a-f]{64}$/; // Empreinte SHA-256 en hexadécimal
+const NONCE_PATTERN = /^[0-9a-f]{32,128}$/; // Au moins 128 bits aléatoires en hexadécimal
+
+// Empreinte d'un coup : liée au match, à la manche et au joueur pour qu'un engagement
+// ne puisse être ni rejoué d'une manche à l'autre ni recopié par l'adversaire
+function computeCommitment(matchId, round, player, choice, nonce) {
+  return crypto.createHash("sha256").update(`${matchId}:${round}:${player}:${choice}:${nonce}`).digest("hex");
+}
+
+// Classe pour suivre les engagements et les dévoilements d'une manche
+class MoveCommitments {
+  constructor(matchId, round, players) {
+    this.matchId = matchId;
+    this.round = round;
+    this.players = players;
+    this.commitments = {}; // joueur -> empreinte
+    this.reveals = {}; // joueur -> { choice, nonce, valid }
+    this.timedOut = []; // Joueurs sans engagement à la fin du temps imparti
+  }
+
+  // Enregistrer l'engagement d'un joueur, retourne un message d'erreur ou null
+  commit(player, commitment) {
+    if (!COMMITMENT_PATTERN.test(commitment)) return "Engagement invalide (empreinte SHA-256 attendue).";
+    if (this.commitments[player]) return "Vous vous êtes déjà engagé sur un coup pour cette manche.";
+    this.commitments[player] = commitment;
+    return null;
+  }
+
+  hasCommitted(player) {
+    return Boolean(this.commitments[player]);
+  }
+
+  // Tous les joueurs encore en lice se sont engagés
+  allCommitted() {
+    return this.players.every((player) => this.hasCommitted(player));
+  }
+
+  // Dévoiler un coup : il n'est retenu que s'il correspond à l'engagement et aux règles du match.
+  // Retourne un message d'erreur ou null ; un dévoilement refusé est définitif pour la manche
+  reveal(player, choice, nonce, isValidChoice) {
+    if (!this.commitments[player]) return "Aucun engagement à dévoiler pour cette manche.";
+    if (this.reveals[player]) return "Votre coup a déjà été dévoilé.";
+
+    const valid =
+      NONCE_PATTERN.test(nonce) &&
+      isValidChoice(choice) &&
+      computeCommitment(this.matchId, this.round, player, choice, nonce) === this.commitments[player];
+    this.reveals[player] = { choice, nonce, valid };
+    return valid ? null : "Le coup dévoilé ne correspond pas à votre engagement : la manche est perdue.";
+  }
+
+  hasRevealed(player) {
+    return Boolean(this.reveals[player]);
+  }
+
+  // Coup joué au hasard par le serveur pour un joueur qui ne s'est pas engagé à temps
+  assign(player, choice) {
+    this.reveals[player] = { choice, nonce: null, valid: false, assigned: true };
+  }
+
+  // Coup retenu pour un joueur (null s'il n'a rien dévoilé ou si son dévoilement est invalide)
+  choiceOf(player) {
+    const reveal = this.reveals[player];
+    return reveal && (reveal.valid || reveal.assigned) ? reveal.choice : null;
+  }
+
+  // Les joueurs engagés ont tous dévoilé leur coup
+  allRevealed() {
+    return this.players.every((player) => !this.hasCommitted(player) || this.hasRevealed(player));
+  }
+
+  // Entrée publiée du journal de la manche : de quoi recalculer chaque empreinte
+  transcript() {
+    const entry = { round: this.round, players: {} };
+    this.players.forEach((player) => {
+      const reveal = this.reveals[player];
+      entry.players[player] = {
+        commitment: this.commitments[player] || null,
+        choice: reveal ? reveal.choice : null,
+        nonce: reveal ? reveal.nonce : null,
+        valid: reveal ? reveal.valid : false,
+        assigned: Boolean(reveal && reveal.assigned), // Coup tiré au hasard par le serveur
+      };
+    });
+    return entry;
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  MOVE_PROTOCOLS,
+  REVEAL_TIMEOUT,
+  computeCommitment,
+  MoveCommitments,
+};
@@ -0,0 +1,130 @@
+// friends.js - Liste d'amis et demandes d'amitié
+
+// Classe pour gérer les relations d'amitié entre utilisateurs inscrits
+class FriendStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Envoyer une demande d'amitié (acceptée d'office si l'autre joueur en avait déjà envoyé une)
+  async sendRequest(username, target) {
+    if (!target || target === username) {
+      throw { status: 400, message: "Joueur invalide." };
+    }
+
+    const exists = await this.userExists(target);
+    if (!exists) {
+      throw { status: 404, message: "Ce joueur n'existe pas." };
+    }
+
+    const existing = await this.getRelation(username, target);
+    if (existing && existing.status === "accepted") {
+      throw { status: 409, message: "Vous êtes déjà amis." };
+    }
+    if (existing && existing.requester === username) {
+      throw { status: 409, message: "Demande déjà envoyée." };
+    }
+    if (existing) {
+      return this.acceptRequest(username, target);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO friendships (requester, addressee, status, created_at)
+         VALUES (?, ?, 'pending', ?)`,
+        [username, target, new Date().toISOString()],
+        (err) => {
+          if (err) return reject({ status: 500, message: "Erreur lors de l'envoi de la demande", error: err });
+          resolve({ status: 201, data: { status: "pending" } });
+        }
+      );
+    });
+  }
+
+  // Accepter la demande envoyée par `requester`
+  async acceptRequest(username, requester) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE friendships SET status = 'accepted', responded_at = ?
+         WHERE requester = ? AND addressee = ? AND status = 'pending'`,
+        [new Date().toISOString(), requester, username],
+        function (err) {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+          if (this.changes === 0) return reject({ status: 404, message: "Aucune demande de ce joueur." });
+          resolve({ status: 200, data: { status: "accepted" } });
+        }
+      );
+    });
+  }
+
+  // Retirer un ami, refuser ou annuler une demande
+  async removeFriend(username, other) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM friendships
+         WHERE (requester = ? AND addressee = ?) OR (requester = ? AND addressee = ?)`,
+        [username, other, other, username],
+        function (err) {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+          if (this.changes === 0) return reject({ status: 404, message: "Aucune relation avec ce joueur." });
+          resolve({ status: 200 });
+        }
+      );
+    });
+  }
+
+  // Amis, demandes reçues et demandes envoyées d'un joueur
+  async getFriends(username) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        "SELECT * FROM friendships WHERE requester = ? OR addressee = ?",
+        [username, username],
+        (err, rows) => {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+
+          const data = { friends: [], incoming: [], outgoing: [] };
+          rows.forEach((row) => {
+            const other = row.requester === username ? row.addressee : row.requester;
+            if (row.status === "accepted") data.friends.push(other);
+            else if (row.requester === username) data.outgoing.push(other);
+            else data.incoming.push(other);
+          });
+          resolve({ status: 200, data });
+        }
+      );
+    });
+  }
+
+  async areFriends(username, other) {
+    const relation = await this.getRelation(username, other);
+    return Boolean(relation && relation.status === "accepted");
+  }
+
+  async getRelation(username, other) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM friendships
+         WHERE (requester = ? AND addressee = ?) OR (requester = ? AND addressee = ?)`,
+        [username, other, other, username],
+        (err, row) => {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+          resolve(row || null);
+        }
+      );
+    });
+  }
+
+  async userExists(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT id FROM users WHERE username = ?", [username], (err, row) => {
+        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+        resolve(Boolean(row));
+      });
+    });
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  FriendStore,
+};
@@ -0,0 +1,241 @@
+// history.js - Historique des matchs et des manches jouées
+
+const { buildProfile } = require("./profile");
+
+// Configuration
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const PRIVATE_MODES = ["private", "challenge"]; // Matchs entre joueurs qui se sont choisis
+
+// Classe pour enregistrer et consulter l'historique des parties
+class MatchHistory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Création d'un match (mode "quick", "private" ou "ai")
+  async createMatch({ id, mode, format, ruleSet, player1, player2, aiStrategy = null, moveProtocol = "plain", startedAt }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO matches (id, mode, format, rule_set, player1, player2, ai_strategy, move_protocol, status, started_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'in_progress', ?)`,
+        [id, mode, format, ruleSet, player1, player2, aiStrategy, moveProtocol, startedAt || new Date().toISOString()],
+        (err) => {
+          if (err) return reject({ status: 500, message: "Erreur lors de la création du match", error: err });
+          resolve({ status: 201, data: { id } });
+        }
+      );
+    });
+  }
+
+  // Enregistrement d'une manche (winner = null en cas d'égalité)
+  // `proof` contient les engagements et nonces des joueurs en coups engagés
+  async recordRound(matchId, roundNumber, player1Choice, player2Choice, winner, proof = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO rounds (match_id, round_number, player1_choice, player2_choice, winner, played_at,
+           player1_commitment, player1_nonce, player2_commitment, player2_nonce)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          matchId,
+          roundNumber,
+          player1Choice,
+          player2Choice,
+          winner,
+          new Date().toISOString(),
+          proof.player1Commitment || null,
+          proof.player1Nonce || null,
+          proof.player2Commitment || null,
+          proof.player2Nonce || null,
+        ],
+        (err) => {
+          if (err) return reject({ status: 500, message: "Erreur lors de l'enregistrement de la manche", error: err });
+          resolve({ status: 201 });
+        }
+      );
+    });
+  }
+
+  // Clôture d'un match terminé ("completed") ou abandonné ("abandoned")
+  async finishMatch(matchId, { winner, player1Score, player2Score, status = "completed" }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE matches
+         SET winner = ?, player1_score = ?, player2_score = ?, status = ?, ended_at = ?
+         WHERE id = ?`,
+        [winner, player1Score, player2Score, status, new Date().toISOString(), matchId],
+        (err) => {
+          if (err) return reject({ status: 500, message: "Erreur lors de la clôture du match", error: err });
+          resolve({ status: 200 });
+        }
+      );
+    });
+  }
+
+  // Liste paginée des matchs terminés d'un joueur, du plus récent au plus ancien.
+  // Comme pour getMatch, ses matchs privés n'apparaissent qu'à lui-même, à ses adversaires et aux administrateurs.
+  async getHistory(username, page = 1, pageSize = DEFAULT_PAGE_SIZE, { viewer = null, isAdmin = false } = {}) {
+    page = Math.max(1, parseInt(page, 10) || 1);
+    pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    let where = "(player1 = ? OR player2 = ?) AND status != 'in_progress'";
+    const params = [username, username];
+    if (viewer !== username && !isAdmin) {
+      where += ` AND (mode NOT IN (${PRIVATE_MODES.map(() => "?").join(", ")}) OR player1 = ? OR player2 = ?)`;
+      params.push(...PRIVATE_MODES, viewer, viewer);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT COUNT(*) AS total FROM matches WHERE ${where}`,
+        params,
+        (err, count) => {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+
+          this.db.all(
+            `SELECT * FROM matches
+             WHERE ${where}
+             ORDER BY started_at DESC
+             LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize],
+            (err, rows) => {
+              if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+
+              resolve({
+                status: 200,
+                data: {
+                  username,
+                  page,
+                  pageSize,
+                  total: count.total,
+                  matches: rows.map((row) => summarizeMatch(row, username)),
+                },
+              });
+            }
+          );
+        }
+      );
+    });
+  }
+
+  // Détail d'un match avec ses manches coup par coup, pour le joueur `viewer` ({ username, isAdmin })
+  async getMatch(matchId, viewer = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM matches WHERE id = ?", [matchId], (err, row) => {
+        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+        if (!row) return reject({ status: 404, message: "Match introuvable" });
+        if (!canViewMatch(row, viewer)) {
+          return reject({ status: 403, message: "Seuls les joueurs de ce match peuvent le consulter" });
+        }
+
+        this.db.all(
+          "SELECT * FROM rounds WHERE match_id = ? ORDER BY round_number",
+          [matchId],
+          (err, rounds) => {
+            if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+
+            resolve({
+              status: 200,
+              data: {
+                id: row.id,
+                mode: row.mode,
+                format: row.format,
+                ruleSet: row.rule_set,
+                aiStrategy: row.ai_strategy,
+                moveProtocol: row.move_protocol || "plain",
+                player1: row.player1,
+                player2: row.player2,
+                winner: row.winner,
+                player1Score: row.player1_score,
+                player2Score: row.player2_score,
+                status: row.status,
+                startedAt: row.started_at,
+                endedAt: row.ended_at,
+                rounds: rounds.map((round) => ({
+                  round: round.round_number,
+                  player1Choice: round.player1_choice,
+                  player2Choice: round.player2_choice,
+                  winner: round.winner,
+                  playedAt: round.played_at,
+                  // Journal des coups engagés : de quoi recalculer chaque empreinte (voir fairplay.js)
+                  ...(row.move_protocol === "commit_reveal" && {
+                    player1Commitment: round.player1_commitment,
+                    player1Nonce: round.player1_nonce,
+                    player2Commitment: round.player2_commitment,
+                    player2Nonce: round.player2_nonce,
+                  }),
+                })),
+              },
+            });
+          }
+        );
+      });
+    });
+  }
+
+  // Statistiques d'un joueur calculées sur l'ensemble de ses parties (IA et en ligne)
+  async getProfile(username) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM matches
+         WHERE (player1 = ? OR player2 = ?) AND status != 'in_progress'
+         ORDER BY started_at`,
+        [username, username],
+        (err, matches) => {
+          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+
+          this.db.all(
+            `SELECT m.mode, m.player1, m.player2, r.player1_choice, r.player2_choice, r.winner AS round_winner
+             FROM rounds r JOIN matches m ON m.id = r.match_id
+             WHERE (m.player1 = ? OR m.player2 = ?) AND m.status != 'in_progress'
+             ORDER BY r.played_at, r.round_number`,
+            [username, username],
+            (err, rounds) => {
+              if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
+              resolve({ status: 200, data: buildProfile(username, matches, rounds) });
+            }
+          );
+        }
+      );
+    });
+  }
+}
+
+// Résumé d'un match du point de vue d'un joueur
+function summarizeMatch(row, username) {
+  const isPlayer1 = row.player1 === username;
+
+  let result = null;
+  if (row.status === "abandoned") result = "abandoned";
+  else if (row.winner === username) result = "win";
+  else if (row.winner) result = "loss";
+
+  return {
+    id: row.id,
+    mode: row.mode,
+    format: row.format,
+    ruleSet: row.rule_set,
+    aiStrategy: row.ai_strategy,
+    opponent: isPlayer1 ? row.player2 : row.player1,
+    result,
+    playerScore: isPlayer1 ? row.player1_score : row.player2_score,
+    opponentScore: isPlayer1 ? row.player2_score : row.player1_score,
+    status: row.status,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+  };
+}
+
+// Un match en cours, privé ou issu d'un défi n'est visible que de ses joueurs et des administrateurs ;
+// les autres matchs terminés sont publics
+function canViewMatch(match, { username, isAdmin = false } = {}) {
+  if (isAdmin) return true;
+  if (username && (match.player1 === username || match.player2 === username)) return true;
+  return match.status !== "in_progress" && !PRIVATE_MODES.includes(match.mode);
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  MatchHistory,
+  canViewMatch,
+};
@@ -0,0 +1,68 @@
+// logger.js - Journal structuré : une ligne JSON par événement, avec un niveau et des champs de contexte
+
+// Configuration
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = process.env.LOG_LEVEL || "info"; // Niveau minimal écrit (debug, info, warn, error)
+
+// Rendre une erreur lisible en JSON (les propriétés d'une Error ne sont pas énumérables)
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// Classe pour écrire le journal ; chaque journal dérivé (child) ajoute ses champs à toutes ses lignes,
+// par exemple l'identifiant d'une connexion pour suivre ses messages
+class Logger {
+  constructor(fields = {}, level = LOG_LEVEL) {
+    this.fields = fields;
+    this.level = LEVELS[level] ? level : "info";
+  }
+
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.level);
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields);
+  }
+
+  // Accepte aussi directement un rejet { status, message, error } ou une Error
+  error(message, fields) {
+    this.write("error", message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    if (typeof message !== "string") {
+      const failure = message || {};
+      fields = { status: failure.status, error: failure instanceof Error ? failure : failure.error, ...fields };
+      message = failure.message || "Erreur inattendue";
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields };
+    Object.keys(fields).forEach((key) => {
+      if (fields[key] !== undefined) entry[key] = key === "error" ? serializeError(fields[key]) : fields[key];
+    });
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+// Journal du serveur, dont dérivent ceux des connexions
+const logger = new Logger();
+
+// Exporter les fonctionnalités
+module.exports = {
+  Logger,
+  logger,
+};
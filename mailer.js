@@ -0,0 +1,115 @@
+// mailer.js - Envoi des e-mails du compte par un transport interchangeable
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+// Configuration
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console"; // "console" ou "file"
+const MAIL_DIR = process.env.MAIL_DIR || "./mails"; // Dossier du transport "file"
+const MAIL_FROM = process.env.MAIL_FROM || "RPS.io <no-reply@rpsgames.local>";
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 8080}`;
+
+// Écrit les e-mails dans le journal du serveur
+class ConsoleTransport {
+  async send(mail) {
+    logger.info("E-mail", { from: mail.from, to: mail.to, subject: mail.subject, text: mail.text });
+  }
+}
+
+// Écrit chaque e-mail dans un fichier .eml du dossier choisi
+class FileTransport {
+  constructor(directory = MAIL_DIR) {
+    this.directory = directory;
+  }
+
+  async send(mail) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Le destinataire ne fait pas partie du nom du fichier : il ne doit pas pouvoir choisir le chemin
+    const id = crypto.randomBytes(6).toString("hex");
+    const file = path.join(this.directory, `${new Date().toISOString().replace(/[:.]/g, "-")}-${id}.eml`);
+    const content = [
+      `From: ${headerValue(mail.from)}`,
+      `To: ${headerValue(mail.to)}`,
+      `Subject: ${headerValue(mail.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      mail.text,
+    ].join("\r\n");
+    await fs.promises.writeFile(file, content, "utf8");
+  }
+}
+
+// Valeur d'en-tête sur une seule ligne (un retour à la ligne permettrait d'ajouter des en-têtes)
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, " ");
+}
+
+// Transports disponibles par nom ; tout objet exposant `send(mail)` convient (SMTP, API d'envoi...)
+const TRANSPORTS = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport(),
+};
+
+function createTransport(name = MAIL_TRANSPORT) {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Transport d'e-mail inconnu : ${name}`);
+  return factory();
+}
+
+// Classe pour composer et envoyer les e-mails liés aux comptes
+class Mailer {
+  constructor(transport = createTransport()) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      await this.transport.send({ from: MAIL_FROM, to, subject, text });
+    } catch (error) {
+      throw { status: 500, message: "Erreur lors de l'envoi de l'e-mail", error };
+    }
+  }
+
+  async sendVerificationEmail(to, username, token, validHours) {
+    await this.send({
+      to,
+      subject: "Confirmez votre adresse e-mail",
+      text: [
+        `Bonjour ${username},`,
+        "",
+        "Confirmez votre adresse e-mail en ouvrant ce lien :",
+        `${APP_URL}/?verify=${token}`,
+        "",
+        `Ce lien est valable ${validHours} heures.`,
+      ].join("\n"),
+    });
+  }
+
+  async sendPasswordResetEmail(to, username, token, validMinutes) {
+    await this.send({
+      to,
+      subject: "Réinitialisation de votre mot de passe",
+      text: [
+        `Bonjour ${username},`,
+        "",
+        "Choisissez un nouveau mot de passe en ouvrant ce lien :",
+        `${APP_URL}/?reset=${token}`,
+        "",
+        `Ce lien est valable ${validMinutes} minutes et ne peut servir qu'une fois.`,
+        "Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.",
+      ].join("\n"),
+    });
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  TRANSPORTS,
+  ConsoleTransport,
+  FileTransport,
+  createTransport,
+  Mailer,
+};
@@ -0,0 +1,148 @@
+// matchmaking.js - File d'attente des parties rapides avec association par niveau
+
+// Configuration
+const BASE_RATING_GAP = 100; // Écart de classement accepté dès l'entrée dans la file
+const RATING_GAP_PER_SECOND = 10; // Élargissement de l'écart accepté par seconde d'attente
+const MAX_RATING_GAP = 1000;
+const WAIT_HISTORY_SIZE = 20; // Nombre de temps d'attente conservés pour l'estimation
+
+class Matchmaker {
+  constructor() {
+    this.queue = []; // Entrées { username, format, rating, ruleSet, joinedAt }
+    this.waitHistory = new Map(); // Derniers temps d'attente (en secondes) par format et règles
+  }
+
+  // Ajouter un joueur à la file (ou mettre à jour sa demande s'il y est déjà)
+  enqueue(username, format, rating, ruleSet, now = Date.now()) {
+    const existing = this.queue.find((entry) => entry.username === username);
+    if (existing) {
+      existing.format = format;
+      existing.rating = rating;
+      existing.ruleSet = ruleSet;
+      return existing;
+    }
+
+    const entry = { username, format, rating, ruleSet, joinedAt: now };
+    this.queue.push(entry);
+    return entry;
+  }
+
+  // Retirer un joueur de la file, retourne true s'il y était
+  remove(username) {
+    const index = this.queue.findIndex((entry) => entry.username === username);
+    if (index === -1) return false;
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  has(username) {
+    return this.queue.some((entry) => entry.username === username);
+  }
+
+  // File de travail sur des demandes fournies (celles de tout le cluster), avec le même historique d'attente
+  withQueue(entries) {
+    const copy = new Matchmaker();
+    copy.queue = entries.slice();
+    copy.waitHistory = this.waitHistory;
+    return copy;
+  }
+
+  get length() {
+    return this.queue.length;
+  }
+
+  usernames() {
+    return this.queue.map((entry) => entry.username);
+  }
+
+  // Écart de classement accepté pour une entrée, selon son temps d'attente
+  allowedGap(entry, now = Date.now()) {
+    const waited = (now - entry.joinedAt) / 1000;
+    return Math.min(MAX_RATING_GAP, BASE_RATING_GAP + waited * RATING_GAP_PER_SECOND);
+  }
+
+  // Extraire de la file toutes les paires compatibles
+  // Les joueurs qui attendent depuis le plus longtemps sont servis en premier
+  findPairs(now = Date.now()) {
+    const pairs = [];
+
+    for (let i = 0; i < this.queue.length; i++) {
+      const entry = this.queue[i];
+      let best = -1;
+      let bestGap = Infinity;
+
+      for (let j = i + 1; j < this.queue.length; j++) {
+        const candidate = this.queue[j];
+        if (!sameRequest(candidate, entry)) continue;
+
+        const gap = Math.abs(entry.rating - candidate.rating);
+        const allowed = Math.max(this.allowedGap(entry, now), this.allowedGap(candidate, now));
+        if (gap <= allowed && gap < bestGap) {
+          best = j;
+          bestGap = gap;
+        }
+      }
+
+      if (best !== -1) {
+        const opponent = this.queue[best];
+        this.queue.splice(best, 1);
+        this.queue.splice(i, 1);
+        i--;
+
+        this.recordWait(entry, now);
+        this.recordWait(opponent, now);
+        pairs.push([entry, opponent]);
+      }
+    }
+
+    return pairs;
+  }
+
+  recordWait(entry, now) {
+    const history = this.waitHistory.get(requestKey(entry)) || [];
+    history.push((now - entry.joinedAt) / 1000);
+    if (history.length > WAIT_HISTORY_SIZE) history.shift();
+    this.waitHistory.set(requestKey(entry), history);
+  }
+
+  // État de la file pour un joueur (position, temps d'attente, estimation)
+  status(username, now = Date.now()) {
+    const index = this.queue.findIndex((entry) => entry.username === username);
+    if (index === -1) return null;
+
+    const entry = this.queue[index];
+    const waiting = this.queue.filter((other) => sameRequest(other, entry));
+    const history = this.waitHistory.get(requestKey(entry)) || [];
+    const waited = Math.round((now - entry.joinedAt) / 1000);
+
+    let estimatedWait = null;
+    if (history.length > 0) {
+      const average = history.reduce((sum, value) => sum + value, 0) / history.length;
+      estimatedWait = Math.max(0, Math.round(average - waited));
+    }
+
+    return {
+      position: waiting.indexOf(entry) + 1,
+      queueLength: waiting.length,
+      format: entry.format.code,
+      ruleSet: entry.ruleSet.id,
+      waited,
+      ratingGap: Math.round(this.allowedGap(entry, now)),
+      estimatedWait,
+    };
+  }
+}
+
+// Deux joueurs ne sont associés que s'ils demandent le même format et les mêmes règles
+function requestKey(entry) {
+  return `${entry.format.code}:${entry.ruleSet.id}`;
+}
+
+function sameRequest(entry1, entry2) {
+  return requestKey(entry1) === requestKey(entry2);
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  Matchmaker,
+};
@@ -0,0 +1,173 @@
+// metrics.js - Mesures du serveur exposées au format texte de Prometheus (/metrics), sans dépendance
+
+// Configuration
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]; // Secondes
+
+// Étiquettes au format Prometheus : {nom="valeur",...}
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return "";
+  const pairs = names.map((name) => `${name}="${String(labels[name]).replace(/(["\\])/g, "\\$1").replace(/\n/g, "\\n")}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+// Série de valeurs par combinaison d'étiquettes
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map(); // étiquettes formatées -> { labels, value }
+  }
+
+  entry(labels) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, value: 0 });
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines.join("\n");
+  }
+}
+
+// Compteur qui ne fait qu'augmenter (le tableau de bord en calcule le débit)
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, "counter");
+  }
+
+  inc(value = 1, labels = {}) {
+    this.entry(labels).value += value;
+  }
+}
+
+// Valeur instantanée, mise à jour au moment de la lecture des mesures
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, "gauge");
+  }
+
+  set(value, labels = {}) {
+    this.entry(labels).value = value;
+  }
+}
+
+// Nombre d'événements survenus pendant les `window` dernières secondes (par exemple des manches par minute)
+class WindowGauge extends Gauge {
+  constructor(name, help, window) {
+    super(name, help);
+    this.window = window * 1000;
+    this.events = []; // Dates des événements encore dans la fenêtre
+  }
+
+  mark(now = Date.now()) {
+    this.events.push(now);
+    this.prune(now);
+  }
+
+  prune(now = Date.now()) {
+    while (this.events.length > 0 && this.events[0] <= now - this.window) this.events.shift();
+  }
+
+  render() {
+    this.prune();
+    this.set(this.events.length);
+    return super.render();
+  }
+}
+
+// Répartition de durées par tranches cumulées, avec leur somme et leur nombre
+class Histogram extends Metric {
+  constructor(name, help, buckets = LATENCY_BUCKETS) {
+    super(name, help, "histogram");
+    this.buckets = buckets;
+  }
+
+  observe(value, labels = {}) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = this.series.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Mesurer la durée d'une fonction, éventuellement asynchrone
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(Number(process.hrtime.bigint() - start) / 1e9, labels);
+    }
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines.join("\n");
+  }
+}
+
+// Classe pour l'ensemble des mesures ; les jauges qui reflètent l'état du serveur sont relevées juste avant la lecture
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  beforeCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  render() {
+    this.collectors.forEach((collector) => collector());
+    return `${this.metrics.map((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+// Mesures du serveur de jeu
+const registry = new Registry();
+const metrics = {
+  connectedSockets: registry.register(new Gauge("rps_connected_sockets", "Connexions WebSocket ouvertes")),
+  players: registry.register(new Gauge("rps_players", "Joueurs connectés, par type de compte (authenticated, guest)")),
+  queueLength: registry.register(new Gauge("rps_queue_length", "Joueurs en file d'attente des parties rapides")),
+  activeMatches: registry.register(new Gauge("rps_active_matches", "Matchs en cours hébergés par cette instance")),
+  rounds: registry.register(new Counter("rps_rounds_total", "Manches jouées")),
+  roundsPerMinute: registry.register(new WindowGauge("rps_rounds_per_minute", "Manches jouées pendant la dernière minute", 60)),
+  authFailures: registry.register(new Counter("rps_auth_failures_total", "Échecs d'authentification, par motif")),
+  messageDuration: registry.register(
+    new Histogram("rps_message_duration_seconds", "Durée de traitement des messages WebSocket, par type")
+  ),
+};
+
+// Exporter les fonctionnalités
+module.exports = {
+  Counter,
+  Gauge,
+  WindowGauge,
+  Histogram,
+  Registry,
+  registry,
+  metrics,
+};
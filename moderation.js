@@ -0,0 +1,163 @@
+// moderation.js - Outils des administrateurs : rôles, bannissements et corrections du classement
+
+const { run, get, all } = require("./database");
+const { DEFAULT_RATING } = require("./rating");
+const { metrics } = require("./metrics");
+const { logger } = require("./logger");
+
+// Configuration
+const ADMIN_USERS = (process.env.ADMIN_USERS || "") // Comptes promus administrateurs au démarrage (séparés par des virgules)
+  .split(",")
+  .map((username) => username.trim())
+  .filter(Boolean);
+const ROLES = ["player", "admin"];
+const MAX_BAN_MINUTES = 10 * 365 * 24 * 60; // Au-delà, bannir définitivement
+
+// Classe pour gérer la modération des comptes et des joueurs
+class ModerationManager {
+  // Donner le rôle administrateur aux comptes listés dans ADMIN_USERS
+  async promoteConfiguredAdmins(usernames = ADMIN_USERS) {
+    for (const username of usernames) {
+      const result = await run("UPDATE users SET role = 'admin' WHERE username = ? AND role IS NOT 'admin'", [username]);
+      if (result.changes > 0) logger.info("Rôle administrateur accordé", { user: username });
+    }
+  }
+
+  async setRole(username, role) {
+    if (!ROLES.includes(role)) throw { status: 400, message: `Rôle inconnu (${ROLES.join(", ")})` };
+
+    const result = await run("UPDATE users SET role = ? WHERE username = ?", [role, username]);
+    if (result.changes === 0) throw { status: 404, message: "Utilisateur introuvable" };
+    return { status: 200, message: "Rôle modifié", data: { username, role } };
+  }
+
+  async isAdmin(username) {
+    const user = await get("SELECT role FROM users WHERE username = ?", [username]);
+    return Boolean(user && user.role === "admin");
+  }
+
+  // Bannir un joueur (compte ou pseudo d'invité), pour `minutes` minutes ou définitivement si absent.
+  // Un nouveau bannissement remplace le précédent.
+  async ban(username, { minutes = null, reason = null, bannedBy }) {
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_BAN_MINUTES)) {
+      throw { status: 400, message: "Durée du bannissement invalide (en minutes)" };
+    }
+
+    const now = new Date();
+    const expiresAt = minutes === null ? null : new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+    await run("UPDATE bans SET lifted_at = ?, lifted_by = ? WHERE username = ? AND lifted_at IS NULL", [
+      now.toISOString(),
+      bannedBy,
+      username,
+    ]);
+    await run(
+      "INSERT INTO bans (username, reason, banned_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?)",
+      [username, reason, bannedBy, now.toISOString(), expiresAt]
+    );
+
+    const user = await get("SELECT id FROM users WHERE username = ?", [username]);
+    return {
+      status: 201,
+      message: expiresAt ? "Joueur banni temporairement" : "Joueur banni définitivement",
+      data: { username, userId: user ? user.id : null, reason, expiresAt },
+    };
+  }
+
+  // Lever le bannissement en cours
+  async lift(username, liftedBy) {
+    const result = await run(
+      "UPDATE bans SET lifted_at = ?, lifted_by = ? WHERE username = ? AND lifted_at IS NULL",
+      [new Date().toISOString(), liftedBy, username]
+    );
+    if (result.changes === 0) throw { status: 404, message: "Aucun bannissement en cours pour ce joueur" };
+    return { status: 200, message: "Bannissement levé" };
+  }
+
+  // Bannissement en cours d'un joueur, null s'il n'en a pas
+  async activeBan(username) {
+    const row = await get(
+      `SELECT username, reason, banned_by, created_at, expires_at FROM bans
+       WHERE username = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+       ORDER BY created_at DESC LIMIT 1`,
+      [username, new Date().toISOString()]
+    );
+    return row ? formatBan(row) : null;
+  }
+
+  // Refuser la connexion d'un joueur banni
+  async checkNotBanned(username) {
+    const ban = await this.activeBan(username);
+    if (!ban) return;
+
+    metrics.authFailures.inc(1, { reason: "banned" });
+    throw { status: 403, message: describeBan(ban) };
+  }
+
+  // Bannissements en cours, le plus récent en premier
+  async listBans() {
+    const rows = await all(
+      `SELECT username, reason, banned_by, created_at, expires_at FROM bans
+       WHERE lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+       ORDER BY created_at DESC`,
+      [new Date().toISOString()]
+    );
+    return { status: 200, data: rows.map(formatBan) };
+  }
+
+  // Corriger le classement d'un joueur : valeur absolue (`rating`) ou ajustement (`delta`)
+  async adjustRating(username, { rating, delta }) {
+    if (rating !== undefined && !Number.isInteger(rating)) throw { status: 400, message: "Classement invalide" };
+    if (delta !== undefined && !Number.isInteger(delta)) throw { status: 400, message: "Ajustement invalide" };
+    if ((rating === undefined) === (delta === undefined)) {
+      throw { status: 400, message: "Indiquez soit un classement (rating), soit un ajustement (delta)" };
+    }
+
+    const result =
+      rating !== undefined
+        ? await run("UPDATE players SET rating = ? WHERE username = ?", [rating, username])
+        : await run("UPDATE players SET rating = rating + ? WHERE username = ?", [delta, username]);
+    if (result.changes === 0) throw { status: 404, message: "Joueur introuvable" };
+
+    return { status: 200, message: "Classement modifié", data: await this.getRating(username) };
+  }
+
+  // Remettre le classement d'un joueur à zéro (classement initial, plus aucun match compté)
+  async resetRating(username) {
+    const result = await run("UPDATE players SET rating = ?, games_played = 0 WHERE username = ?", [
+      DEFAULT_RATING,
+      username,
+    ]);
+    if (result.changes === 0) throw { status: 404, message: "Joueur introuvable" };
+
+    return { status: 200, message: "Classement réinitialisé", data: await this.getRating(username) };
+  }
+
+  async getRating(username) {
+    const row = await get("SELECT username, rating, games_played FROM players WHERE username = ?", [username]);
+    return { username: row.username, rating: row.rating, gamesPlayed: row.games_played };
+  }
+}
+
+// Message expliquant un bannissement au joueur concerné
+function describeBan({ expiresAt, reason }) {
+  const until = expiresAt
+    ? `jusqu'au ${new Date(expiresAt).toLocaleString("fr-FR", { timeZone: "UTC" })} (UTC)`
+    : "définitivement";
+  return `Ce joueur est banni ${until}${reason ? ` : ${reason}` : "."}`;
+}
+
+function formatBan(row) {
+  return {
+    username: row.username,
+    reason: row.reason,
+    bannedBy: row.banned_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  ModerationManager,
+  describeBan,
+};
@@ -0,0 +1,116 @@
+// profile.js - Calcul des statistiques d'un joueur à partir de l'historique
+
+// Part d'un total, arrondie à 3 décimales (0 si le total est nul)
+function ratio(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+// Coup le plus joué d'une répartition { coup: nombre }
+function favouriteMove(moves) {
+  let favourite = null;
+  Object.keys(moves).forEach((move) => {
+    if (favourite === null || moves[move] > moves[favourite]) favourite = move;
+  });
+  return favourite;
+}
+
+// Statistiques sur une suite de manches, dans l'ordre chronologique
+// Chaque manche est de la forme { choice, outcome: "win" | "draw" | "loss" } ;
+// choice est null pour une manche perdue sans avoir joué (délai dépassé), qui ne compte pas dans les coups
+function roundStats(rounds) {
+  const stats = { played: rounds.length, wins: 0, draws: 0, losses: 0, longestWinStreak: 0, moves: {} };
+  let streak = 0;
+
+  rounds.forEach((round) => {
+    if (round.choice) stats.moves[round.choice] = (stats.moves[round.choice] || 0) + 1;
+
+    if (round.outcome === "win") {
+      stats.wins++;
+      streak++;
+      stats.longestWinStreak = Math.max(stats.longestWinStreak, streak);
+    } else {
+      if (round.outcome === "draw") stats.draws++;
+      else stats.losses++;
+      streak = 0;
+    }
+  });
+
+  stats.winRate = ratio(stats.wins, stats.played);
+  stats.drawRate = ratio(stats.draws, stats.played);
+  stats.lossRate = ratio(stats.losses, stats.played);
+  stats.favouriteMove = favouriteMove(stats.moves);
+  return stats;
+}
+
+// Construit le profil d'un joueur
+// matches : matchs clôturés (table matches) triés par date de début
+// rounds : manches des mêmes matchs (table rounds jointe à matches) triées par date
+function buildProfile(username, matches, rounds) {
+  const online = { matchesPlayed: 0, wins: 0, losses: 0, abandoned: 0, longestWinStreak: 0 };
+  const opponents = new Map();
+  let streak = 0;
+
+  matches
+    .filter((match) => match.mode !== "ai")
+    .forEach((match) => {
+      const opponent = match.player1 === username ? match.player2 : match.player1;
+      if (!opponents.has(opponent)) {
+        opponents.set(opponent, { opponent, matches: 0, wins: 0, losses: 0, abandoned: 0 });
+      }
+      const record = opponents.get(opponent);
+
+      online.matchesPlayed++;
+      record.matches++;
+
+      if (match.status === "abandoned") {
+        online.abandoned++;
+        record.abandoned++;
+        streak = 0;
+      } else if (match.winner === username) {
+        online.wins++;
+        record.wins++;
+        streak++;
+        online.longestWinStreak = Math.max(online.longestWinStreak, streak);
+      } else {
+        online.losses++;
+        record.losses++;
+        streak = 0;
+      }
+    });
+
+  online.winRate = ratio(online.wins, online.matchesPlayed);
+  online.lossRate = ratio(online.losses, online.matchesPlayed);
+
+  // Manches vues du point de vue du joueur
+  const toPlayerRound = (round) => {
+    const isPlayer1 = round.player1 === username;
+    let outcome = "loss";
+    if (!round.round_winner) outcome = "draw";
+    else if (round.round_winner === username) outcome = "win";
+    return { choice: isPlayer1 ? round.player1_choice : round.player2_choice, outcome };
+  };
+
+  const onlineRounds = roundStats(rounds.filter((round) => round.mode !== "ai").map(toPlayerRound));
+  const aiRounds = roundStats(rounds.filter((round) => round.mode === "ai").map(toPlayerRound));
+  const allRounds = roundStats(rounds.map(toPlayerRound));
+
+  return {
+    username,
+    gamesPlayed: allRounds.played,
+    winRate: allRounds.winRate,
+    drawRate: allRounds.drawRate,
+    lossRate: allRounds.lossRate,
+    longestWinStreak: allRounds.longestWinStreak,
+    favouriteMove: allRounds.favouriteMove,
+    moves: allRounds.moves,
+    online: { ...online, rounds: onlineRounds },
+    ai: { rounds: aiRounds },
+    opponents: Array.from(opponents.values()).sort((a, b) => b.matches - a.matches),
+  };
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  roundStats,
+  buildProfile,
+};
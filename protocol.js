@@ -0,0 +1,417 @@
+// protocol.js - Schéma des messages WebSocket échangés entre le client et le serveur
+
+// Version du protocole ; incrémentée à chaque changement incompatible des messages
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1; // Plus ancienne version encore acceptée
+
+// Codes des messages { type: "error", code, message } envoyés au client
+const ERROR_CODES = {
+  INVALID_JSON: "invalid_json", // Message illisible
+  UNKNOWN_TYPE: "unknown_type", // Type de message non déclaré
+  INVALID_MESSAGE: "invalid_message", // Champ manquant ou mal typé
+  HANDSHAKE_REQUIRED: "handshake_required", // Message reçu avant "hello"
+  UNSUPPORTED_PROTOCOL: "unsupported_protocol", // Version du client trop ancienne ou trop récente
+  RATE_LIMITED: "rate_limited", // Trop de messages
+  AUTH_REQUIRED: "auth_required", // Action réservée aux comptes connectés
+  NOT_FOUND: "not_found", // Partie, match, tournoi ou défi introuvable
+  FORBIDDEN: "forbidden", // Action réservée à un autre joueur (hôte, organisateur...)
+  CONFLICT: "conflict", // Action incompatible avec l'état actuel (match en cours, partie complète...)
+  INVALID_OPTIONS: "invalid_options", // Format, règles ou réglages refusés
+  INVALID_REVEAL: "invalid_reveal", // Coup dévoilé qui ne correspond pas à l'engagement
+  BAD_REQUEST: "bad_request", // Demande refusée par le serveur (pseudo inconnu, demande en double...)
+  UNAVAILABLE: "unavailable", // Serveur en cours d'arrêt : nouvelles parties refusées
+  INTERNAL_ERROR: "internal_error", // Erreur inattendue du serveur
+};
+
+// Champs réutilisés par plusieurs messages
+const USERNAME = { type: "string", maxLength: 64 };
+const ID = { type: "string", maxLength: 64 };
+const MATCH_OPTIONS = {
+  format: { type: "string", maxLength: 16 },
+  ruleSet: { type: "string", maxLength: 32 },
+  roundTime: { type: "integer" },
+  timeoutAction: { type: "string", maxLength: 16 },
+  moveProtocol: { type: "string", values: ["plain", "commit_reveal"] },
+};
+const required = (field) => ({ ...field, required: true });
+
+// Messages du client vers le serveur : type -> champs attendus.
+// Un champ absent ou null n'est vérifié que s'il est obligatoire ; les champs non déclarés sont ignorés.
+const CLIENT_MESSAGES = {
+  hello: { protocolVersion: { type: "integer", required: true } },
+
+  // Comptes et sessions
+  register: {
+    username: required(USERNAME),
+    email: { type: "string", required: true, maxLength: 254 },
+    password: { type: "string", required: true, maxLength: 128 },
+  },
+  login: {
+    username: USERNAME,
+    password: { type: "string", maxLength: 128 },
+    token: { type: "string", maxLength: 2048 },
+    refreshToken: { type: "string", maxLength: 256 },
+  },
+  logout: {},
+  list_sessions: {},
+  revoke_session: { sessionId: required(ID) },
+  logout_everywhere: {},
+  claim_guest: {
+    email: { type: "string", required: true, maxLength: 254 },
+    password: { type: "string", required: true, maxLength: 128 },
+  },
+  verify_email: { token: { type: "string", required: true, maxLength: 256 } },
+  resend_verification: {},
+  forgot_password: { email: { type: "string", required: true, maxLength: 254 } },
+  reset_password: {
+    token: { type: "string", required: true, maxLength: 256 },
+    password: { type: "string", required: true, maxLength: 128 },
+  },
+
+  // Parties
+  select_mode: { mode: { type: "string", required: true, values: ["ai", "online"] } },
+  play_ai: {
+    choice: { type: "string", required: true, maxLength: 32 },
+    strategy: { type: "string", maxLength: 32 },
+    ruleSet: MATCH_OPTIONS.ruleSet,
+  },
+  quick_match: { format: MATCH_OPTIONS.format, ruleSet: MATCH_OPTIONS.ruleSet },
+  cancel_queue: {},
+  create_private_game: { ...MATCH_OPTIONS, allowSpectators: { type: "boolean" } },
+  join_private_game: { gameId: required(ID) },
+  play_online: { choice: { type: "string", required: true, maxLength: 32 } },
+  commit_move: { commitment: { type: "string", required: true, pattern: /^[0-9a-f]{64}$/ } },
+  reveal_move: {
+    choice: { type: "string", required: true, maxLength: 32 },
+    nonce: { type: "string", required: true, maxLength: 128 },
+  },
+  ready_for_next_round: { ready: { type: "boolean", required: true } },
+  leave_game: {},
+
+  // Historique et profils
+  get_history: { username: USERNAME, page: { type: "integer" }, pageSize: { type: "integer" } },
+  get_match: { matchId: required(ID) },
+  get_profile: { username: USERNAME },
+
+  // Spectateurs
+  list_live_matches: {},
+  spectate: { matchId: required(ID) },
+  stop_spectating: {},
+
+  // Discussion
+  chat_message: {
+    scope: { type: "string", values: ["lobby", "match"] },
+    text: { type: "string", required: true, maxLength: 1000 },
+  },
+  set_chat_relation: {
+    username: required(USERNAME),
+    kind: { type: "string", required: true, values: ["mute", "block"] },
+    enabled: { type: "boolean" },
+  },
+
+  // Amis et défis
+  get_friends: {},
+  friend_request: { username: required(USERNAME) },
+  accept_friend: { username: required(USERNAME) },
+  remove_friend: { username: required(USERNAME) },
+  challenge: { username: required(USERNAME), ...MATCH_OPTIONS },
+  respond_challenge: { challengeId: required(ID), accept: { type: "boolean", required: true } },
+  cancel_challenge: { challengeId: required(ID) },
+
+  // Tournois
+  list_tournaments: {},
+  create_tournament: {
+    ...MATCH_OPTIONS,
+    name: { type: "string", maxLength: 100 },
+    tournamentType: { type: "string", maxLength: 32 },
+    maxPlayers: { type: "integer" },
+    rounds: { type: "integer" },
+  },
+  join_tournament: { tournamentId: required(ID) },
+  leave_tournament: { tournamentId: required(ID) },
+  cancel_tournament: { tournamentId: required(ID) },
+  start_tournament: { tournamentId: required(ID) },
+  get_tournament: { tournamentId: required(ID) },
+};
+
+// Messages du serveur vers le client : type -> champs toujours présents.
+// Vérifiés hors production pour repérer un message non déclaré ou incomplet.
+const SERVER_MESSAGES = {
+  welcome: {
+    protocolVersion: { type: "integer", required: true },
+    minProtocolVersion: { type: "integer", required: true },
+  },
+  error: {
+    code: { type: "string", required: true },
+    message: { type: "string", required: true },
+    retryAfter: { type: "integer" }, // rate_limited : secondes avant de réessayer
+    minProtocolVersion: { type: "integer" }, // unsupported_protocol : versions acceptées
+    protocolVersion: { type: "integer" },
+  },
+  server_restarting: {
+    message: { type: "string", required: true },
+    reconnectAfter: { type: "integer", required: true }, // Secondes à attendre avant de se reconnecter
+    resumable: { type: "boolean", required: true }, // Le match en cours a été sauvegardé
+  },
+  announcement: { message: { type: "string", required: true } }, // Annonce d'un administrateur
+
+  // Comptes et sessions
+  register_success: {
+    username: { type: "string", required: true },
+    token: { type: "string", required: true },
+    refreshToken: { type: "string", required: true },
+    emailVerified: { type: "boolean" },
+  },
+  register_error: { message: { type: "string", required: true } },
+  login_success: {
+    username: { type: "string" },
+    token: { type: "string" },
+    refreshToken: { type: "string" },
+    emailVerified: { type: "boolean" },
+    resumed: { type: "boolean" },
+  },
+  login_error: { message: { type: "string", required: true }, retryAfter: { type: "integer" } },
+  logout_success: {},
+  logout_error: { message: { type: "string", required: true } },
+  sessions: { sessions: { type: "array", required: true } },
+  session_revoked: { message: { type: "string", required: true } },
+  kicked: { message: { type: "string", required: true } }, // Exclu ou banni par un administrateur
+  guest_claimed: {
+    message: { type: "string", required: true },
+    username: { type: "string", required: true },
+    token: { type: "string", required: true },
+    refreshToken: { type: "string", required: true },
+  },
+  claim_guest_error: { message: { type: "string", required: true } },
+  email_verified: { message: { type: "string", required: true } },
+  email_verification_error: { message: { type: "string", required: true } },
+  verification_sent: { message: { type: "string", required: true } },
+  password_reset_requested: { message: { type: "string", required: true } },
+  password_reset_success: { message: { type: "string", required: true } },
+  password_reset_error: { message: { type: "string", required: true } },
+
+  // Lobby
+  rule_sets: { ruleSets: { type: "array", required: true } },
+  online_count: { count: { type: "integer", required: true } },
+  ranking: { ranking: { type: "array", required: true }, aiRanking: { type: "object", required: true } },
+
+  // Parties
+  ai_result: {
+    result: { type: "string", required: true, values: ["player", "ai", "draw"] },
+    playerChoice: { type: "string", required: true },
+    aiChoice: { type: "string", required: true },
+  },
+  queue_status: {},
+  queue_cancelled: {},
+  private_game_created: { gameId: { type: "string", required: true } },
+  private_game_closed: { gameId: { type: "string", required: true }, message: { type: "string", required: true } },
+  game_joined: {
+    opponent: { type: "string", required: true },
+    mode: { type: "string", required: true },
+    series: { type: "object", required: true },
+    ruleSet: { type: "object", required: true },
+  },
+  start_new_round: {
+    round: { type: "integer", required: true },
+    deadline: { type: "integer" },
+    moveProtocol: { type: "string", required: true },
+  },
+  opponent_committed: { round: { type: "integer", required: true }, commitment: { type: "string", required: true } },
+  reveal_requested: {
+    round: { type: "integer", required: true },
+    commitments: { type: "object", required: true },
+    deadline: { type: "integer" },
+  },
+  game_result: {
+    result: { type: "string", required: true },
+    opponentName: { type: "string", required: true },
+    series: { type: "object", required: true },
+    transcript: { type: "object" }, // Journal de la manche en coups engagés
+  },
+  match_over: {
+    winner: { type: "string" }, // null pour un match abandonné
+    result: { type: "string", required: true, values: ["player", "opponent", "abandoned"] },
+    reason: { type: "string", required: true },
+    series: { type: "object", required: true },
+    transcript: { type: "array", required: true },
+  },
+  match_resumed: {
+    opponent: { type: "string", required: true },
+    series: { type: "object", required: true },
+    phase: { type: "string", required: true },
+    commitments: { type: "object" },
+  },
+  opponent_left: { message: { type: "string", required: true } },
+  opponent_disconnected: { message: { type: "string", required: true }, graceSeconds: { type: "integer" } },
+  opponent_reconnected: { message: { type: "string", required: true }, phase: { type: "string" } },
+
+  // Historique et profils
+  history: { matches: { type: "array", required: true } },
+  match_details: { match: { type: "object", required: true } },
+  profile: { profile: { type: "object", required: true } },
+
+  // Spectateurs
+  live_matches: { matches: { type: "array", required: true } },
+  spectator_count: { matchId: { type: "string", required: true }, count: { type: "integer", required: true } },
+  spectate_started: { match: { type: "object", required: true }, ruleSet: { type: "object", required: true } },
+  spectate_round_started: { match: { type: "object", required: true } },
+  spectate_move_committed: {
+    matchId: { type: "string", required: true },
+    round: { type: "integer", required: true },
+    player: { type: "string", required: true },
+    commitment: { type: "string" },
+  },
+  spectate_round_result: { round: { type: "integer", required: true }, match: { type: "object", required: true } },
+  spectate_update: { match: { type: "object", required: true } },
+  spectate_match_over: {
+    match: { type: "object", required: true },
+    reason: { type: "string" },
+    transcript: { type: "array", required: true },
+  },
+
+  // Discussion
+  chat_history: { scope: { type: "string", required: true }, messages: { type: "array", required: true } },
+  chat_message: { message: { type: "object", required: true } },
+  chat_relations: { muted: { type: "array", required: true }, blocked: { type: "array", required: true } },
+  chat_error: { message: { type: "string", required: true } },
+
+  // Amis et défis
+  friends: {
+    friends: { type: "array", required: true },
+    incoming: { type: "array", required: true },
+    outgoing: { type: "array", required: true },
+  },
+  friend_request_received: { from: { type: "string", required: true } },
+  presence_update: { username: { type: "string", required: true }, presence: { type: "string", required: true } },
+  challenge_received: { challengeId: { type: "string", required: true }, from: { type: "string", required: true } },
+  challenge_sent: { challengeId: { type: "string", required: true }, to: { type: "string", required: true } },
+  challenge_closed: {
+    challengeId: { type: "string", required: true },
+    reason: { type: "string", required: true, values: ["accepted", "declined", "cancelled", "expired", "unavailable"] },
+  },
+
+  // Tournois
+  tournaments: { tournaments: { type: "array", required: true } },
+  tournament_created: { tournament: { type: "object", required: true } },
+  tournament_update: { tournament: { type: "object", required: true } },
+  tournament_left: { tournamentId: { type: "string", required: true } },
+  tournament_cancelled: { tournamentId: { type: "string", required: true }, message: { type: "string" } },
+};
+
+// Vérifier le type d'une valeur JSON
+function hasType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+// Vérifier un message selon les champs déclarés, retourne la liste des problèmes (vide si valide)
+function validateFields(fields, message) {
+  const problems = [];
+
+  Object.entries(fields).forEach(([name, field]) => {
+    const value = message[name];
+    if (value === undefined || value === null) {
+      if (field.required) problems.push(`"${name}" est obligatoire`);
+      return;
+    }
+    if (!hasType(value, field.type)) {
+      problems.push(`"${name}" doit être de type ${field.type}`);
+    } else if (field.maxLength && value.length > field.maxLength) {
+      problems.push(`"${name}" dépasse ${field.maxLength} caractères`);
+    } else if (field.values && !field.values.includes(value)) {
+      problems.push(`"${name}" doit valoir ${field.values.join(", ")}`);
+    } else if (field.pattern && !field.pattern.test(value)) {
+      problems.push(`"${name}" n'a pas le format attendu`);
+    }
+  });
+
+  return problems;
+}
+
+// Décoder et valider un message reçu du client.
+// Retourne le message, ou lève { code, message } à renvoyer au client comme erreur
+function parseClientMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    throw { code: ERROR_CODES.INVALID_JSON, message: "Message illisible (JSON invalide)." };
+  }
+
+  if (!hasType(message, "object") || typeof message.type !== "string") {
+    throw { code: ERROR_CODES.INVALID_MESSAGE, message: "Le message doit être un objet avec un champ \"type\"." };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, message.type)) {
+    throw { code: ERROR_CODES.UNKNOWN_TYPE, message: `Type de message inconnu : ${message.type.slice(0, 64)}.` };
+  }
+
+  const problems = validateFields(CLIENT_MESSAGES[message.type], message);
+  if (problems.length > 0) {
+    throw { code: ERROR_CODES.INVALID_MESSAGE, message: `Message "${message.type}" invalide : ${problems.join(", ")}.` };
+  }
+
+  return message;
+}
+
+// Vérifier un message avant son envoi au client, retourne la liste des problèmes (vide si valide)
+function checkServerMessage(message) {
+  if (!Object.prototype.hasOwnProperty.call(SERVER_MESSAGES, message.type)) {
+    return [`type de message non déclaré : ${message.type}`];
+  }
+  return validateFields(SERVER_MESSAGES[message.type], message);
+}
+
+// Code d'erreur correspondant au statut HTTP d'une erreur { status, message } des services
+function codeForStatus(status) {
+  switch (status) {
+    case 400:
+      return ERROR_CODES.BAD_REQUEST;
+    case 401:
+      return ERROR_CODES.AUTH_REQUIRED;
+    case 403:
+      return ERROR_CODES.FORBIDDEN;
+    case 404:
+      return ERROR_CODES.NOT_FOUND;
+    case 409:
+      return ERROR_CODES.CONFLICT;
+    case 429:
+      return ERROR_CODES.RATE_LIMITED;
+    case 503:
+      return ERROR_CODES.UNAVAILABLE;
+    default:
+      return ERROR_CODES.INTERNAL_ERROR;
+  }
+}
+
+// La version annoncée par le client est-elle prise en charge ?
+function isSupportedVersion(version) {
+  return Number.isInteger(version) && version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  parseClientMessage,
+  checkServerMessage,
+  codeForStatus,
+  isSupportedVersion,
+};
@@ -0,0 +1,110 @@
+// ratelimit.js - Protection contre la force brute à la connexion et limitation du débit des messages
+
+// Configuration des tentatives de connexion
+const LOGIN_WINDOW = 15 * 60; // Fenêtre de comptage des échecs (secondes)
+const LOGIN_LOCKOUT = 15 * 60; // Durée du blocage temporaire (secondes)
+const MAX_FAILURES_PER_USERNAME = 5; // Échecs tolérés pour un même compte...
+const MAX_FAILURES_PER_IP = 20; // ...et pour une même adresse IP (plusieurs comptes)
+
+// Configuration des messages WebSocket (seau à jetons par connexion)
+const MESSAGE_BURST = 20; // Messages acceptés d'affilée
+const MESSAGE_RATE = 10; // Messages rechargés par seconde
+const MAX_VIOLATIONS = 50; // Messages refusés avant déconnexion...
+const VIOLATION_WINDOW = 10; // ...sur cette fenêtre (secondes)
+
+// Classe pour compter les échecs de connexion par compte et par adresse IP
+class LoginThrottle {
+  constructor({ window = LOGIN_WINDOW, lockout = LOGIN_LOCKOUT } = {}) {
+    this.window = window * 1000;
+    this.lockout = lockout * 1000;
+    this.entries = new Map(); // clé -> { failures: [horodatages], lockedUntil }
+  }
+
+  keys(ip, username) {
+    const keys = [];
+    if (username) keys.push({ key: `user:${String(username).toLowerCase()}`, max: MAX_FAILURES_PER_USERNAME });
+    if (ip) keys.push({ key: `ip:${ip}`, max: MAX_FAILURES_PER_IP });
+    return keys;
+  }
+
+  // Secondes restantes avant de pouvoir réessayer, 0 si la tentative est autorisée
+  retryAfter(ip, username, now = Date.now()) {
+    const lockedUntil = Math.max(
+      0,
+      ...this.keys(ip, username).map(({ key }) => (this.entries.get(key) || {}).lockedUntil || 0)
+    );
+    return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+  }
+
+  recordFailure(ip, username, now = Date.now()) {
+    this.keys(ip, username).forEach(({ key, max }) => {
+      const entry = this.entries.get(key) || { failures: [], lockedUntil: 0 };
+      entry.failures = entry.failures.filter((time) => time > now - this.window);
+      entry.failures.push(now);
+
+      // Blocage temporaire, le compteur repart de zéro à la fin du blocage
+      if (entry.failures.length >= max) {
+        entry.lockedUntil = now + this.lockout;
+        entry.failures = [];
+      }
+      this.entries.set(key, entry);
+    });
+  }
+
+  // Une connexion réussie efface les échecs du compte, pas ceux de l'adresse IP
+  recordSuccess(username) {
+    this.entries.delete(`user:${String(username).toLowerCase()}`);
+  }
+
+  // Oublier les entrées qui ne bloquent plus rien
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries.entries()) {
+      const recent = entry.failures.some((time) => time > now - this.window);
+      if (!recent && entry.lockedUntil <= now) this.entries.delete(key);
+    }
+  }
+}
+
+// Classe pour limiter le débit des messages d'une connexion
+class MessageRateLimiter {
+  constructor({ burst = MESSAGE_BURST, rate = MESSAGE_RATE, maxViolations = MAX_VIOLATIONS } = {}) {
+    this.burst = burst;
+    this.rate = rate;
+    this.maxViolations = maxViolations;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.violations = []; // Horodatage des messages refusés
+  }
+
+  // Retourne true si le message peut être traité
+  consume(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.updatedAt = Math.max(now, this.updatedAt);
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+
+    this.violations = this.violations.filter((time) => time > now - VIOLATION_WINDOW * 1000);
+    this.violations.push(now);
+    return false;
+  }
+
+  // Le client continue d'envoyer malgré les refus : il doit être déconnecté
+  isAbusive() {
+    return this.violations.length >= this.maxViolations;
+  }
+
+  // Secondes avant qu'un nouveau message soit accepté
+  retryAfter() {
+    return Math.max(1, Math.ceil((1 - this.tokens) / this.rate));
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  LoginThrottle,
+  MessageRateLimiter,
+};
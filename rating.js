@@ -0,0 +1,41 @@
+// rating.js - Calcul du classement Elo des joueurs
+
+// Configuration
+const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 10; // Nombre de matchs avant que le classement soit considéré comme fiable
+const K_FACTOR_PROVISIONAL = 40; // Les nouveaux comptes bougent plus vite
+const K_FACTOR_ESTABLISHED = 20;
+
+// Probabilité de victoire attendue du joueur A contre le joueur B
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+// Un classement reste provisoire tant que le joueur a peu de matchs
+function isProvisional(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES;
+}
+
+function kFactor(gamesPlayed) {
+  return isProvisional(gamesPlayed) ? K_FACTOR_PROVISIONAL : K_FACTOR_ESTABLISHED;
+}
+
+// Calcule les nouveaux classements après un match
+// winner et loser sont de la forme { rating, gamesPlayed }
+function computeMatchRatings(winner, loser) {
+  const expectedWinner = expectedScore(winner.rating, loser.rating);
+  const expectedLoser = 1 - expectedWinner;
+
+  return {
+    winner: Math.round(winner.rating + kFactor(winner.gamesPlayed) * (1 - expectedWinner)),
+    loser: Math.round(loser.rating + kFactor(loser.gamesPlayed) * (0 - expectedLoser)),
+  };
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  isProvisional,
+  computeMatchRatings,
+};
@@ -0,0 +1,177 @@
+// redis.js - Client minimal pour un serveur compatible Redis (protocole RESP), sans dépendance
+
+const net = require("net");
+const { EventEmitter } = require("events");
+
+// Configuration
+const RECONNECT_DELAY = 1000; // Délai avant de retenter la connexion (ms)
+
+// Lire une réponse RESP à partir de `offset`, retourne { value, offset } ou null si elle est incomplète
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const prefix = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (prefix) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: parseInt(line, 10), offset: next };
+    case "$": {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString("utf8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Réponse RESP inattendue : ${prefix}`);
+  }
+}
+
+// Encoder une commande sous forme de tableau de chaînes RESP
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  args.forEach((arg) => {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return command;
+}
+
+// Lire une adresse redis://[:motdepasse@]hôte[:port][/base]
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== "redis:") throw new Error(`Adresse Redis invalide : ${url}`);
+  return {
+    host: parsed.hostname || "127.0.0.1",
+    port: parseInt(parsed.port, 10) || 6379,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    database: parseInt(parsed.pathname.slice(1), 10) || 0,
+  };
+}
+
+// Classe pour une connexion au serveur : les commandes sont traitées dans l'ordre d'envoi.
+// Une connexion abonnée à des canaux ne sert plus qu'à recevoir les messages publiés ("message").
+class RedisClient extends EventEmitter {
+  constructor(url) {
+    super();
+    this.options = parseRedisUrl(url);
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // Commandes en attente de réponse { resolve, reject }
+    this.channels = new Set(); // Canaux à réabonner après une reconnexion
+    this.closing = false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.options.port, this.options.host);
+      this.socket = socket;
+      this.buffer = Buffer.alloc(0);
+
+      socket.once("connect", async () => {
+        socket.removeListener("error", reject);
+        socket.on("error", (error) => this.emit("error", error));
+        try {
+          if (this.options.password) await this.command("AUTH", this.options.password);
+          if (this.options.database) await this.command("SELECT", this.options.database);
+          if (this.channels.size > 0) this.write(["SUBSCRIBE", ...this.channels]);
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      socket.once("error", reject);
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("close", () => this.onClose());
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while ((reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.slice(reply.offset);
+      this.onReply(reply.value);
+    }
+  }
+
+  onReply(value) {
+    // Message publié sur un canal : ["message", canal, contenu]
+    if (Array.isArray(value) && value[0] === "message") {
+      this.emit("message", value[1], value[2]);
+      return;
+    }
+    // Confirmations d'abonnement, sans commande en attente
+    if (Array.isArray(value) && value[0] === "subscribe") return;
+
+    const request = this.pending.shift();
+    if (!request) return;
+    if (value instanceof Error) request.reject(value);
+    else request.resolve(value);
+  }
+
+  onClose() {
+    // Les commandes sans réponse sont perdues avec la connexion
+    this.pending.splice(0).forEach((request) => request.reject(new Error("Connexion Redis fermée")));
+    if (this.closing) return;
+
+    this.emit("error", new Error("Connexion Redis perdue, nouvelle tentative..."));
+    setTimeout(() => {
+      this.connect().catch((error) => this.emit("error", error));
+    }, RECONNECT_DELAY);
+  }
+
+  write(args) {
+    this.socket.write(encodeCommand(args));
+  }
+
+  // Exécuter une commande, retourne la réponse du serveur
+  command(...args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.destroyed) {
+        reject(new Error("Connexion Redis indisponible"));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.write(args);
+    });
+  }
+
+  // S'abonner à un canal : les messages sont émis par l'événement "message" (canal, contenu)
+  subscribe(channel) {
+    this.channels.add(channel);
+    if (this.socket && !this.socket.destroyed) this.write(["SUBSCRIBE", channel]);
+  }
+
+  quit() {
+    this.closing = true;
+    if (this.socket) this.socket.end(encodeCommand(["QUIT"]));
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  RedisClient,
+  parseReply,
+  encodeCommand,
+};
@@ -0,0 +1,128 @@
+// rules.js - Règles du jeu : coups disponibles et graphe "bat"
+
+// Configuration
+const DEFAULT_RULE_SET = "classic";
+
+// Tous les coups connus, identifiés sans accents pour le protocole
+const MOVES = {
+  pierre: { label: "Pierre", emoji: "🪨" },
+  feuille: { label: "Feuille", emoji: "📄" },
+  ciseaux: { label: "Ciseaux", emoji: "✂️" },
+  lezard: { label: "Lézard", emoji: "🦎" },
+  spock: { label: "Spock", emoji: "🖖" },
+  feu: { label: "Feu", emoji: "🔥" },
+  eponge: { label: "Éponge", emoji: "🧽" },
+  air: { label: "Air", emoji: "💨" },
+  eau: { label: "Eau", emoji: "💧" },
+  serpent: { label: "Serpent", emoji: "🐍" },
+  humain: { label: "Humain", emoji: "🧍" },
+  arbre: { label: "Arbre", emoji: "🌳" },
+  loup: { label: "Loup", emoji: "🐺" },
+  dragon: { label: "Dragon", emoji: "🐉" },
+  diable: { label: "Diable", emoji: "😈" },
+  eclair: { label: "Éclair", emoji: "⚡" },
+  pistolet: { label: "Pistolet", emoji: "🔫" },
+};
+
+// Règles où chaque coup bat les `count` coups qui le suivent dans le cycle
+function cyclicBeats(moves, count) {
+  const beats = {};
+  moves.forEach((move, index) => {
+    beats[move] = [];
+    for (let offset = 1; offset <= count; offset++) {
+      beats[move].push(moves[(index + offset) % moves.length]);
+    }
+  });
+  return beats;
+}
+
+// Jeux de règles disponibles
+const RULE_SETS = {
+  classic: {
+    name: "Pierre-Feuille-Ciseaux",
+    moves: ["pierre", "feuille", "ciseaux"],
+    beats: {
+      pierre: ["ciseaux"],
+      feuille: ["pierre"],
+      ciseaux: ["feuille"],
+    },
+  },
+  rpsls: {
+    name: "Pierre-Feuille-Ciseaux-Lézard-Spock",
+    moves: ["pierre", "feuille", "ciseaux", "lezard", "spock"],
+    beats: {
+      pierre: ["ciseaux", "lezard"],
+      feuille: ["pierre", "spock"],
+      ciseaux: ["feuille", "lezard"],
+      lezard: ["feuille", "spock"],
+      spock: ["pierre", "ciseaux"],
+    },
+  },
+  rps7: {
+    name: "RPS-7",
+    moves: ["pierre", "feu", "ciseaux", "eponge", "feuille", "air", "eau"],
+    beats: cyclicBeats(["pierre", "feu", "ciseaux", "eponge", "feuille", "air", "eau"], 3),
+  },
+  rps15: {
+    name: "RPS-15",
+    moves: [
+      "pierre", "feu", "ciseaux", "serpent", "humain", "arbre", "loup", "eponge",
+      "feuille", "air", "eau", "dragon", "diable", "eclair", "pistolet",
+    ],
+    beats: cyclicBeats(
+      [
+        "pierre", "feu", "ciseaux", "serpent", "humain", "arbre", "loup", "eponge",
+        "feuille", "air", "eau", "dragon", "diable", "eclair", "pistolet",
+      ],
+      7
+    ),
+  },
+};
+
+// Récupérer un jeu de règles (null si inconnu)
+function getRuleSet(id) {
+  const ruleSetId = id || DEFAULT_RULE_SET;
+  if (!Object.prototype.hasOwnProperty.call(RULE_SETS, ruleSetId)) return null;
+  return { id: ruleSetId, ...RULE_SETS[ruleSetId] };
+}
+
+function isValidMove(ruleSet, move) {
+  return ruleSet.moves.includes(move);
+}
+
+// Résultat d'une manche : "draw", "player1" ou "player2"
+function getResult(ruleSet, choice1, choice2) {
+  if (choice1 === choice2) return "draw";
+  if (ruleSet.beats[choice1].includes(choice2)) return "player1";
+  return "player2";
+}
+
+// Coups qui battent un coup donné
+function counterMoves(ruleSet, move) {
+  return ruleSet.moves.filter((candidate) => ruleSet.beats[candidate].includes(move));
+}
+
+// Description d'un jeu de règles envoyée aux clients
+function describeRuleSet(ruleSet) {
+  return {
+    id: ruleSet.id,
+    name: ruleSet.name,
+    moves: ruleSet.moves.map((move) => ({ id: move, ...MOVES[move] })),
+    beats: ruleSet.beats,
+  };
+}
+
+function listRuleSets() {
+  return Object.keys(RULE_SETS).map((id) => describeRuleSet(getRuleSet(id)));
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  DEFAULT_RULE_SET,
+  getRuleSet,
+  isValidMove,
+  getResult,
+  counterMoves,
+  describeRuleSet,
+  listRuleSets,
+};
@@ -0,0 +1,231 @@
+// series.js - Gestion des formats de match (best of N, first to N) et du score de la série
+
+const { v4: uuidv4 } = require("uuid");
+const { MOVE_PROTOCOLS, MoveCommitments } = require("./fairplay");
+const { getRuleSet } = require("./rules");
+
+// Configuration
+const DEFAULT_FORMAT = "bo3";
+const BEST_OF_FORMATS = [3, 5, 7];
+const MAX_FIRST_TO = 10;
+const DEFAULT_ROUND_TIME = 30; // Temps pour jouer un coup (secondes)
+const MIN_ROUND_TIME = 5;
+const MAX_ROUND_TIME = 120;
+const TIMEOUT_ACTIONS = ["forfeit", "random"]; // Manche perdue ou coup joué au hasard
+const MAX_CONSECUTIVE_TIMEOUTS = 3; // Au-delà, le joueur perd le match par forfait
+const READY_TIMEOUT = 15; // Temps avant le lancement automatique de la manche suivante (secondes)
+
+// Analyse un format de match ("bo3", "bo5", "bo7" ou "ftN")
+// Retourne null si le format n'est pas reconnu
+function parseMatchFormat(format) {
+  const code = String(format || DEFAULT_FORMAT).toLowerCase();
+
+  const bestOf = /^bo(\d+)$/.exec(code);
+  if (bestOf) {
+    const rounds = parseInt(bestOf[1], 10);
+    if (!BEST_OF_FORMATS.includes(rounds)) return null;
+    return {
+      code,
+      type: "best_of",
+      winsNeeded: Math.ceil(rounds / 2),
+      label: `Au meilleur des ${rounds} manches`,
+    };
+  }
+
+  const firstTo = /^ft(\d+)$/.exec(code);
+  if (firstTo) {
+    const target = parseInt(firstTo[1], 10);
+    if (target < 1 || target > MAX_FIRST_TO) return null;
+    return {
+      code,
+      type: "first_to",
+      winsNeeded: target,
+      label: `Premier à ${target} victoire${target > 1 ? "s" : ""}`,
+    };
+  }
+
+  return null;
+}
+
+// Analyse les réglages du chronomètre d'un match
+// Retourne null si les réglages sont invalides
+function parseMatchSettings({ roundTime, timeoutAction, moveProtocol } = {}) {
+  const seconds = roundTime === undefined ? DEFAULT_ROUND_TIME : parseInt(roundTime, 10);
+  if (!(seconds >= MIN_ROUND_TIME && seconds <= MAX_ROUND_TIME)) return null;
+
+  const action = timeoutAction || TIMEOUT_ACTIONS[0];
+  if (!TIMEOUT_ACTIONS.includes(action)) return null;
+
+  // Coups en clair par défaut, engagés puis dévoilés sur demande (voir fairplay.js)
+  const protocol = moveProtocol || MOVE_PROTOCOLS[0];
+  if (!MOVE_PROTOCOLS.includes(protocol)) return null;
+
+  return { roundTime: seconds, timeoutAction: action, moveProtocol: protocol };
+}
+
+// Création de l'état d'une série entre deux joueurs
+function createSeries(
+  player1,
+  player2,
+  { format, mode, ruleSet, settings = parseMatchSettings(), allowSpectators = true }
+) {
+  return {
+    id: uuidv4(),
+    players: [player1, player2],
+    format,
+    mode,
+    ruleSet,
+    settings,
+    scores: { [player1]: 0, [player2]: 0 },
+    timeouts: { [player1]: 0, [player2]: 0 }, // Délais dépassés consécutifs
+    commitments: null, // Engagements de la manche en cours (coups engagés uniquement)
+    transcript: [], // Journal publié des engagements et dévoilements, manche par manche
+    allowSpectators,
+    spectators: new Set(), // Connexions des spectateurs
+    round: 1,
+    phase: "waiting", // "playing" pendant une manche, "revealing" pendant les dévoilements, "between_rounds" entre deux manches
+    deadline: null,
+    timer: null,
+    winner: null,
+    endReason: null,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+// Comptabilise un délai dépassé, retourne true si le joueur doit perdre le match par forfait
+function recordTimeout(series, player) {
+  series.timeouts[player]++;
+  return series.timeouts[player] >= MAX_CONSECUTIVE_TIMEOUTS;
+}
+
+// Enregistre le résultat d'une manche (winner = null en cas d'égalité)
+// Retourne le vainqueur du match si la série est terminée, sinon null
+function recordRound(series, winner) {
+  if (winner) {
+    series.scores[winner]++;
+    if (series.scores[winner] >= series.format.winsNeeded) {
+      series.winner = winner;
+    }
+  }
+  series.round++;
+  return series.winner;
+}
+
+// Vue de la série du point de vue d'un joueur
+function seriesView(series, player) {
+  const opponent = series.players.find((name) => name !== player);
+  return {
+    matchId: series.id,
+    format: series.format.code,
+    label: series.format.label,
+    ruleSet: series.ruleSet.id,
+    roundTime: series.settings.roundTime,
+    timeoutAction: series.settings.timeoutAction,
+    moveProtocol: series.settings.moveProtocol,
+    winsNeeded: series.format.winsNeeded,
+    round: series.round,
+    playerScore: series.scores[player],
+    opponentScore: series.scores[opponent],
+  };
+}
+
+// Vue neutre de la série pour les spectateurs (les coups de la manche en cours restent cachés)
+function spectatorView(series) {
+  return {
+    id: series.id,
+    mode: series.mode,
+    players: series.players,
+    format: series.format.code,
+    label: series.format.label,
+    ruleSet: series.ruleSet.id,
+    roundTime: series.settings.roundTime,
+    moveProtocol: series.settings.moveProtocol,
+    winsNeeded: series.format.winsNeeded,
+    round: series.round,
+    scores: series.scores,
+    phase: series.phase,
+    spectators: series.spectators.size,
+    startedAt: series.startedAt,
+  };
+}
+
+// État d'une série enregistrable en JSON, pour la reprendre après un redémarrage du serveur.
+// `choices` contient les coups déjà joués de la manche en cours (coups en clair)
+function serializeSeries(series, choices = {}) {
+  const remaining = series.paused
+    ? series.pausedRemaining
+    : series.deadline
+    ? Math.max(0, series.deadline - Date.now())
+    : null;
+
+  return {
+    id: series.id,
+    players: series.players,
+    mode: series.mode,
+    format: series.format.code,
+    ruleSet: series.ruleSet.id,
+    settings: series.settings,
+    allowSpectators: series.allowSpectators,
+    privateGameId: series.privateGameId || null,
+    scores: series.scores,
+    timeouts: series.timeouts,
+    commitments: series.commitments && {
+      commitments: series.commitments.commitments,
+      reveals: series.commitments.reveals,
+      timedOut: series.commitments.timedOut,
+    },
+    transcript: series.transcript,
+    round: series.round,
+    phase: series.phase,
+    remaining, // Temps restant avant l'échéance en cours (ms)
+    choices,
+    startedAt: series.startedAt,
+  };
+}
+
+// Recréer une série enregistrée ; elle reste en pause jusqu'au retour des joueurs
+function restoreSeries(state) {
+  const [player1, player2] = state.players;
+  const series = createSeries(player1, player2, {
+    format: parseMatchFormat(state.format),
+    mode: state.mode,
+    ruleSet: getRuleSet(state.ruleSet),
+    settings: state.settings,
+    allowSpectators: state.allowSpectators,
+  });
+
+  Object.assign(series, {
+    id: state.id,
+    scores: state.scores,
+    timeouts: state.timeouts,
+    transcript: state.transcript,
+    round: state.round,
+    phase: state.phase,
+    startedAt: state.startedAt,
+    paused: true,
+    pausedRemaining: state.remaining,
+  });
+  if (state.privateGameId) series.privateGameId = state.privateGameId;
+  if (state.commitments) {
+    series.commitments = Object.assign(
+      new MoveCommitments(series.id, series.round, series.players),
+      state.commitments
+    );
+  }
+  return series;
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  DEFAULT_FORMAT,
+  READY_TIMEOUT,
+  parseMatchFormat,
+  parseMatchSettings,
+  createSeries,
+  recordRound,
+  recordTimeout,
+  seriesView,
+  spectatorView,
+  serializeSeries,
+  restoreSeries,
+};
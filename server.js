@@ -1,17 +1,66 @@
+const http = require("http");
 const WebSocket = require("ws");
-const sqlite3 = require("sqlite3").verbose();
 const { v4: uuidv4 } = require("uuid");
-const bcrypt = require("bcrypt"); // Vous devrez installer ce package: npm install bcrypt
-const jwt = require("jsonwebtoken"); // Vous devrez installer ce package: npm install jsonwebtoken
+const {
+  READY_TIMEOUT,
+  parseMatchFormat,
+  parseMatchSettings,
+  createSeries,
+  recordRound,
+  recordTimeout,
+  seriesView,
+  spectatorView,
+  serializeSeries,
+  restoreSeries,
+} = require("./series");
+const { DEFAULT_RATING, isProvisional, computeMatchRatings } = require("./rating");
+const { Matchmaker } = require("./matchmaking");
+const { MatchHistory } = require("./history");
+const { AI_STRATEGIES, DEFAULT_STRATEGY, AIOpponent } = require("./ai");
+const { getRuleSet, isValidMove, getResult, describeRuleSet, listRuleSets } = require("./rules");
+const { parseTournamentOptions, Tournament } = require("./tournament");
+const { ChatService } = require("./chat");
+const { FriendStore } = require("./friends");
+const { createApiApp } = require("./api");
+const { db, ready: databaseReady } = require("./database");
+const { AuthManager, clientInfo } = require("./auth");
+const { MessageRateLimiter } = require("./ratelimit");
+const { REVEAL_TIMEOUT, MoveCommitments } = require("./fairplay");
+const { createStateStore } = require("./state");
+const { Cluster, RemoteSocket } = require("./cluster");
+const { SnapshotStore } = require("./snapshots");
+const { ModerationManager } = require("./moderation");
+const { logger } = require("./logger");
+const { registry, metrics } = require("./metrics");
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  parseClientMessage,
+  checkServerMessage,
+  isSupportedVersion,
+  codeForStatus,
+} = require("./protocol");
 
 // Configuration
-const JWT_SECRET = process.env.JWT_SECRET || "votre_clé_secrète_jwt"; // À changer en production
-const SALT_ROUNDS = 10;
-const TOKEN_EXPIRY = '7d'; // Durée de validité du token
+const MATCHMAKING_INTERVAL = 2000; // Fréquence de l'association des joueurs en file d'attente (ms)
+const RECONNECT_GRACE = 60; // Délai pour revenir dans un match après une déconnexion (secondes)
+const RESTART_GRACE = 120; // Délai pour revenir dans un match sauvegardé après un redémarrage du serveur (secondes)
+const RESTART_RECONNECT_DELAY = 5; // Attente conseillée aux clients avant de se reconnecter (secondes)
+const SHUTDOWN_TIMEOUT = 10; // Arrêt forcé si l'arrêt propre n'est pas terminé à temps (secondes)
+const PRIVATE_GAME_RETENTION = 60 * 60; // Durée pendant laquelle une partie privée sauvegardée peut être reprise (secondes)
+const AI_RANKING_SIZE = 10; // Nombre de joueurs affichés par niveau dans le classement IA
+const CHALLENGE_TIMEOUT = 60; // Délai pour répondre à un défi (secondes)
+const TOURNAMENT_ROUND_DELAY = 10; // Pause entre deux rondes d'un tournoi (secondes)
+const TOURNAMENT_RETENTION = 60 * 60; // Durée de conservation d'un tournoi terminé (secondes)
+const CHECK_SERVER_MESSAGES = process.env.NODE_ENV !== "production"; // Vérifier les messages envoyés selon le protocole
+
+// Serveur HTTP partagé par l'API REST et le WebSocket
+const server = http.createServer();
 
 // Configuration du serveur WebSocket
 const wss = new WebSocket.Server({
-  port: process.env.PORT || 8080,
+  server,
   // Permettre les connexions depuis n'importe quelle origine
   perMessageDeflate: {
     zlibDeflateOptions: {
@@ -30,877 +79,3100 @@ const wss = new WebSocket.Server({
   },
 });
 
-// Initialisation de la base de données
-const db = new sqlite3.Database("./database.sqlite");
-
-// Initialisation des tables
-db.serialize(() => {
-  // Table des utilisateurs
-  db.run(`CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE,
-    email TEXT UNIQUE,
-    password TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    last_login TIMESTAMP
-  )`);
-
-  // Table des sessions
-  db.run(`CREATE TABLE IF NOT EXISTS sessions (
-    token TEXT PRIMARY KEY,
-    user_id TEXT,
-    expires_at TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  )`);
-
-  // Table des scores
-  db.run("CREATE TABLE IF NOT EXISTS players (username TEXT PRIMARY KEY, score INTEGER)");
+const players = new Map(); // Stocke les joueurs connectés
+const playerModes = new Map(); // Stocke le mode de jeu de chaque joueur
+const matchmaker = new Matchmaker(); // File d'attente pour les parties rapides
+const privateGames = new Map(); // Stocke les parties privées
+const matches = new Map(); // Stocke les matchs en cours
+const activeSeries = new Map(); // Stocke l'état des séries en cours (format, scores)
+const playerReadyState = new Map(); // Stocke l'état "prêt" des joueurs
+const authenticatedUsers = new Map(); // Stocke les utilisateurs authentifiés
+const aiSessions = new Map(); // Stocke la session en cours de chaque joueur contre l'IA
+const disconnectedPlayers = new Map(); // Stocke les joueurs en attente de reconnexion
+const tournaments = new Map(); // Stocke les tournois (inscriptions, en cours et terminés)
+const chat = new ChatService(db);
+const friendStore = new FriendStore(db);
+const friendCache = new Map(); // Amis des utilisateurs connectés
+const lastPresence = new Map(); // Dernière présence annoncée aux amis
+const challenges = new Map(); // Stocke les défis en attente de réponse
+const matchHistory = new MatchHistory(db);
+const snapshots = new SnapshotStore(db);
+const cluster = new Cluster(createStateStore()); // État partagé avec les autres instances du serveur
+const remoteMatches = new Map(); // Joueurs connectés ici dont le match est hébergé par une autre instance
+let shuttingDown = false; // Arrêt du serveur en cours : plus de nouvelles parties
+let lastRankingData = null; // Dernier classement diffusé aux joueurs de cette instance
+
+// Connexion d'un joueur qui n'est pas encore revenu dans un match repris après un redémarrage
+const DETACHED_SOCKET = { readyState: WebSocket.CLOSED, send() {}, close() {} };
+
+wss.on("connection", (ws, req) => {
+  // État de la connexion, transmis à chaque gestionnaire de message
+  const connectionId = uuidv4();
+  const ctx = {
+    ws,
+    log: logger.child({ connectionId }), // Journal de la connexion (complété par le pseudo une fois connecté)
+    client: clientInfo(req), // Appareil et adresse IP enregistrés avec la session
+    protocolVersion: null, // Version annoncée par le client dans "hello"
+    player: null,
+    userId: null,
+    token: null,
+    sessionId: null,
+    spectatedSeries: null, // Match suivi en tant que spectateur
+  };
+  const rateLimiter = new MessageRateLimiter();
+  let rateLimitNotified = false; // Un seul avertissement par rafale de messages refusés
+  ctx.log.debug("Connexion ouverte", { ip: ctx.client.ip, device: ctx.client.device });
+
+  ws.on("message", async (message) => {
+    // Limiter le débit avant tout traitement, y compris des messages malformés
+    if (!rateLimiter.consume()) {
+      if (rateLimiter.isAbusive()) {
+        ctx.log.warn("Connexion fermée pour abus", { ip: ctx.client.ip, player: ctx.player });
+        ws.close(1008, "Trop de messages");
+        return;
+      }
+      if (!rateLimitNotified) {
+        rateLimitNotified = true;
+        sendError(ws, ERROR_CODES.RATE_LIMITED, "Vous envoyez trop de messages. Patientez un instant.", {
+          retryAfter: rateLimiter.retryAfter(),
+        });
+      }
+      return;
+    }
+    rateLimitNotified = false;
+
+    let data;
+    try {
+      data = parseClientMessage(message);
+    } catch (error) {
+      ctx.log.warn("Message refusé", { code: error.code, content: String(message).slice(0, 200) });
+      sendError(ws, error.code, error.message);
+      return;
+    }
+
+    // La version du protocole doit être annoncée avant tout autre message
+    if (!ctx.protocolVersion && data.type !== "hello") {
+      sendError(ws, ERROR_CODES.HANDSHAKE_REQUIRED, 'Annoncez la version du protocole ("hello") avant tout autre message.');
+      return;
+    }
+
+    if (!ctx.player && !ANONYMOUS_MESSAGES.has(data.type)) {
+      sendError(ws, ERROR_CODES.AUTH_REQUIRED, "Connectez-vous avant d'utiliser cette fonctionnalité.");
+      return;
+    }
+
+    if (shuttingDown && NEW_GAME_MESSAGES.has(data.type)) {
+      sendError(ws, ERROR_CODES.UNAVAILABLE, "Le serveur redémarre : réessayez dans quelques instants.");
+      return;
+    }
+
+    try {
+      await metrics.messageDuration.time({ type: data.type }, () => messageHandlers[data.type](ctx, data));
+    } catch (error) {
+      ctx.log.error("Erreur lors du traitement d'un message", { messageType: data.type, error });
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, "Une erreur inattendue est survenue.");
+    }
+  });
+
+  ws.on("close", (code) => {
+    ctx.log.debug("Connexion fermée", { code });
+
+    // Pendant l'arrêt du serveur, les matchs sont déjà sauvegardés ou clôturés
+    if (shuttingDown) return;
+
+    if (ctx.spectatedSeries) {
+      stopSpectating(ws, ctx.spectatedSeries);
+    }
+
+    if (ctx.player) {
+      // Une connexion remplacée (reconnexion, pseudo refusé) ne doit rien supprimer
+      const entry = players.get(ctx.player);
+      if (!entry || entry.ws !== ws) return;
+
+      // Un utilisateur authentifié en plein match dispose d'un délai pour se reconnecter
+      const series = activeSeries.get(ctx.player);
+      if (ctx.token && series && series.phase !== "over") {
+        holdPlayerForReconnect(ctx.player, series);
+        return;
+      }
+
+      removePlayer(ctx.player);
+    }
+  });
 });
 
-// Classe pour gérer l'authentification
-class AuthManager {
-  // Inscription d'un nouvel utilisateur
-  async register(username, email, password) {
-    return new Promise((resolve, reject) => {
-      // Vérifier si l'utilisateur existe déjà
-      db.get("SELECT id FROM users WHERE username = ? OR email = ?", [username, email], async (err, row) => {
-        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-        if (row) return reject({ status: 409, message: "Nom d'utilisateur ou email déjà utilisé" });
-
-        try {
-          // Hachage du mot de passe
-          const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
-          const userId = uuidv4();
-
-          // Insertion du nouvel utilisateur
-          db.run(
-            "INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)",
-            [userId, username, email, hashedPassword],
-            (err) => {
-              if (err) return reject({ status: 500, message: "Erreur lors de la création du compte", error: err });
-              
-              // Création du token JWT
-              const token = this.generateToken(userId, username);
-              
-              // Enregistrement de la session
-              this.saveSession(token, userId);
-              
-              // Ajouter l'utilisateur à la table des scores
-              db.run("INSERT INTO players (username, score) VALUES (?, ?)", [username, 0]);
-              
-              resolve({ 
-                status: 201, 
-                message: "Compte créé avec succès", 
-                data: { 
-                  userId, 
-                  username, 
-                  token 
-                } 
-              });
-            }
-          );
-        } catch (error) {
-          reject({ status: 500, message: "Erreur lors du hachage du mot de passe", error });
-        }
+// Messages acceptés avant qu'un joueur soit connecté sur la connexion
+const ANONYMOUS_MESSAGES = new Set([
+  "hello",
+  "register",
+  "login",
+  "logout",
+  "verify_email",
+  "forgot_password",
+  "reset_password",
+  "get_match",
+  "list_live_matches",
+  "spectate",
+  "stop_spectating",
+  "list_tournaments",
+  "get_tournament",
+]);
+
+// Messages qui lancent une nouvelle partie, refusés pendant l'arrêt du serveur
+const NEW_GAME_MESSAGES = new Set([
+  "quick_match",
+  "create_private_game",
+  "join_private_game",
+  "challenge",
+  "respond_challenge",
+  "create_tournament",
+  "start_tournament",
+]);
+
+// Gestionnaires des messages du client, un par type déclaré dans protocol.js.
+// Chacun reçoit l'état de la connexion (ctx) et le message déjà validé.
+const messageHandlers = {
+  hello(ctx, data) {
+    if (!isSupportedVersion(data.protocolVersion)) {
+      sendError(
+        ctx.ws,
+        ERROR_CODES.UNSUPPORTED_PROTOCOL,
+        `Version du protocole non prise en charge (${data.protocolVersion}). Actualisez la page.`,
+        { minProtocolVersion: MIN_PROTOCOL_VERSION, protocolVersion: PROTOCOL_VERSION }
+      );
+      ctx.ws.close(1002, "Version du protocole non prise en charge");
+      return;
+    }
+
+    ctx.protocolVersion = data.protocolVersion;
+    send(ctx.ws, { type: "welcome", protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION });
+  },
+
+  async register(ctx, data) {
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.register(data.username, data.email, data.password, ctx.client);
+      
+      ctx.player = result.data.username;
+      ctx.userId = result.data.userId;
+      ctx.token = result.data.token;
+      ctx.sessionId = result.data.sessionId;
+      
+      authenticatedUsers.set(ctx.player, { 
+        userId: ctx.userId, 
+        token: ctx.token,
+        sessionId: ctx.sessionId,
+        ws: ctx.ws
       });
-    });
-  }
+      
+      connectPlayer(ctx.player, ctx.ws);
+      ctx.log = ctx.log.child({ player: ctx.player });
+      ctx.log.info("Compte créé");
+      
+      send(ctx.ws, { 
+        type: "register_success", 
+        username: ctx.player,
+        token: ctx.token,
+        refreshToken: result.data.refreshToken,
+        emailVerified: result.data.emailVerified
+      });
+      sendRuleSets(ctx.ws);
+      initChat(ctx.player, ctx.ws);
+      initFriends(ctx.player);
+      
+      // Mettre à jour le nombre de joueurs en ligne
+      broadcastOnlineCount();
+      
+      // Envoyer le classement au nouveau joueur
+      broadcastRanking();
+    } catch (error) {
+      send(ctx.ws, { 
+        type: "register_error", 
+        message: error.message 
+      });
+    }
+  },
+
+  async login(ctx, data) {
+    // Si c'est une connexion avec token
+    if (data.token || data.refreshToken) {
+      try {
+        const authManager = new AuthManager();
+        // Token d'accès expiré : la session est prolongée avec le jeton de rafraîchissement
+        const result = await authManager.verifyToken(data.token).catch((error) => {
+          if (!data.refreshToken) throw error;
+          return authManager.refresh(data.refreshToken, ctx.client);
+        });
+        
+        ctx.player = result.data.username;
+        ctx.userId = result.data.userId;
+        ctx.token = result.data.token || data.token;
+        ctx.sessionId = result.data.sessionId;
+        
+        authenticatedUsers.set(ctx.player, { 
+          userId: ctx.userId, 
+          token: ctx.token,
+          sessionId: ctx.sessionId,
+          ws: ctx.ws
+        });
+        
+        const resumed = connectPlayer(ctx.player, ctx.ws);
+        
+        ctx.log = ctx.log.child({ player: ctx.player });
+        ctx.log.info("Joueur connecté", { method: result.data.token ? "refresh_token" : "token" });
+        
+        send(ctx.ws, { 
+          type: "login_success",
+          username: ctx.player,
+          token: result.data.token,
+          refreshToken: result.data.refreshToken,
+          emailVerified: result.data.emailVerified,
+          resumed
+        });
+        sendRuleSets(ctx.ws);
+        initChat(ctx.player, ctx.ws);
+        initFriends(ctx.player);
 
-  // Connexion d'un utilisateur
-  async login(username, password) {
-    return new Promise((resolve, reject) => {
-      db.get("SELECT id, username, password FROM users WHERE username = ?", [username], async (err, user) => {
-        if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-        if (!user) return reject({ status: 401, message: "Nom d'utilisateur ou mot de passe incorrect" });
-
-        try {
-          // Vérification du mot de passe
-          const match = await bcrypt.compare(password, user.password);
-          if (!match) return reject({ status: 401, message: "Nom d'utilisateur ou mot de passe incorrect" });
-
-          // Mise à jour de la date de dernière connexion
-          db.run("UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?", [user.id]);
-
-          // Création du token JWT
-          const token = this.generateToken(user.id, user.username);
-          
-          // Enregistrement de la session
-          this.saveSession(token, user.id);
-          
-          resolve({ 
-            status: 200, 
-            message: "Connexion réussie", 
-            data: { 
-              userId: user.id, 
-              username: user.username, 
-              token 
-            } 
-          });
-        } catch (error) {
-          reject({ status: 500, message: "Erreur lors de la vérification du mot de passe", error });
+        // Reprendre le match interrompu par une déconnexion et les parties privées sauvegardées
+        if (resumed) {
+          resumeMatch(ctx.player);
         }
-      });
-    });
-  }
+        restorePrivateGames(ctx.player);
+        
+        // Mettre à jour le nombre de joueurs en ligne
+        broadcastOnlineCount();
+        
+        // Envoyer le classement au joueur
+        broadcastRanking();
+      } catch (error) {
+        // Réutilisation d'un ancien jeton : la session volée est coupée partout
+        if (error.revokedSessionIds) {
+          disconnectSessions(error.revokedSessionIds, "Votre session a été révoquée par sécurité.");
+        }
+        send(ctx.ws, { 
+          type: "login_error", 
+          message: "Session expirée, veuillez vous reconnecter" 
+        });
+      }
+    } 
+    // Connexion avec nom d'utilisateur et mot de passe
+    else if (data.username && data.password) {
+      try {
+        const authManager = new AuthManager();
+        const result = await authManager.login(data.username, data.password, ctx.client);
+        
+        ctx.player = result.data.username;
+        ctx.userId = result.data.userId;
+        ctx.token = result.data.token;
+        ctx.sessionId = result.data.sessionId;
+        
+        authenticatedUsers.set(ctx.player, { 
+          userId: ctx.userId, 
+          token: ctx.token,
+          sessionId: ctx.sessionId,
+          ws: ctx.ws
+        });
+        
+        const resumed = connectPlayer(ctx.player, ctx.ws);
+        
+        ctx.log = ctx.log.child({ player: ctx.player });
+        ctx.log.info("Joueur connecté", { method: "password" });
+        
+        send(ctx.ws, { 
+          type: "login_success",
+          username: ctx.player,
+          token: ctx.token,
+          refreshToken: result.data.refreshToken,
+          emailVerified: result.data.emailVerified,
+          resumed
+        });
+        sendRuleSets(ctx.ws);
+        initChat(ctx.player, ctx.ws);
+        initFriends(ctx.player);
+
+        // Reprendre le match interrompu par une déconnexion et les parties privées sauvegardées
+        if (resumed) {
+          resumeMatch(ctx.player);
+        }
+        restorePrivateGames(ctx.player);
+        
+        // Mettre à jour le nombre de joueurs en ligne
+        broadcastOnlineCount();
+        
+        // Envoyer le classement au joueur
+        broadcastRanking();
+      } catch (error) {
+        send(ctx.ws, { 
+          type: "login_error", 
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+    }
+    // Connexion en mode invité (ancienne méthode)
+    else {
+      const guestName = String(data.username || "").trim();
+      if (!guestName) {
+        send(ctx.ws, { type: "login_error", message: "Veuillez entrer un pseudo." });
+        return;
+      }
+
+      // Vérifier si le joueur existe déjà, sur cette instance ou une autre
+      if (players.has(guestName) || (await cluster.locatePlayer(guestName))) {
+        send(ctx.ws, {
+          type: "login_error",
+          message: "Ce pseudo est déjà utilisé. Veuillez en choisir un autre.",
+        });
+        return;
+      }
+
+      // Réserver le pseudo (refusé s'il appartient à un compte inscrit)
+      try {
+        const authManager = new AuthManager();
+        await authManager.reserveGuestName(guestName);
+      } catch (error) {
+        send(ctx.ws, { type: "login_error", message: error.message });
+        return;
+      }
+
+      // Le pseudo a pu être pris pendant la réservation
+      if (players.has(guestName)) {
+        send(ctx.ws, {
+          type: "login_error",
+          message: "Ce pseudo est déjà utilisé. Veuillez en choisir un autre.",
+        });
+        return;
+      }
+
+      ctx.player = guestName;
+      connectPlayer(ctx.player, ctx.ws);
+      ctx.log = ctx.log.child({ player: ctx.player });
+      ctx.log.info("Joueur connecté", { method: "guest" });
+
+      // Informer le client que la connexion est réussie
+      send(ctx.ws, { type: "login_success" });
+      sendRuleSets(ctx.ws);
+      initChat(ctx.player, ctx.ws);
 
-  // Vérification d'un token
-  async verifyToken(token) {
-    return new Promise((resolve, reject) => {
+      // Envoyer le classement au nouveau joueur
+      broadcastRanking();
+
+      // Mettre à jour le nombre de joueurs en ligne pour tous les joueurs
+      broadcastOnlineCount();
+    }
+  },
+
+  async logout(ctx, data) {
+    if (ctx.token) {
       try {
-        // Vérifier si le token est valide
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const authManager = new AuthManager();
+        await authManager.logout(ctx.token);
         
-        // Vérifier si la session existe toujours
-        db.get("SELECT user_id FROM sessions WHERE token = ? AND expires_at > datetime('now')", [token], (err, session) => {
-          if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-          if (!session) return reject({ status: 401, message: "Session expirée ou invalide" });
-          
-          // Récupérer les informations de l'utilisateur
-          db.get("SELECT id, username FROM users WHERE id = ?", [session.user_id], (err, user) => {
-            if (err) return reject({ status: 500, message: "Erreur de base de données", error: err });
-            if (!user) return reject({ status: 401, message: "Utilisateur introuvable" });
-            
-            resolve({ 
-              status: 200, 
-              data: { 
-                userId: user.id, 
-                username: user.username 
-              } 
-            });
-          });
+        authenticatedUsers.delete(ctx.player);
+        
+        send(ctx.ws, { 
+          type: "logout_success" 
         });
       } catch (error) {
-        reject({ status: 401, message: "Token invalide", error });
+        send(ctx.ws, { 
+          type: "logout_error", 
+          message: error.message 
+        });
       }
+    }
+    
+    // Supprimer le joueur des structures de données
+    if (ctx.player) {
+      removePlayer(ctx.player);
+
+      ctx.player = null;
+      ctx.userId = null;
+      ctx.token = null;
+      ctx.sessionId = null;
+    }
+  },
+
+  list_sessions(ctx, data) {
+    if (!requireSession(ctx.sessionId, ctx.ws)) return;
+    sendSessionList(ctx.userId, ctx.sessionId, ctx.ws);
+  },
+
+  async revoke_session(ctx, data) {
+    if (!requireSession(ctx.sessionId, ctx.ws)) return;
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.revokeSession(ctx.userId, data.sessionId);
+      const userId = ctx.userId;
+      const sessionId = ctx.sessionId;
+
+      disconnectSessions(result.data.sessionIds, "Cette session a été fermée depuis un autre appareil.");
+      if (data.sessionId !== sessionId) sendSessionList(userId, sessionId, ctx.ws);
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async logout_everywhere(ctx, data) {
+    if (!requireSession(ctx.sessionId, ctx.ws)) return;
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.revokeAllSessions(ctx.userId);
+      disconnectSessions(result.data.sessionIds, "Vous avez été déconnecté de tous vos appareils.");
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async claim_guest(ctx, data) {
+    // Seul un invité connecté peut convertir sa session en compte
+    if (!ctx.player || authenticatedUsers.has(ctx.player)) {
+      send(ctx.ws, { type: "claim_guest_error", message: "Seul un invité peut créer un compte ainsi." });
+      return;
+    }
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.claimGuest(ctx.player, data.email, data.password, ctx.client);
+
+      ctx.userId = result.data.userId;
+      ctx.token = result.data.token;
+      ctx.sessionId = result.data.sessionId;
+
+      authenticatedUsers.set(ctx.player, {
+        userId: ctx.userId,
+        token: ctx.token,
+        sessionId: ctx.sessionId,
+        ws: ctx.ws,
+      });
+
+      send(ctx.ws, {
+        type: "guest_claimed",
+        message: result.message,
+        username: ctx.player,
+        token: ctx.token,
+        refreshToken: result.data.refreshToken,
+        emailVerified: result.data.emailVerified,
+      });
+
+      // Les joueurs masqués ou bloqués pendant la session d'invité sont conservés
+      chat.persistRelations(ctx.player).catch((error) => {
+        ctx.log.error("Erreur lors de l'enregistrement des listes de discussion", { error: error.error });
+      });
+      initFriends(ctx.player);
+    } catch (error) {
+      send(ctx.ws, { type: "claim_guest_error", message: error.message });
+    }
+  },
+
+  async verify_email(ctx, data) {
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.verifyEmail(data.token);
+      send(ctx.ws, { type: "email_verified", message: result.message });
+    } catch (error) {
+      send(ctx.ws, { type: "email_verification_error", message: error.message });
+    }
+  },
+
+  async resend_verification(ctx, data) {
+    if (!requireSession(ctx.sessionId, ctx.ws)) return;
+
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.sendVerificationEmail(ctx.userId);
+      send(ctx.ws, { type: "verification_sent", message: result.message });
+    } catch (error) {
+      send(ctx.ws, { type: "email_verification_error", message: error.message });
+    }
+  },
+
+  async forgot_password(ctx, data) {
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.requestPasswordReset(String(data.email || "").trim());
+      send(ctx.ws, { type: "password_reset_requested", message: result.message });
+    } catch (error) {
+      send(ctx.ws, { type: "password_reset_error", message: error.message });
+    }
+  },
+
+  async reset_password(ctx, data) {
+    try {
+      const authManager = new AuthManager();
+      const result = await authManager.resetPassword(data.token, data.password);
+      send(ctx.ws, { type: "password_reset_success", message: result.message });
+      disconnectSessions(result.data.sessionIds, "Votre mot de passe a été modifié. Reconnectez-vous.");
+    } catch (error) {
+      send(ctx.ws, { type: "password_reset_error", message: error.message });
+    }
+  },
+
+  select_mode(ctx, data) {
+    playerModes.set(ctx.player, data.mode);
+    ctx.log.debug("Mode de jeu sélectionné", { mode: data.mode });
+
+    // Une nouvelle sélection de mode clôt la session contre l'IA
+    endAISession(ctx.player);
+  },
+
+  play_ai(ctx, data) {
+    const ruleSet = getRuleSet(data.ruleSet);
+    if (!ruleSet) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Règles du jeu inconnues.");
+      return;
+    }
+
+    if (!isValidMove(ruleSet, data.choice)) {
+      ctx.log.warn("Choix invalide reçu", { choice: data.choice });
+      return;
+    }
+
+    const strategy = data.strategy || DEFAULT_STRATEGY;
+    if (!AI_STRATEGIES[strategy]) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Niveau de difficulté inconnu.");
+      return;
+    }
+
+    // Changer de niveau ou de règles démarre une nouvelle session contre l'IA
+    const session = getAISession(ctx.player, strategy, ruleSet);
+
+    const playerChoice = data.choice;
+    const aiChoice = session.ai.nextMove();
+    session.ai.observe(playerChoice);
+    const result = getResult(ruleSet, playerChoice, aiChoice);
+
+    let resultMessage, resultType;
+
+    if (result === "draw") {
+      resultMessage = `Égalité ! (${playerChoice} contre ${aiChoice})`;
+      resultType = "draw";
+    } else if (result === "player1") {
+      resultMessage = `Vous avez gagné ! (${playerChoice} bat ${aiChoice})`;
+      resultType = "player";
+    } else {
+      resultMessage = `Vous avez perdu ! (${aiChoice} bat ${playerChoice})`;
+      resultType = "ai";
+    }
+
+    // Enregistrer la manche dans l'historique de la session IA
+    countRound("ai");
+    const roundWinner = resultType === "player" ? ctx.player : resultType === "ai" ? "IA" : null;
+    if (resultType === "player") session.playerScore++;
+    if (resultType === "ai") session.aiScore++;
+    matchHistory
+      .recordRound(session.id, session.round++, playerChoice, aiChoice, roundWinner)
+      .catch((error) => logger.error(error));
+
+    send(ctx.ws, {
+      type: "ai_result",
+      message: resultMessage,
+      result: resultType,
+      playerChoice,
+      aiChoice,
+      ruleSet: ruleSet.id,
+      strategy,
+      strategyLabel: AI_STRATEGIES[strategy].label,
+      difficulty: AI_STRATEGIES[strategy].difficulty,
+    });
+
+    // Mettre à jour le classement contre l'IA de ce niveau
+    recordAIResult(ctx.player, strategy, resultType);
+  },
+
+  async quick_match(ctx, data) {
+    if (isInTournament(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Vous participez à un tournoi en cours.");
+      return;
+    }
+    if (isInMatch(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Terminez votre match en cours avant d'en commencer un autre.");
+      return;
+    }
+
+    const format = parseMatchFormat(data.format);
+    if (!format) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Format de match invalide.");
+      return;
+    }
+
+    const ruleSet = getRuleSet(data.ruleSet);
+    if (!ruleSet) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Règles du jeu inconnues.");
+      return;
+    }
+
+    // Ajouter le joueur à la file d'attente pour une partie rapide
+    const rating = await getPlayerRating(ctx.player);
+    if (!players.has(ctx.player)) return;
+    const entry = matchmaker.enqueue(ctx.player, format, rating, ruleSet);
+    await cluster.enqueue(entry);
+    refreshPresence(ctx.player);
+    ctx.log.info("Joueur en file d'attente", { rating, format: format.code, ruleSet: ruleSet.id });
+
+    // Essayer de créer un match
+    await matchQuickPlayers();
+  },
+
+  cancel_queue(ctx, data) {
+    // Quitter la file d'attente sans quitter une éventuelle partie
+    if (matchmaker.remove(ctx.player)) {
+      ctx.log.info("Joueur sorti de la file d'attente");
+      cluster.dequeue(ctx.player).catch((error) => logger.error(error));
+      refreshPresence(ctx.player);
+    }
+
+    send(ctx.ws, { type: "queue_cancelled" });
+  },
+
+  create_private_game(ctx, data) {
+    if (isInTournament(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Vous participez à un tournoi en cours.");
+      return;
+    }
+    if (isInMatch(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Terminez votre match en cours avant d'en commencer un autre.");
+      return;
+    }
+
+    const format = parseMatchFormat(data.format);
+    if (!format) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Format de match invalide.");
+      return;
+    }
+
+    const ruleSet = getRuleSet(data.ruleSet);
+    if (!ruleSet) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Règles du jeu inconnues.");
+      return;
+    }
+
+    const settings = parseMatchSettings(data);
+    if (!settings) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Réglages du chronomètre invalides.");
+      return;
+    }
+
+    // Les spectateurs sont acceptés sauf si l'hôte le refuse
+    const allowSpectators = data.allowSpectators !== false;
+
+    // Attendre dans une partie privée fait quitter la file d'attente
+    removePlayerFromQueue(ctx.player);
+
+    // Créer un ID unique pour la partie privée
+    const gameId = uuidv4();
+    privateGames.set(gameId, {
+      host: ctx.player,
+      guest: null,
+      format,
+      ruleSet,
+      settings,
+      allowSpectators,
+    });
+    cluster.addPrivateGame(gameId, ctx.player).catch((error) => logger.error(error));
+    savePrivateGame(gameId);
+    ctx.log.info("Partie privée créée", { gameId, format: format.code, ruleSet: ruleSet.id });
+
+    // Informer le client de l'ID de la partie
+    send(ctx.ws, {
+      type: "private_game_created",
+      gameId,
+      format: format.code,
+      formatLabel: format.label,
+      ruleSet: describeRuleSet(ruleSet),
+      settings,
+      allowSpectators,
     });
+  },
+
+  async join_private_game(ctx, data) {
+    if (isInTournament(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Vous participez à un tournoi en cours.");
+      return;
+    }
+    if (isInMatch(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Terminez votre match en cours avant d'en commencer un autre.");
+      return;
+    }
+
+    // Rejoindre une partie privée fait quitter la file d'attente
+    removePlayerFromQueue(ctx.player);
+
+    const gameId = data.gameId;
+    const game = privateGames.get(gameId);
+
+    // Partie créée sur une autre instance : la demande y est transmise et le match y sera hébergé
+    if (!game) {
+      const remoteGame = await cluster.findPrivateGame(gameId);
+      if (remoteGame && remoteGame.node !== cluster.nodeId) {
+        cluster.sendTo(remoteGame.node, "player_message", { player: ctx.player, message: data });
+        return;
+      }
+    }
+
+    if (!game) {
+      sendError(ctx.ws, ERROR_CODES.NOT_FOUND, "Cette partie privée n'existe pas ou a été fermée.");
+      return;
+    }
+
+    if (game.host === ctx.player) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Vous ne pouvez pas rejoindre votre propre partie.");
+      return;
+    }
+
+    if (game.guest) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Cette partie privée est déjà complète.");
+      return;
+    }
+
+    if (isInMatch(game.host)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, `${game.host} joue déjà un autre match.`);
+      return;
+    }
+
+    // Rejoindre la partie (le match est sauvegardé à sa place)
+    game.guest = ctx.player;
+    snapshots.removePrivateGame(gameId).catch((error) => logger.error(error));
+    ctx.log.info("Partie privée rejointe", { gameId, host: game.host });
+
+    // Créer le match
+    const series = startMatch(game.host, ctx.player, {
+      format: game.format,
+      mode: "private",
+      ruleSet: game.ruleSet,
+      settings: game.settings,
+      allowSpectators: game.allowSpectators,
+    });
+    series.privateGameId = gameId;
+  },
+
+  play_online(ctx, data) {
+    if (forwardToMatchHost(ctx.player, data)) return;
+
+    // Valider le coup selon les règles du match en cours
+    const series = activeSeries.get(ctx.player);
+    if (!series || !isValidMove(series.ruleSet, data.choice)) {
+      ctx.log.warn("Choix invalide reçu", { choice: data.choice });
+      return;
+    }
+
+    // Les coups ne sont acceptés que pendant une manche
+    if (series.phase !== "playing") return;
+
+    if (series.commitments) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Ce match utilise les coups engagés : envoyez commit_move.");
+      return;
+    }
+
+    if (players.has(ctx.player)) {
+      players.get(ctx.player).choice = data.choice;
+      series.timeouts[ctx.player] = 0;
+      ctx.log.debug("Coup joué", { matchId: series.id, round: series.round, choice: data.choice });
+
+      const opponent = matches.get(ctx.player);
+      if (opponent && players.has(opponent) && players.get(opponent).choice) {
+        resolveRound(series, []);
+      } else {
+        // Les spectateurs savent qu'un coup est joué, sans le voir
+        broadcastToSpectators(series, {
+          type: "spectate_move_committed",
+          matchId: series.id,
+          round: series.round,
+          player: ctx.player,
+        });
+      }
+    }
+  },
+
+  commit_move(ctx, data) {
+    if (forwardToMatchHost(ctx.player, data)) return;
+
+    const series = activeSeries.get(ctx.player);
+    if (!series || !series.commitments) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Ce match n'utilise pas les coups engagés.");
+      return;
+    }
+
+    // Les engagements ne sont acceptés que pendant une manche
+    if (series.phase !== "playing") return;
+
+    const error = series.commitments.commit(ctx.player, data.commitment);
+    if (error) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, error);
+      return;
+    }
+    series.timeouts[ctx.player] = 0;
+    ctx.log.debug("Coup engagé", { matchId: series.id, round: series.round });
+
+    // L'adversaire reçoit l'empreinte tout de suite : le coup ne pourra plus changer
+    const opponent = matches.get(ctx.player);
+    if (opponent && players.has(opponent)) {
+      send(players.get(opponent).ws, {
+        type: "opponent_committed",
+        round: series.round,
+        commitment: data.commitment,
+      });
+    }
+    broadcastToSpectators(series, {
+      type: "spectate_move_committed",
+      matchId: series.id,
+      round: series.round,
+      player: ctx.player,
+      commitment: data.commitment,
+    });
+
+    if (series.commitments.allCommitted()) {
+      startReveal(series);
+    }
+  },
+
+  reveal_move(ctx, data) {
+    if (forwardToMatchHost(ctx.player, data)) return;
+
+    const series = activeSeries.get(ctx.player);
+    if (!series || !series.commitments || series.phase !== "revealing") {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Aucun coup à dévoiler pour le moment.");
+      return;
+    }
+
+    const error = series.commitments.reveal(ctx.player, data.choice, data.nonce, (choice) =>
+      isValidMove(series.ruleSet, choice)
+    );
+    if (error) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_REVEAL, error);
+    }
+    if (!series.commitments.hasRevealed(ctx.player)) return;
+
+    // Un dévoilement qui ne correspond pas à l'engagement compte comme une manche non jouée
+    players.get(ctx.player).choice = series.commitments.choiceOf(ctx.player);
+    ctx.log.debug("Coup dévoilé", {
+      matchId: series.id,
+      round: series.round,
+      choice: data.choice,
+      rejected: Boolean(error),
+    });
+
+    if (series.commitments.allRevealed()) {
+      resolveRound(series, series.commitments.timedOut);
+    }
+  },
+
+  ready_for_next_round(ctx, data) {
+    if (forwardToMatchHost(ctx.player, data)) return;
+
+    playerReadyState.set(ctx.player, data.ready);
+
+    const opponent = matches.get(ctx.player);
+    const series = activeSeries.get(ctx.player);
+    if (opponent && opponent !== "IA" && players.has(opponent) && series) {
+      // Vérifier si les deux joueurs sont prêts
+      if (
+        series.phase === "between_rounds" &&
+        playerReadyState.get(ctx.player) &&
+        playerReadyState.get(opponent)
+      ) {
+        // Les deux joueurs sont prêts pour le prochain tour
+        startRound(series);
+      }
+      // Sinon, la manche suivante démarre automatiquement à l'expiration du délai
+    }
+  },
+
+  async get_history(ctx, data) {
+    try {
+      const isAdmin = ctx.userId ? await new ModerationManager().isAdmin(ctx.player) : false;
+      const result = await matchHistory.getHistory(data.username || ctx.player, data.page, data.pageSize, {
+        viewer: ctx.player,
+        isAdmin,
+      });
+      send(ctx.ws, { type: "history", ...result.data });
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async get_match(ctx, data) {
+    try {
+      // Seuls les comptes peuvent être administrateurs
+      const isAdmin = ctx.userId ? await new ModerationManager().isAdmin(ctx.player) : false;
+      const result = await matchHistory.getMatch(data.matchId, { username: ctx.player, isAdmin });
+      send(ctx.ws, { type: "match_details", match: result.data });
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async get_profile(ctx, data) {
+    try {
+      const username = data.username || ctx.player;
+      const [result, rating] = await Promise.all([
+        matchHistory.getProfile(username),
+        getPlayerRating(username),
+      ]);
+      send(ctx.ws, { type: "profile", profile: { ...result.data, rating } });
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  list_live_matches(ctx, data) {
+    send(ctx.ws, { type: "live_matches", matches: listLiveMatches() });
+  },
+
+  spectate(ctx, data) {
+    const series = findLiveSeries(data.matchId);
+
+    if (!series || !series.allowSpectators) {
+      sendError(ctx.ws, ERROR_CODES.NOT_FOUND, "Ce match n'existe pas, est terminé ou n'accepte pas de spectateurs.");
+      return;
+    }
+
+    if (series.players.includes(ctx.player)) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, "Vous ne pouvez pas regarder votre propre match.");
+      return;
+    }
+
+    // Un seul match suivi à la fois
+    if (ctx.spectatedSeries) stopSpectating(ctx.ws, ctx.spectatedSeries);
+    ctx.spectatedSeries = series;
+    series.spectators.add(ctx.ws);
+    ctx.log.debug("Nouveau spectateur", { matchId: series.id });
+
+    send(ctx.ws, {
+      type: "spectate_started",
+      match: spectatorView(series),
+      ruleSet: describeRuleSet(series.ruleSet),
+      deadline: series.paused ? null : series.deadline,
+      serverTime: Date.now(),
+    });
+    broadcastSpectatorCount(series);
+  },
+
+  stop_spectating(ctx, data) {
+    if (ctx.spectatedSeries) {
+      stopSpectating(ctx.ws, ctx.spectatedSeries);
+      ctx.spectatedSeries = null;
+    }
+  },
+
+  chat_message(ctx, data) {
+    if (!ctx.player || !players.has(ctx.player)) return;
+    if (data.scope === "match" && forwardToMatchHost(ctx.player, data)) return;
+
+    // Les messages d'un match ne sont envoyés qu'aux deux joueurs, ceux du salon aux joueurs de cette instance
+    let recipients = [...players.keys()].filter((username) => !players.get(username).remote);
+    let series = null;
+    if (data.scope === "match") {
+      series = activeSeries.get(ctx.player);
+      if (!series || series.phase === "over") {
+        send(ctx.ws, { type: "chat_error", message: "Vous n'êtes pas en match." });
+        return;
+      }
+      recipients = series.players;
+    }
+
+    let chatMessage;
+    try {
+      chatMessage = chat.createMessage(ctx.player, data.scope || "lobby", data.text);
+    } catch (error) {
+      send(ctx.ws, { type: "chat_error", message: error.message });
+      return;
+    }
+
+    if (series) {
+      chatMessage.matchId = series.id;
+    } else {
+      chat.addToLobbyHistory(chatMessage);
+    }
+
+    sendChatMessage(chatMessage, recipients);
+  },
+
+  async set_chat_relation(ctx, data) {
+    if (!ctx.player) return;
+
+    try {
+      await chat.setRelation(
+        ctx.player,
+        data.username,
+        data.kind,
+        data.enabled !== false,
+        authenticatedUsers.has(ctx.player)
+      );
+      send(ctx.ws, { type: "chat_relations", ...chat.relationsView(ctx.player) });
+    } catch (error) {
+      send(ctx.ws, { type: "chat_error", message: error.message });
+    }
+  },
+
+  get_friends(ctx, data) {
+    if (!requireAccount(ctx.player, ctx.ws)) return;
+    sendFriendList(ctx.player);
+  },
+
+  async friend_request(ctx, data) {
+    if (!requireAccount(ctx.player, ctx.ws)) return;
+
+    try {
+      const result = await friendStore.sendRequest(ctx.player, data.username);
+      ctx.log.debug("Demande d'ami envoyée", { to: data.username });
+
+      if (result.data.status === "pending" && players.has(data.username)) {
+        send(players.get(data.username).ws, { type: "friend_request_received", from: ctx.player });
+      }
+      await Promise.all([sendFriendList(ctx.player), sendFriendList(data.username)]);
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async accept_friend(ctx, data) {
+    if (!requireAccount(ctx.player, ctx.ws)) return;
+
+    try {
+      await friendStore.acceptRequest(ctx.player, data.username);
+      ctx.log.debug("Demande d'ami acceptée", { from: data.username });
+      await Promise.all([sendFriendList(ctx.player), sendFriendList(data.username)]);
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async remove_friend(ctx, data) {
+    // Retirer un ami, refuser ou annuler une demande
+    if (!requireAccount(ctx.player, ctx.ws)) return;
+
+    try {
+      await friendStore.removeFriend(ctx.player, data.username);
+      await Promise.all([sendFriendList(ctx.player), sendFriendList(data.username)]);
+    } catch (error) {
+      sendError(ctx.ws, codeForStatus(error.status), error.message);
+    }
+  },
+
+  async challenge(ctx, data) {
+    if (!requireAccount(ctx.player, ctx.ws)) return;
+
+    const target = data.username;
+    const format = parseMatchFormat(data.format);
+    const ruleSet = getRuleSet(data.ruleSet);
+    const settings = parseMatchSettings(data);
+    if (!format || !ruleSet || !settings) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Options du défi invalides.");
+      return;
+    }
+
+    let error = null;
+    if (!(await friendStore.areFriends(ctx.player, target).catch(() => false))) {
+      error = [ERROR_CODES.FORBIDDEN, "Vous ne pouvez défier que vos amis."];
+    } else if (chat.isBlocked(ctx.player, target)) {
+      error = [ERROR_CODES.FORBIDDEN, "Ce joueur n'accepte pas vos défis."];
+    } else if (isInMatch(ctx.player) || isInTournament(ctx.player)) {
+      error = [ERROR_CODES.CONFLICT, "Terminez votre match en cours avant de lancer un défi."];
+    } else if (getPresence(target) !== "online" || isInMatch(target) || isInTournament(target)) {
+      error = [ERROR_CODES.CONFLICT, `${target} n'est pas disponible pour le moment.`];
+    } else if ([...challenges.values()].some((c) => c.from === ctx.player && c.to === target)) {
+      error = [ERROR_CODES.CONFLICT, "Vous avez déjà défié ce joueur."];
+    }
+    if (error) {
+      sendError(ctx.ws, ...error);
+      return;
+    }
+
+    const challenge = {
+      id: uuidv4(),
+      from: ctx.player,
+      to: target,
+      format,
+      ruleSet,
+      settings,
+      expiresAt: Date.now() + CHALLENGE_TIMEOUT * 1000,
+    };
+    challenge.timer = setTimeout(
+      () => closeChallenge(challenge, "expired", "Le défi a expiré sans réponse."),
+      CHALLENGE_TIMEOUT * 1000
+    );
+    challenges.set(challenge.id, challenge);
+    ctx.log.info("Défi envoyé", { to: target, format: format.code, ruleSet: ruleSet.id });
+
+    const challengeData = {
+      challengeId: challenge.id,
+      from: ctx.player,
+      to: target,
+      format: format.code,
+      formatLabel: format.label,
+      ruleSet: ruleSet.id,
+      ruleSetName: ruleSet.name,
+      settings,
+      expiresAt: challenge.expiresAt,
+      serverTime: Date.now(),
+    };
+    send(players.get(target).ws, { type: "challenge_received", ...challengeData });
+    send(ctx.ws, { type: "challenge_sent", ...challengeData });
+  },
+
+  respond_challenge(ctx, data) {
+    const challenge = challenges.get(data.challengeId);
+    if (!challenge || challenge.to !== ctx.player) {
+      sendError(ctx.ws, ERROR_CODES.NOT_FOUND, "Ce défi n'existe plus.");
+      return;
+    }
+
+    if (!data.accept) {
+      closeChallenge(challenge, "declined", `${ctx.player} a refusé le défi.`);
+      return;
+    }
+
+    // Les deux joueurs doivent encore être disponibles
+    const unavailable = [challenge.from, challenge.to].filter(
+      (player) =>
+        !players.has(player) ||
+        disconnectedPlayers.has(player) ||
+        isInMatch(player) ||
+        isInTournament(player)
+    );
+    if (unavailable.length > 0) {
+      closeChallenge(
+        challenge,
+        "unavailable",
+        `Défi annulé : ${unavailable.join(", ")} n'est plus disponible.`
+      );
+      return;
+    }
+
+    closeChallenge(challenge, "accepted", `${ctx.player} a accepté le défi.`);
+    [challenge.from, challenge.to].forEach((player) => {
+      endAISession(player);
+      removePlayerFromQueue(player);
+      playerModes.set(player, "online");
+    });
+
+    startMatch(challenge.from, challenge.to, {
+      format: challenge.format,
+      mode: "challenge",
+      ruleSet: challenge.ruleSet,
+      settings: challenge.settings,
+    });
+  },
+
+  cancel_challenge(ctx, data) {
+    const challenge = challenges.get(data.challengeId);
+    if (challenge && challenge.from === ctx.player) {
+      closeChallenge(challenge, "cancelled", `${ctx.player} a annulé le défi.`);
+    }
+  },
+
+  list_tournaments(ctx, data) {
+    send(ctx.ws, { type: "tournaments", tournaments: listTournaments() });
+  },
+
+  async create_tournament(ctx, data) {
+    const format = parseMatchFormat(data.format);
+    const ruleSet = getRuleSet(data.ruleSet);
+    const settings = parseMatchSettings(data);
+    const options = parseTournamentOptions(data, ctx.player);
+    if (!format || !ruleSet || !settings || !options) {
+      sendError(ctx.ws, ERROR_CODES.INVALID_OPTIONS, "Options du tournoi invalides.");
+      return;
+    }
+
+    const tournament = new Tournament({ host: ctx.player, ...options, format, ruleSet, settings });
+    tournaments.set(tournament.id, tournament);
+
+    // L'organisateur est inscrit d'office (il peut se désinscrire ensuite)
+    tournament.register(ctx.player, await getPlayerRating(ctx.player));
+    ctx.log.info("Tournoi créé", {
+      tournamentId: tournament.id,
+      name: tournament.name,
+      tournamentType: tournament.type,
+    });
+
+    send(ctx.ws, { type: "tournament_created", tournament: tournament.view() });
+    broadcastTournamentList();
+  },
+
+  async join_tournament(ctx, data) {
+    const tournament = tournaments.get(data.tournamentId);
+    if (!tournament) {
+      sendError(ctx.ws, ERROR_CODES.NOT_FOUND, "Ce tournoi n'existe pas.");
+      return;
+    }
+
+    const rating = await getPlayerRating(ctx.player);
+    const error = tournament.register(ctx.player, rating);
+    if (error) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, error);
+      return;
+    }
+
+    ctx.log.info("Inscription au tournoi", { tournamentId: tournament.id });
+    broadcastTournament(tournament);
+    broadcastTournamentList();
+  },
+
+  leave_tournament(ctx, data) {
+    const tournament = tournaments.get(data.tournamentId);
+    if (tournament && tournament.unregister(ctx.player)) {
+      send(ctx.ws, { type: "tournament_left", tournamentId: tournament.id });
+      broadcastTournament(tournament);
+      broadcastTournamentList();
+    }
+  },
+
+  cancel_tournament(ctx, data) {
+    const tournament = tournaments.get(data.tournamentId);
+    if (!tournament || tournament.host !== ctx.player || tournament.status !== "registration") {
+      sendError(ctx.ws, ERROR_CODES.FORBIDDEN, "Seul l'organisateur peut annuler un tournoi avant son lancement.");
+      return;
+    }
+
+    cancelTournament(tournament, "Le tournoi a été annulé par son organisateur.");
+  },
+
+  start_tournament(ctx, data) {
+    const tournament = tournaments.get(data.tournamentId);
+    if (!tournament || tournament.host !== ctx.player) {
+      sendError(ctx.ws, ERROR_CODES.FORBIDDEN, "Seul l'organisateur peut lancer le tournoi.");
+      return;
+    }
+
+    // Tous les inscrits doivent être disponibles pour la première ronde
+    const busy = tournament.players
+      .map((player) => player.username)
+      .filter((username) => activeSeries.has(username));
+    if (busy.length > 0) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, `Joueurs encore en match : ${busy.join(", ")}.`);
+      return;
+    }
+
+    const error = tournament.start();
+    if (error) {
+      sendError(ctx.ws, ERROR_CODES.CONFLICT, error);
+      return;
+    }
+
+    ctx.log.info("Tournoi lancé", {
+      tournamentId: tournament.id,
+      players: tournament.players.length,
+      rounds: tournament.totalRounds,
+    });
+    startTournamentRound(tournament, tournament.nextRound());
+    broadcastTournamentList();
+  },
+
+  get_tournament(ctx, data) {
+    const tournament = tournaments.get(data.tournamentId);
+    if (!tournament) {
+      sendError(ctx.ws, ERROR_CODES.NOT_FOUND, "Ce tournoi n'existe pas.");
+      return;
+    }
+
+    send(ctx.ws, { type: "tournament_update", tournament: tournament.view() });
+  },
+
+  leave_game(ctx, data) {
+    // Le match hébergé ailleurs y est quitté, le reste (file, parties privées) est nettoyé ici
+    if (forwardToMatchHost(ctx.player, data)) {
+      remoteMatches.delete(ctx.player);
+    }
+
+    const opponent = matches.get(ctx.player);
+
+    if (opponent && opponent !== "IA" && players.has(opponent)) {
+      send(players.get(opponent).ws, {
+        type: "opponent_left",
+        message: "Votre adversaire a quitté la partie.",
+      });
+    }
+
+    // Supprimer le match
+    removePlayerFromMatch(ctx.player);
+    endAISession(ctx.player);
+
+    // Supprimer le joueur de la file d'attente
+    removePlayerFromQueue(ctx.player);
+
+    // Supprimer les parties privées où le joueur est l'hôte
+    for (const [gameId, game] of privateGames.entries()) {
+      if (game.host === ctx.player) {
+        closePrivateGame(gameId);
+      }
+    }
+  },
+};
+
+// Sérialiser un message du serveur ; hors production, signaler ceux qui ne respectent pas le protocole
+function encode(message) {
+  if (CHECK_SERVER_MESSAGES) {
+    const problems = checkServerMessage(message);
+    if (problems.length > 0) {
+      logger.warn("Message non conforme au protocole", { messageType: message.type, problems });
+    }
+  }
+  return JSON.stringify(message);
+}
+
+// Envoyer un message à un client
+function send(ws, message) {
+  ws.send(encode(message));
+}
+
+// Envoyer une erreur { type: "error", code, message } à un client
+function sendError(ws, code, message, details = {}) {
+  send(ws, { type: "error", code, message, ...details });
+}
+
+// Connexion d'un joueur, qu'elle soit détenue par cette instance ou par une autre
+// (null pour un joueur de cette instance qui n'est plus connecté)
+function socketFor(player, node) {
+  if (node === cluster.nodeId) return players.has(player) ? players.get(player).ws : null;
+  return new RemoteSocket(cluster, node, player);
+}
+
+// Relayer le message d'un joueur vers l'instance qui héberge son match, retourne true s'il a été relayé
+function forwardToMatchHost(player, data) {
+  const host = remoteMatches.get(player);
+  if (!host) return false;
+
+  cluster.sendTo(host, "player_message", { player, message: data });
+  return true;
+}
+
+// Représenter ici, le temps d'un match, un joueur connecté à une autre instance
+function attachRemotePlayer(player, node) {
+  players.set(player, { ws: new RemoteSocket(cluster, node, player), choice: null, remote: true });
+}
+
+// Le match terminé, le joueur n'est plus représenté ici et son instance reprend la main
+function releaseRemotePlayer(player) {
+  const entry = players.get(player);
+  if (!entry || !entry.remote) return;
+
+  players.delete(player);
+  playerReadyState.delete(player);
+  cluster.sendTo(entry.ws.node, "match_released", { player });
+}
+
+// Fermer une partie privée, ici et dans l'état partagé
+function closePrivateGame(gameId) {
+  privateGames.delete(gameId);
+  cluster.removePrivateGame(gameId).catch((error) => logger.error(error));
+  snapshots.removePrivateGame(gameId).catch((error) => logger.error(error));
+}
+
+// Sauvegarder une partie privée en attente de son invité ; seul un hôte avec un compte pourra la retrouver
+function savePrivateGame(gameId) {
+  const game = privateGames.get(gameId);
+  if (!authenticatedUsers.has(game.host)) return Promise.resolve();
+
+  return snapshots
+    .savePrivateGame(gameId, game.host, {
+      format: game.format.code,
+      ruleSet: game.ruleSet.id,
+      settings: game.settings,
+      allowSpectators: game.allowSpectators,
+    })
+    .catch((error) => logger.error(error));
+}
+
+// Rendre à un hôte reconnecté les parties privées sauvegardées avant un redémarrage
+async function restorePrivateGames(host) {
+  const since = new Date(Date.now() - PRIVATE_GAME_RETENTION * 1000).toISOString();
+  let saved;
+  try {
+    saved = (await snapshots.loadPrivateGames(host, since)).data;
+  } catch (error) {
+    logger.error(error);
+    return;
+  }
+
+  saved.forEach(({ gameId, state }) => {
+    if (privateGames.has(gameId) || !players.has(host)) return;
+
+    const game = {
+      host,
+      guest: null,
+      format: parseMatchFormat(state.format),
+      ruleSet: getRuleSet(state.ruleSet),
+      settings: state.settings,
+      allowSpectators: state.allowSpectators,
+    };
+    privateGames.set(gameId, game);
+    cluster.addPrivateGame(gameId, host).catch((error) => logger.error(error));
+    logger.info("Partie privée reprise après redémarrage", { gameId, host });
+
+    send(players.get(host).ws, {
+      type: "private_game_created",
+      gameId,
+      format: game.format.code,
+      formatLabel: game.format.label,
+      ruleSet: describeRuleSet(game.ruleSet),
+      settings: game.settings,
+      allowSpectators: game.allowSpectators,
+    });
+  });
+}
+
+// Supprimer un joueur déconnecté de toutes les structures de données
+function removePlayer(player) {
+  // Un match hébergé par une autre instance y est abandonné, sans délai de reconnexion
+  if (forwardToMatchHost(player, { type: "leave_game" })) {
+    remoteMatches.delete(player);
+  }
+
+  const opponent = matches.get(player);
+  if (opponent && opponent !== "IA" && players.has(opponent)) {
+    send(players.get(opponent).ws, {
+      type: "opponent_left",
+      message: "Votre adversaire a quitté la partie.",
+    });
+  }
+
+  // Supprimer le joueur des structures de données
+  players.delete(player);
+  playerModes.delete(player);
+  playerReadyState.delete(player);
+  authenticatedUsers.delete(player);
+  removePlayerFromMatch(player);
+  endAISession(player);
+
+  // Supprimer le joueur de la file d'attente
+  removePlayerFromQueue(player);
+
+  // Supprimer les parties privées où le joueur est l'hôte
+  for (const [gameId, game] of privateGames.entries()) {
+    if (game.host === player) {
+      closePrivateGame(gameId);
+    }
+  }
+
+  chat.forget(player);
+
+  // Annuler les défis en attente et prévenir ses amis
+  for (const challenge of [...challenges.values()]) {
+    if (challenge.from === player || challenge.to === player) {
+      closeChallenge(challenge, "cancelled", `${player} s'est déconnecté.`);
+    }
+  }
+  refreshPresence(player);
+  friendCache.delete(player);
+  lastPresence.delete(player);
+
+  // Annuler les tournois qu'il organise et retirer ses inscriptions
+  for (const tournament of [...tournaments.values()]) {
+    if (tournament.status !== "registration") continue;
+    if (tournament.host === player) {
+      cancelTournament(tournament, "Le tournoi a été annulé : son organisateur s'est déconnecté.");
+    } else if (tournament.unregister(player)) {
+      broadcastTournament(tournament);
+      broadcastTournamentList();
+    }
+  }
+
+  logger.info("Joueur déconnecté", { player });
+
+  // Mettre à jour le nombre de joueurs en ligne une fois le joueur retiré de l'annuaire partagé
+  cluster
+    .removePlayer(player)
+    .catch((error) => logger.error(error))
+    .then(broadcastOnlineCount);
+}
+
+// La gestion des sessions suppose une connexion ouverte avec un compte
+function requireSession(sessionId, ws) {
+  if (sessionId) return true;
+
+  sendError(ws, ERROR_CODES.AUTH_REQUIRED, "Connectez-vous pour gérer vos sessions.");
+  return false;
+}
+
+// Envoyer la liste des sessions actives, en signalant celle de la connexion courante
+function sendSessionList(userId, currentSessionId, ws) {
+  const authManager = new AuthManager();
+  authManager
+    .listSessions(userId)
+    .then((result) => {
+      send(ws, {
+        type: "sessions",
+        sessions: result.data.map((session) => ({
+          ...session,
+          current: session.id === currentSessionId,
+        })),
+      });
+    })
+    .catch((error) => {
+      sendError(ws, codeForStatus(error.status), error.message);
+    });
+}
+
+// Fermer les connexions rattachées à des sessions révoquées
+function disconnectSessions(sessionIds, message) {
+  const revoked = new Set(sessionIds);
+
+  for (const [username, user] of authenticatedUsers.entries()) {
+    // Un joueur en attente de reconnexion ne pourra plus revenir avec cette session
+    if (!revoked.has(user.sessionId) || disconnectedPlayers.has(username)) continue;
+
+    send(user.ws, { type: "session_revoked", message });
+    // Pas de délai de reconnexion : le match en cours est abandonné
+    removePlayer(username);
+    user.ws.close();
+  }
+}
+
+// Garder le match d'un joueur déconnecté en vie pendant le délai de reconnexion
+function holdPlayerForReconnect(player, series, grace = RECONNECT_GRACE) {
+  pauseSeries(series);
+
+  const timer = setTimeout(() => {
+    disconnectedPlayers.delete(player);
+    logger.info("Délai de reconnexion expiré", { player });
+    removePlayer(player);
+  }, grace * 1000);
+
+  disconnectedPlayers.set(player, { timer, since: Date.now() });
+  logger.info("Joueur déconnecté, match conservé", { player, matchId: series.id, grace });
+  refreshPresence(player);
+
+  const opponent = matches.get(player);
+  if (opponent && players.has(opponent) && !disconnectedPlayers.has(opponent)) {
+    send(players.get(opponent).ws, {
+      type: "opponent_disconnected",
+      message: "Votre adversaire a perdu la connexion. En attente de son retour...",
+      graceSeconds: grace,
+    });
+  }
+
+  broadcastToSpectators(series, {
+    type: "spectate_update",
+    match: spectatorView(series),
+    message: `${player} a perdu la connexion. Match en pause.`,
+    deadline: null,
+    serverTime: Date.now(),
+  });
+}
+
+// Associer la connexion d'un utilisateur authentifié à son joueur
+// Retourne true si la connexion reprend un match en cours
+function connectPlayer(player, ws) {
+  const pending = disconnectedPlayers.get(player);
+  const series = activeSeries.get(player);
+
+  // Le joueur est revenu : son attente de reconnexion prend fin, même si son match s'est terminé entre-temps
+  if (pending) {
+    clearTimeout(pending.timer);
+    disconnectedPlayers.delete(player);
+  }
+
+  if (players.has(player) && series && series.phase !== "over") {
+    // Rattacher la nouvelle connexion en gardant le coup éventuellement déjà joué
+    // (y compris celle d'un joueur qui jouait ce match depuis une autre instance)
+    const entry = players.get(player);
+    const previousWs = entry.ws;
+    entry.ws = ws;
+    delete entry.remote;
+    if (previousWs !== ws && previousWs.readyState === WebSocket.OPEN) {
+      previousWs.close();
+    }
+    cluster.addPlayer(player).catch((error) => logger.error(error));
+    return true;
+  }
+
+  players.set(player, { ws, choice: null });
+  cluster.addPlayer(player).catch((error) => logger.error(error));
+  return false;
+}
+
+// Renvoyer l'état du match à un joueur reconnecté et prévenir son adversaire
+function resumeMatch(player) {
+  const series = activeSeries.get(player);
+  const opponent = matches.get(player);
+  if (!series || !opponent) return;
+
+  if (!series.players.some((p) => disconnectedPlayers.has(p))) {
+    resumeSeries(series);
+  }
+
+  logger.info("Match repris après reconnexion", { player, opponent, matchId: series.id });
+
+  send(players.get(player).ws, {
+    type: "match_resumed",
+    opponent,
+    mode: series.mode,
+    series: seriesView(series, player),
+    ruleSet: describeRuleSet(series.ruleSet),
+    phase: series.phase,
+    pendingChoice: players.get(player).choice,
+    // En coups engagés, le serveur ne connaît que les empreintes : le client garde son coup
+    commitments: series.commitments ? series.commitments.commitments : null,
+    deadline: series.paused ? null : series.deadline,
+    serverTime: Date.now(),
+    opponentConnected: !disconnectedPlayers.has(opponent),
+  });
+
+  if (players.has(opponent) && !disconnectedPlayers.has(opponent)) {
+    send(players.get(opponent).ws, {
+      type: "opponent_reconnected",
+      message: "Votre adversaire est de retour.",
+      phase: series.phase,
+      deadline: series.paused ? null : series.deadline,
+      serverTime: Date.now(),
+    });
+  }
+
+  broadcastToSpectators(series, {
+    type: "spectate_update",
+    match: spectatorView(series),
+    message: `${player} est de retour.`,
+    deadline: series.paused ? null : series.deadline,
+    serverTime: Date.now(),
+  });
+}
+
+// Associer les joueurs de la file partagée par toutes les instances.
+// Une seule instance à la fois forme les paires : celle qui obtient le verrou
+async function matchQuickPlayers() {
+  const lock = await cluster.acquireLock("matchmaking", MATCHMAKING_INTERVAL);
+  if (!lock) return;
+
+  try {
+    const pool = matchmaker.withQueue((await cluster.queueEntries()).map(fromQueueRecord));
+
+    for (const [entry1, entry2] of pool.findPairs()) {
+      // Un joueur parti ou déjà associé entre-temps fait abandonner la paire
+      if (!(await cluster.claimPair(entry1, entry2))) continue;
+
+      // Le match est hébergé par l'instance du joueur qui attend depuis le plus longtemps
+      if (entry1.node === cluster.nodeId) {
+        startQuickMatch(entry1, entry2);
+      } else {
+        cluster.sendTo(entry1.node, "start_match", {
+          entries: [cluster.queueRecord(entry1), cluster.queueRecord(entry2)],
+        });
+      }
+    }
+
+    // Informer les joueurs toujours en attente de leur position et du temps d'attente estimé
+    // Une demande restée dans la file partagée pour un joueur de cette instance déjà parti en est retirée
+    pool.queue.forEach((entry) => {
+      const socket = socketFor(entry.username, entry.node);
+      if (!socket) {
+        cluster.dequeue(entry.username).catch((error) => logger.error(error));
+        return;
+      }
+
+      send(socket, {
+        type: "queue_status",
+        ...pool.status(entry.username),
+      });
+    });
+  } finally {
+    await cluster.releaseLock("matchmaking", lock);
+  }
+}
+
+// Demande de la file partagée, avec son format et ses règles
+function fromQueueRecord(record) {
+  return { ...record, format: parseMatchFormat(record.format), ruleSet: getRuleSet(record.ruleSet) };
+}
+
+// Démarrer ici un match formé par l'association ; l'adversaire peut être connecté à une autre instance
+function startQuickMatch(entry1, entry2) {
+  // Un joueur de cette instance parti entre-temps : l'autre retrouve sa place dans la file
+  const gone = [entry1, entry2].find((entry) => entry.node === cluster.nodeId && !players.has(entry.username));
+  if (gone) {
+    const other = gone === entry1 ? entry2 : entry1;
+    cluster.enqueue(other).catch((error) => logger.error(error));
+    return;
+  }
+
+  [entry1, entry2].forEach((entry) => {
+    if (entry.node === cluster.nodeId) {
+      matchmaker.remove(entry.username);
+    } else {
+      attachRemotePlayer(entry.username, entry.node);
+    }
+  });
+
+  startMatch(entry1.username, entry2.username, {
+    format: entry1.format,
+    mode: "quick",
+    ruleSet: entry1.ruleSet,
+  });
+}
+
+// Retirer un joueur de la file d'attente des parties rapides
+function removePlayerFromQueue(player) {
+  if (matchmaker.remove(player)) {
+    cluster.dequeue(player).catch((error) => logger.error(error));
+    refreshPresence(player);
+  }
+}
+
+// Récupérer le classement d'un joueur (classement par défaut en cas d'erreur)
+function getPlayerRating(username) {
+  return new Promise((resolve) => {
+    db.get("SELECT rating FROM players WHERE username = ?", [username], (err, row) => {
+      if (err) {
+        logger.error("Erreur lors de la récupération du classement", { player: username, error: err });
+      }
+      resolve(row && row.rating !== null ? row.rating : DEFAULT_RATING);
+    });
+  });
+}
+
+// Créer un match entre deux joueurs et démarrer la série
+function startMatch(player1, player2, { format, mode, ruleSet, settings, allowSpectators }) {
+  const series = createSeries(player1, player2, { format, mode, ruleSet, settings, allowSpectators });
+
+  matches.set(player1, player2);
+  matches.set(player2, player1);
+  activeSeries.set(player1, series);
+  activeSeries.set(player2, series);
+
+  // Initialiser l'état "prêt" des joueurs
+  playerReadyState.set(player1, false);
+  playerReadyState.set(player2, false);
+
+  refreshPresence(player1);
+  refreshPresence(player2);
+
+  // L'instance d'un joueur connecté ailleurs lui relaiera désormais les messages du match
+  [player1, player2].forEach((player) => {
+    const entry = players.get(player);
+    if (entry.remote) cluster.sendTo(entry.ws.node, "match_hosted", { player });
+  });
+
+  logger.info("Match créé", {
+    matchId: series.id,
+    mode,
+    players: [player1, player2],
+    format: format.code,
+    ruleSet: ruleSet.id,
+  });
+
+  matchHistory
+    .createMatch({
+      id: series.id,
+      mode,
+      format: format.code,
+      ruleSet: ruleSet.id,
+      player1,
+      player2,
+      moveProtocol: series.settings.moveProtocol,
+      startedAt: series.startedAt,
+    })
+    .catch((error) => logger.error(error));
+
+  send(players.get(player1).ws, {
+    type: "game_joined",
+    opponent: player2,
+    mode,
+    series: seriesView(series, player1),
+    ruleSet: describeRuleSet(ruleSet),
+  });
+
+  send(players.get(player2).ws, {
+    type: "game_joined",
+    opponent: player1,
+    mode,
+    series: seriesView(series, player2),
+    ruleSet: describeRuleSet(ruleSet),
+  });
+
+  startRound(series);
+
+  return series;
+}
+
+// Démarrer une manche avec son compte à rebours
+function startRound(series) {
+  clearTimeout(series.timer);
+
+  series.phase = "playing";
+  series.commitments =
+    series.settings.moveProtocol === "commit_reveal"
+      ? new MoveCommitments(series.id, series.round, series.players)
+      : null;
+  scheduleSeriesTimer(series, series.settings.roundTime * 1000);
+
+  series.players.forEach((player) => {
+    playerReadyState.set(player, false);
+    if (players.has(player)) {
+      players.get(player).choice = null;
+      send(players.get(player).ws, {
+        type: "start_new_round",
+        round: series.round,
+        deadline: series.deadline,
+        serverTime: Date.now(),
+        roundTime: series.settings.roundTime,
+        moveProtocol: series.settings.moveProtocol,
+      });
+    }
+  });
+
+  broadcastToSpectators(series, {
+    type: "spectate_round_started",
+    match: spectatorView(series),
+    deadline: series.deadline,
+    serverTime: Date.now(),
+  });
+
+  checkpointSeries(series);
+}
+
+// Fin du temps imparti : jouer au hasard ou déclarer la manche perdue pour les retardataires
+function handleRoundTimeout(series) {
+  if (series.phase !== "playing" || series.winner) return;
+
+  // En coups engagés, il suffit de s'être engagé à temps
+  const timedOut = series.players.filter((player) =>
+    series.commitments
+      ? !series.commitments.hasCommitted(player)
+      : !players.has(player) || !players.get(player).choice
+  );
+  logger.info("Temps écoulé", { matchId: series.id, round: series.round, timedOut });
+
+  if (forfeitTimedOut(series, timedOut)) return;
+
+  if (series.settings.timeoutAction === "random") {
+    timedOut.forEach((player) => {
+      if (players.has(player)) {
+        const moves = series.ruleSet.moves;
+        const choice = moves[Math.floor(Math.random() * moves.length)];
+        players.get(player).choice = choice;
+        if (series.commitments) series.commitments.assign(player, choice);
+      }
+    });
+  }
+
+  // Les joueurs engagés doivent encore dévoiler leur coup
+  if (series.commitments && timedOut.length < series.players.length) {
+    startReveal(series, timedOut);
+    return;
+  }
+
+  resolveRound(series, timedOut);
+}
+
+// Un joueur a dévoilé un coup qui ne correspond pas à son engagement
+function isRejectedReveal(transcript, player) {
+  const entry = transcript.players[player];
+  return entry.nonce !== null && !entry.valid;
+}
+
+// Des délais dépassés à répétition font perdre le match
+// Retourne true si le match est terminé
+function forfeitTimedOut(series, timedOut) {
+  const forfeiting = timedOut.filter((player) => recordTimeout(series, player));
+  if (forfeiting.length === series.players.length) {
+    abandonMatch(series, "Match annulé : aucun des deux joueurs n'a joué.");
+    return true;
+  }
+  if (forfeiting.length === 1) {
+    series.winner = series.players.find((player) => player !== forfeiting[0]);
+    series.endReason = "timeout";
+    endMatch(series);
+    return true;
+  }
+  return false;
+}
+
+// Demander aux joueurs engagés de dévoiler leur coup, avec les empreintes des deux joueurs
+function startReveal(series, timedOut = []) {
+  series.phase = "revealing";
+  series.commitments.timedOut = timedOut;
+  scheduleSeriesTimer(series, REVEAL_TIMEOUT * 1000);
+
+  series.players.forEach((player) => {
+    if (players.has(player) && series.commitments.hasCommitted(player)) {
+      send(players.get(player).ws, {
+        type: "reveal_requested",
+        round: series.round,
+        commitments: series.commitments.commitments,
+        deadline: series.deadline,
+        serverTime: Date.now(),
+      });
+    }
+  });
+
+  broadcastToSpectators(series, {
+    type: "spectate_update",
+    match: spectatorView(series),
+    message: "Coups engagés : dévoilement en cours.",
+    deadline: series.deadline,
+    serverTime: Date.now(),
+  });
+}
+
+// Fin du temps pour dévoiler : un coup engagé mais non dévoilé fait perdre la manche
+function handleRevealTimeout(series) {
+  if (series.phase !== "revealing" || series.winner) return;
+
+  const silent = series.players.filter(
+    (player) => series.commitments.hasCommitted(player) && !series.commitments.hasRevealed(player)
+  );
+  logger.info("Coups non dévoilés", { matchId: series.id, round: series.round, players: silent });
+
+  if (forfeitTimedOut(series, silent)) return;
+
+  resolveRound(series, [...series.commitments.timedOut, ...silent]);
+}
+
+// Résoudre une manche une fois les coups connus (ou le temps écoulé)
+function resolveRound(series, timedOut) {
+  clearTimeout(series.timer);
+
+  const [player1, player2] = series.players;
+  const choices = {
+    [player1]: players.has(player1) ? players.get(player1).choice : null,
+    [player2]: players.has(player2) ? players.get(player2).choice : null,
+  };
+
+  // Un joueur sans coup perd la manche (égalité si aucun des deux n'a joué)
+  let roundWinner = null;
+  if (choices[player1] && choices[player2]) {
+    const result = getResult(series.ruleSet, choices[player1], choices[player2]);
+    roundWinner = result === "player1" ? player1 : result === "player2" ? player2 : null;
+  } else if (choices[player1] || choices[player2]) {
+    roundWinner = choices[player1] ? player1 : player2;
+  }
+
+  // Publier le journal de la manche en coups engagés
+  const transcript = series.commitments ? series.commitments.transcript() : null;
+  if (transcript) {
+    series.transcript.push(transcript);
+    series.commitments = null;
+  }
+
+  // Enregistrer la manche dans l'historique
+  const round = series.round;
+  const proof = transcript
+    ? {
+        player1Commitment: transcript.players[player1].commitment,
+        player1Nonce: transcript.players[player1].nonce,
+        player2Commitment: transcript.players[player2].commitment,
+        player2Nonce: transcript.players[player2].nonce,
+      }
+    : undefined;
+  matchHistory
+    .recordRound(series.id, round, choices[player1], choices[player2], roundWinner, proof)
+    .catch((error) => logger.error(error));
+  countRound(series.mode);
+
+  // Mettre à jour le score de la série
+  const matchWinner = recordRound(series, roundWinner);
+
+  series.phase = "between_rounds";
+  if (matchWinner) {
+    series.deadline = null;
+  } else {
+    // Lancer la manche suivante même si un joueur ne confirme pas
+    scheduleSeriesTimer(series, READY_TIMEOUT * 1000);
+  }
+
+  series.players.forEach((player) => {
+    if (!players.has(player)) return;
+
+    const opponent = player === player1 ? player2 : player1;
+    const playerChoice = choices[player];
+    const opponentChoice = choices[opponent];
+    const playerTimedOut = timedOut.includes(player);
+
+    let result, message;
+    if (!roundWinner) {
+      result = "draw";
+      message = playerChoice
+        ? `Égalité ! (${playerChoice} contre ${opponentChoice})`
+        : "Égalité ! Aucun des deux joueurs n'a joué à temps.";
+    } else if (roundWinner === player) {
+      result = "player";
+      message = opponentChoice
+        ? `Vous avez gagné ! (${playerChoice} bat ${opponentChoice})`
+        : "Vous avez gagné ! Votre adversaire n'a pas joué à temps.";
+    } else {
+      result = "opponent";
+      message = playerChoice
+        ? `Vous avez perdu ! (${opponentChoice} bat ${playerChoice})`
+        : "Vous avez perdu ! Temps écoulé.";
+    }
+    if (playerTimedOut && playerChoice) {
+      message += " Temps écoulé : un coup a été joué au hasard pour vous.";
+    }
+    if (transcript && isRejectedReveal(transcript, player)) {
+      message = `${result === "draw" ? "Égalité !" : "Vous avez perdu !"} Le coup dévoilé ne correspond pas à votre engagement.`;
+    } else if (transcript && isRejectedReveal(transcript, opponent)) {
+      message = `${result === "player" ? "Vous avez gagné !" : "Égalité !"} Le coup dévoilé par votre adversaire ne correspond pas à son engagement.`;
+    }
+
+    send(players.get(player).ws, {
+      type: "game_result",
+      message,
+      result,
+      playerChoice,
+      opponentChoice,
+      opponentName: opponent,
+      timedOut: playerTimedOut,
+      nextRoundDeadline: series.deadline,
+      serverTime: Date.now(),
+      series: seriesView(series, player),
+      transcript,
+    });
+
+    // Réinitialiser les choix pour un nouveau tour
+    players.get(player).choice = null;
+  });
+
+  // Les coups ne sont révélés aux spectateurs qu'une fois la manche résolue
+  broadcastToSpectators(series, {
+    type: "spectate_round_result",
+    round,
+    choices,
+    winner: roundWinner,
+    timedOut,
+    match: spectatorView(series),
+    nextRoundDeadline: series.deadline,
+    serverTime: Date.now(),
+    transcript,
+  });
+
+  // Terminer le match si la série est gagnée
+  if (matchWinner) {
+    endMatch(series);
+  } else {
+    checkpointSeries(series);
+  }
+}
+
+// Programmer la prochaine échéance de la série (fin de manche ou manche suivante)
+function scheduleSeriesTimer(series, delay) {
+  clearTimeout(series.timer);
+  series.deadline = Date.now() + delay;
+
+  // Pendant une déconnexion, l'échéance est reportée jusqu'au retour du joueur
+  if (series.paused) {
+    series.pausedRemaining = delay;
+    return;
+  }
+
+  series.timer = setTimeout(() => {
+    if (series.phase === "playing") handleRoundTimeout(series);
+    else if (series.phase === "revealing") handleRevealTimeout(series);
+    else if (series.phase === "between_rounds") startRound(series);
+  }, delay);
+}
+
+// Suspendre le chronomètre d'une série
+function pauseSeries(series) {
+  if (series.paused) return;
+  clearTimeout(series.timer);
+  series.paused = true;
+  series.pausedRemaining = series.deadline ? Math.max(0, series.deadline - Date.now()) : null;
+}
+
+// Relancer le chronomètre d'une série avec le temps qu'il restait
+function resumeSeries(series) {
+  if (!series.paused) return;
+  series.paused = false;
+  if (series.pausedRemaining !== null && series.phase !== "over") {
+    scheduleSeriesTimer(series, series.pausedRemaining);
+  }
+}
+
+// Terminer un match dont la série a un vainqueur
+function endMatch(series) {
+  const winner = series.winner;
+  const loser = series.players.find((player) => player !== winner);
+
+  logger.info("Match terminé", {
+    matchId: series.id,
+    winner,
+    loser,
+    score: `${series.scores[winner]}-${series.scores[loser]}`,
+  });
+
+  clearTimeout(series.timer);
+  series.phase = "over";
+
+  series.players.forEach((player) => {
+    if (players.has(player)) {
+      const view = seriesView(series, player);
+      let message =
+        player === winner
+          ? `Vous avez remporté le match ${view.playerScore}-${view.opponentScore} !`
+          : `Vous avez perdu le match ${view.playerScore}-${view.opponentScore}.`;
+      if (series.endReason === "timeout") {
+        message =
+          player === winner
+            ? "Vous avez remporté le match : votre adversaire a déclaré forfait (inactivité)."
+            : "Vous avez perdu le match par forfait (inactivité).";
+      }
+
+      send(players.get(player).ws, {
+        type: "match_over",
+        winner,
+        result: player === winner ? "player" : "opponent",
+        reason: series.endReason || "completed",
+        message,
+        series: view,
+        transcript: series.transcript,
+      });
+    }
+    playerReadyState.delete(player);
+  });
+
+  closeSpectators(series, {
+    type: "spectate_match_over",
+    winner,
+    reason: series.endReason || "completed",
+    message:
+      series.endReason === "timeout"
+        ? `${winner} remporte le match par forfait (inactivité).`
+        : `${winner} remporte le match ${series.scores[winner]}-${series.scores[loser]} !`,
+    match: spectatorView(series),
+    transcript: series.transcript,
+  });
+
+  removePlayerFromMatch(winner);
+
+  // Fermer la partie privée associée
+  if (series.privateGameId) {
+    closePrivateGame(series.privateGameId);
+  }
+
+  saveSeriesResult(series, "completed");
+
+  // Seul un match terminé compte pour le classement
+  updateRatings(winner, loser);
+
+  if (series.tournamentId) {
+    recordTournamentResult(series, winner);
+  }
+}
+
+// Terminer un match sans vainqueur (aucun des deux joueurs ne joue plus, ou arrêt du serveur)
+function abandonMatch(series, message, reason = "timeout") {
+  clearTimeout(series.timer);
+  series.phase = "over";
+
+  series.players.forEach((player) => {
+    if (players.has(player)) {
+      send(players.get(player).ws, {
+        type: "match_over",
+        winner: null,
+        result: "abandoned",
+        reason,
+        message,
+        series: seriesView(series, player),
+        transcript: series.transcript,
+      });
+    }
+    playerReadyState.delete(player);
+  });
+
+  closeSpectators(series, {
+    type: "spectate_match_over",
+    winner: null,
+    reason,
+    message,
+    match: spectatorView(series),
+    transcript: series.transcript,
+  });
+
+  // L'abandon est enregistré par removePlayerFromMatch
+  removePlayerFromMatch(series.players[0]);
+
+  if (series.privateGameId) {
+    closePrivateGame(series.privateGameId);
+  }
+
+  if (series.tournamentId) {
+    recordTournamentResult(series, null);
+  }
+}
+
+// Un match peut reprendre après un redémarrage si ses deux joueurs ont un compte pour se reconnecter
+// (les tournois, gardés en mémoire, ne survivent pas au redémarrage)
+function isResumable(series) {
+  return (
+    !series.tournamentId &&
+    series.players.every((player) => authenticatedUsers.has(player) || disconnectedPlayers.has(player))
+  );
+}
+
+// Sauvegarder l'état d'une série pour la reprendre après un redémarrage, même brutal
+function checkpointSeries(series) {
+  if (!isResumable(series)) return Promise.resolve();
+
+  const choices = {};
+  series.players.forEach((player) => {
+    choices[player] = players.has(player) ? players.get(player).choice : null;
+  });
+  return snapshots
+    .saveMatch(serializeSeries(series, choices))
+    .catch((error) => logger.error(error));
+}
+
+// Recréer les matchs sauvegardés avant l'arrêt : ils restent en pause jusqu'au retour de leurs joueurs
+async function restoreSuspendedMatches() {
+  await snapshots.purgePrivateGames(new Date(Date.now() - PRIVATE_GAME_RETENTION * 1000).toISOString());
+
+  const saved = (await snapshots.loadMatches()).data;
+  saved.forEach((state) => {
+    const series = restoreSeries(state);
+    const [player1, player2] = series.players;
+
+    matches.set(player1, player2);
+    matches.set(player2, player1);
+    series.players.forEach((player) => {
+      players.set(player, { ws: DETACHED_SOCKET, choice: state.choices[player] || null });
+      activeSeries.set(player, series);
+      playerReadyState.set(player, false);
+    });
+    series.players.forEach((player) => holdPlayerForReconnect(player, series, RESTART_GRACE));
+  });
+
+  if (saved.length > 0) {
+    logger.info("Matchs sauvegardés repris, en attente du retour des joueurs", { matches: saved.length });
+  }
+}
+
+// Arrêt propre (redéploiement) : plus de nouvelles parties, matchs sauvegardés ou clôturés, clients prévenus
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info("Arrêt du serveur", { signal });
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT * 1000).unref();
+
+  const resumablePlayers = new Set();
+  const saves = [];
+  new Set(activeSeries.values()).forEach((series) => {
+    if (series.phase === "over") return;
+    if (isResumable(series)) {
+      pauseSeries(series);
+      saves.push(checkpointSeries(series));
+      series.players.forEach((player) => resumablePlayers.add(player));
+    } else {
+      abandonMatch(series, "Le match est interrompu : le serveur redémarre.", "server_restart");
+    }
+  });
+  // Les parties privées en attente repartent pour toute la durée de conservation
+  privateGames.forEach((game, gameId) => {
+    if (!game.guest) saves.push(savePrivateGame(gameId));
+  });
+  await Promise.all(saves);
+
+  // Prévenir tous les clients, joueurs comme spectateurs, puis fermer leur connexion
+  const connectedPlayers = new Map();
+  players.forEach((entry, player) => {
+    if (!entry.remote) connectedPlayers.set(entry.ws, player);
+  });
+  wss.clients.forEach((ws) => {
+    const resumable = resumablePlayers.has(connectedPlayers.get(ws));
+    send(ws, {
+      type: "server_restarting",
+      message: resumable
+        ? "Le serveur redémarre. Votre match est sauvegardé et reprendra à votre reconnexion."
+        : "Le serveur redémarre. Reconnectez-vous dans quelques instants.",
+      reconnectAfter: RESTART_RECONNECT_DELAY,
+      resumable,
+    });
+    ws.close(1012, "Redémarrage du serveur");
+  });
+
+  await cluster.stop().catch((error) => logger.error(error));
+  server.close(() => {
+    db.close(() => process.exit(0));
+  });
+}
+
+// Compter une manche jouée (match en ligne ou contre l'IA) pour les mesures du serveur
+function countRound(mode) {
+  metrics.rounds.inc(1, { mode });
+  metrics.roundsPerMinute.mark();
+}
+
+// Enregistrer le résultat final d'une série dans l'historique
+function saveSeriesResult(series, status) {
+  const [player1, player2] = series.players;
+  matchHistory
+    .finishMatch(series.id, {
+      winner: series.winner,
+      player1Score: series.scores[player1],
+      player2Score: series.scores[player2],
+      status,
+    })
+    .catch((error) => logger.error(error));
+}
+
+// Mettre à jour le classement Elo des deux joueurs après un match
+function updateRatings(winner, loser) {
+  db.all(
+    "SELECT username, rating, games_played FROM players WHERE username IN (?, ?)",
+    [winner, loser],
+    (err, rows) => {
+      if (err) {
+        logger.error("Erreur lors de la récupération des classements", { error: err });
+        return;
+      }
+
+      const toRating = (username) => {
+        const row = rows.find((r) => r.username === username);
+        return {
+          rating: row && row.rating !== null ? row.rating : DEFAULT_RATING,
+          gamesPlayed: row ? row.games_played || 0 : 0,
+        };
+      };
+
+      const ratings = computeMatchRatings(toRating(winner), toRating(loser));
+
+      db.serialize(() => {
+        db.run(
+          "UPDATE players SET rating = ?, games_played = games_played + 1 WHERE username = ?",
+          [ratings.winner, winner]
+        );
+        db.run(
+          "UPDATE players SET rating = ?, games_played = games_played + 1 WHERE username = ?",
+          [ratings.loser, loser],
+          (err) => {
+            if (err) {
+              logger.error("Erreur lors de la mise à jour des classements", { error: err });
+              return;
+            }
+            // Mettre à jour le classement
+            broadcastRanking();
+          }
+        );
+      });
+    }
+  );
+}
+
+function removePlayerFromMatch(player) {
+  const opponent = matches.get(player);
+
+  // Une série quittée avant son terme est enregistrée comme abandonnée ;
+  // elle compte au classement comme une défaite du joueur qui l'a quittée, sauf si son adversaire
+  // est lui aussi absent (déconnecté, ou pas encore revenu dans un match repris après un redémarrage)
+  const series = activeSeries.get(player);
+  const unfinished = series && series.phase !== "over";
+  const remaining = unfinished ? series.players.find((name) => name !== player) : null;
+  const forfeited = unfinished && !disconnectedPlayers.has(remaining);
+  if (series) {
+    clearTimeout(series.timer);
+    if (unfinished) {
+      series.winner = forfeited ? remaining : null;
+      closeSpectators(series, {
+        type: "spectate_match_over",
+        winner: series.winner,
+        reason: "abandoned",
+        message: `${player} a quitté le match.`,
+        match: spectatorView(series),
+        transcript: series.transcript,
+      });
+    }
+    series.phase = "over";
+    if (!series.winner || unfinished) {
+      saveSeriesResult(series, "abandoned");
+    }
+    if (forfeited) {
+      updateRatings(series.winner, player);
+    }
+    snapshots.removeMatch(series.id).catch((error) => logger.error(error));
+  }
+
+  activeSeries.delete(player);
+  if (opponent) {
+    matches.delete(player);
+    if (opponent !== "IA") {
+      matches.delete(opponent);
+      activeSeries.delete(opponent);
+    }
   }
 
-  // Génération d'un token JWT
-  generateToken(userId, username) {
-    return jwt.sign(
-      { userId, username },
-      JWT_SECRET,
-      { expiresIn: TOKEN_EXPIRY }
-    );
-  }
+  refreshPresence(player);
+  if (opponent) refreshPresence(opponent);
 
-  // Enregistrement d'une session
-  saveSession(token, userId) {
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 jours de validité
-    
-    db.run(
-      "INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)",
-      [token, userId, expiresAt.toISOString()]
-    );
+  releaseRemotePlayer(player);
+  if (opponent) releaseRemotePlayer(opponent);
+
+  // Quitter un match de tournoi le fait perdre par forfait (sans vainqueur si les deux joueurs sont partis)
+  if (unfinished && series.tournamentId) {
+    recordTournamentResult(series, series.winner);
   }
+}
 
-  // Déconnexion d'un utilisateur
-  async logout(token) {
-    return new Promise((resolve, reject) => {
-      db.run("DELETE FROM sessions WHERE token = ?", [token], (err) => {
-        if (err) return reject({ status: 500, message: "Erreur lors de la déconnexion", error: err });
-        resolve({ status: 200, message: "Déconnexion réussie" });
-      });
-    });
+// Matchs en cours ouverts aux spectateurs
+function listLiveMatches() {
+  const live = new Set();
+  activeSeries.forEach((series) => {
+    if (series.phase !== "over" && series.allowSpectators) live.add(series);
+  });
+  return [...live].map(spectatorView);
+}
+
+function findLiveSeries(matchId) {
+  for (const series of activeSeries.values()) {
+    if (series.id === matchId && series.phase !== "over") return series;
   }
+  return null;
+}
+
+// Envoyer un message à tous les spectateurs d'un match
+function broadcastToSpectators(series, payload) {
+  const message = encode(payload);
+  series.spectators.forEach((spectatorWs) => {
+    if (spectatorWs.readyState === WebSocket.OPEN) {
+      spectatorWs.send(message);
+    }
+  });
+}
+
+// Informer les joueurs et les spectateurs du nombre de spectateurs
+function broadcastSpectatorCount(series) {
+  const payload = { type: "spectator_count", matchId: series.id, count: series.spectators.size };
+  series.players.forEach((player) => {
+    if (players.has(player) && !disconnectedPlayers.has(player)) {
+      send(players.get(player).ws, payload);
+    }
+  });
+  broadcastToSpectators(series, payload);
+}
 
-  // Nettoyage des sessions expirées
-  cleanExpiredSessions() {
-    db.run("DELETE FROM sessions WHERE expires_at < datetime('now')");
+function stopSpectating(ws, series) {
+  if (series.spectators.delete(ws) && series.phase !== "over") {
+    broadcastSpectatorCount(series);
   }
 }
 
-// Nettoyer les sessions expirées périodiquement
-setInterval(() => {
-  const authManager = new AuthManager();
-  authManager.cleanExpiredSessions();
-}, 24 * 60 * 60 * 1000); // Une fois par jour
+// Dernier message aux spectateurs d'un match qui se termine
+function closeSpectators(series, payload) {
+  broadcastToSpectators(series, payload);
+  series.spectators.clear();
+}
 
-const players = new Map(); // Stocke les joueurs connectés
-const playerModes = new Map(); // Stocke le mode de jeu de chaque joueur
-const quickMatchQueue = []; // File d'attente pour les parties rapides
-const privateGames = new Map(); // Stocke les parties privées
-const matches = new Map(); // Stocke les matchs en cours
-const playerReadyState = new Map(); // Stocke l'état "prêt" des joueurs
-const authenticatedUsers = new Map(); // Stocke les utilisateurs authentifiés
+// Envoyer au client les règles du jeu disponibles et leurs coups
+function sendRuleSets(ws) {
+  send(ws, { type: "rule_sets", ruleSets: listRuleSets() });
+}
+
+// Récupérer (ou démarrer) la session d'un joueur contre l'IA
+function getAISession(player, strategy, ruleSet) {
+  let session = aiSessions.get(player);
+  if (session && (session.strategy !== strategy || session.ruleSet !== ruleSet.id)) {
+    endAISession(player);
+    session = null;
+  }
 
-wss.on("connection", (ws) => {
-  let currentPlayer = null;
-  let currentUserId = null;
-  let currentToken = null;
+  if (!session) {
+    session = {
+      id: uuidv4(),
+      strategy,
+      ruleSet: ruleSet.id,
+      ai: new AIOpponent(strategy, ruleSet),
+      round: 1,
+      playerScore: 0,
+      aiScore: 0,
+    };
+    aiSessions.set(player, session);
+    refreshPresence(player);
+    matchHistory
+      .createMatch({
+        id: session.id,
+        mode: "ai",
+        format: null,
+        ruleSet: ruleSet.id,
+        player1: player,
+        player2: "IA",
+        aiStrategy: strategy,
+      })
+      .catch((error) => logger.error(error));
+  }
+  return session;
+}
 
-  ws.on("message", async (message) => {
-    let data;
-    try {
-      data = JSON.parse(message);
-    } catch (err) {
-      console.error("Données malformées reçues :", message);
-      return;
-    }
+// Clôturer la session d'un joueur contre l'IA
+function endAISession(player) {
+  const session = aiSessions.get(player);
+  if (!session) return;
+
+  aiSessions.delete(player);
+  refreshPresence(player);
+  matchHistory
+    .finishMatch(session.id, {
+      winner: null,
+      player1Score: session.playerScore,
+      player2Score: session.aiScore,
+    })
+    .catch((error) => logger.error(error));
+}
 
-    // Gestion de l'authentification
-    if (data.type === "register") {
-      try {
-        const authManager = new AuthManager();
-        const result = await authManager.register(data.username, data.email, data.password);
-        
-        currentPlayer = result.data.username;
-        currentUserId = result.data.userId;
-        currentToken = result.data.token;
-        
-        authenticatedUsers.set(currentPlayer, { 
-          userId: currentUserId, 
-          token: currentToken,
-          ws 
-        });
-        
-        players.set(currentPlayer, { ws, choice: null });
-        
-        ws.send(JSON.stringify({ 
-          type: "register_success", 
-          username: currentPlayer,
-          token: currentToken
-        }));
-        
-        // Mettre à jour le nombre de joueurs en ligne
-        broadcastOnlineCount();
-        
-        // Envoyer le classement au nouveau joueur
-        broadcastRanking();
-      } catch (error) {
-        ws.send(JSON.stringify({ 
-          type: "register_error", 
-          message: error.message 
-        }));
-      }
-    } else if (data.type === "login") {
-      // Si c'est une connexion avec token
-      if (data.token) {
-        try {
-          const authManager = new AuthManager();
-          const result = await authManager.verifyToken(data.token);
-          
-          currentPlayer = result.data.username;
-          currentUserId = result.data.userId;
-          currentToken = data.token;
-          
-          authenticatedUsers.set(currentPlayer, { 
-            userId: currentUserId, 
-            token: currentToken,
-            ws 
-          });
-          
-          players.set(currentPlayer, { ws, choice: null });
-          
-          console.log(`Joueur connecté avec token : ${currentPlayer}`);
-          
-          ws.send(JSON.stringify({ 
-            type: "login_success",
-            username: currentPlayer
-          }));
-          
-          // Mettre à jour le nombre de joueurs en ligne
-          broadcastOnlineCount();
-          
-          // Envoyer le classement au joueur
-          broadcastRanking();
-        } catch (error) {
-          ws.send(JSON.stringify({ 
-            type: "login_error", 
-            message: "Session expirée, veuillez vous reconnecter" 
-          }));
-        }
-      } 
-      // Connexion avec nom d'utilisateur et mot de passe
-      else if (data.username && data.password) {
-        try {
-          const authManager = new AuthManager();
-          const result = await authManager.login(data.username, data.password);
-          
-          currentPlayer = result.data.username;
-          currentUserId = result.data.userId;
-          currentToken = result.data.token;
-          
-          authenticatedUsers.set(currentPlayer, { 
-            userId: currentUserId, 
-            token: currentToken,
-            ws 
-          });
-          
-          players.set(currentPlayer, { ws, choice: null });
-          
-          console.log(`Joueur connecté : ${currentPlayer}`);
-          
-          ws.send(JSON.stringify({ 
-            type: "login_success",
-            username: currentPlayer,
-            token: currentToken
-          }));
-          
-          // Mettre à jour le nombre de joueurs en ligne
-          broadcastOnlineCount();
-          
-          // Envoyer le classement au joueur
-          broadcastRanking();
-        } catch (error) {
-          ws.send(JSON.stringify({ 
-            type: "login_error", 
-            message: error.message 
-          }));
-        }
+// Comptabiliser le résultat d'une manche contre l'IA pour un niveau donné
+function recordAIResult(player, strategy, resultType) {
+  db.run(
+    `INSERT INTO ai_results (username, strategy, wins, draws, losses) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT (username, strategy) DO UPDATE SET
+       wins = wins + excluded.wins,
+       draws = draws + excluded.draws,
+       losses = losses + excluded.losses`,
+    [
+      player,
+      strategy,
+      resultType === "player" ? 1 : 0,
+      resultType === "draw" ? 1 : 0,
+      resultType === "ai" ? 1 : 0,
+    ],
+    (err) => {
+      if (err) {
+        logger.error("Erreur lors de l'enregistrement du résultat contre l'IA", { player, error: err });
+        return;
       }
-      // Connexion en mode invité (ancienne méthode)
-      else {
-        currentPlayer = data.username;
-
-        // Vérifier si le joueur existe déjà
-        if (players.has(currentPlayer)) {
-          ws.send(
-            JSON.stringify({
-              type: "login_error",
-              message: "Ce pseudo est déjà utilisé. Veuillez en choisir un autre.",
-            })
-          );
-          return;
+      // Une partie contre l'IA ne change pas le classement Elo : le diffuser seulement si celui de l'IA a changé
+      broadcastRanking({ onlyIfChanged: true });
+    }
+  );
+}
+
+// Classement Elo et classement contre l'IA par niveau de difficulté
+function getRanking() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      "SELECT username, rating, games_played FROM players ORDER BY rating DESC, games_played DESC",
+      (err, rows) => {
+        if (err) {
+          return reject({ status: 500, message: "Erreur lors de la récupération du classement", error: err });
         }
 
-        players.set(currentPlayer, { ws, choice: null });
-        console.log(`Joueur invité connecté : ${currentPlayer}`);
+        const ranking = rows.map((row) => ({
+          username: row.username,
+          rating: row.rating,
+          gamesPlayed: row.games_played,
+          provisional: isProvisional(row.games_played),
+        }));
 
-        // Ajouter le joueur à la base de données s'il n'existe pas
-        db.get(
-          "SELECT score FROM players WHERE username = ?",
-          [currentPlayer],
-          (err, row) => {
+        // Classement séparé contre l'IA, par niveau de difficulté
+        db.all(
+          "SELECT * FROM ai_results ORDER BY wins - losses DESC, wins DESC",
+          (err, aiRows) => {
             if (err) {
-              console.error("Erreur lors de la récupération du joueur :", err);
-              return;
+              return reject({ status: 500, message: "Erreur lors de la récupération du classement IA", error: err });
             }
-            if (!row) {
-              db.run(
-                "INSERT INTO players (username, score) VALUES (?, ?)",
-                [currentPlayer, 0],
-                (err) => {
-                  if (err) {
-                    console.error("Erreur lors de l'insertion du joueur :", err);
-                  }
-                }
-              );
-            }
-          }
-        );
-
-        // Informer le client que la connexion est réussie
-        ws.send(JSON.stringify({ type: "login_success" }));
 
-        // Envoyer le classement au nouveau joueur
-        broadcastRanking();
+            const aiRanking = {};
+            Object.keys(AI_STRATEGIES).forEach((strategy) => {
+              aiRanking[strategy] = aiRows
+                .filter((row) => row.strategy === strategy)
+                .slice(0, AI_RANKING_SIZE)
+                .map((row) => ({
+                  username: row.username,
+                  wins: row.wins,
+                  draws: row.draws,
+                  losses: row.losses,
+                }));
+            });
 
-        // Mettre à jour le nombre de joueurs en ligne pour tous les joueurs
-        broadcastOnlineCount();
-      }
-    } else if (data.type === "logout") {
-      if (currentToken) {
-        try {
-          const authManager = new AuthManager();
-          await authManager.logout(currentToken);
-          
-          authenticatedUsers.delete(currentPlayer);
-          
-          ws.send(JSON.stringify({ 
-            type: "logout_success" 
-          }));
-        } catch (error) {
-          ws.send(JSON.stringify({ 
-            type: "logout_error", 
-            message: error.message 
-          }));
-        }
+            resolve({ ranking, aiRanking });
+          }
+        );
       }
-      
-      // Supprimer le joueur des structures de données
-      if (currentPlayer) {
-        const opponent = matches.get(currentPlayer);
-        if (opponent && opponent !== "IA" && players.has(opponent)) {
-          players.get(opponent).ws.send(
-            JSON.stringify({
-              type: "opponent_left",
-              message: "Votre adversaire a quitté la partie.",
-            })
-          );
-        }
+    );
+  });
+}
 
-        players.delete(currentPlayer);
-        playerModes.delete(currentPlayer);
-        playerReadyState.delete(currentPlayer);
-        removePlayerFromMatch(currentPlayer);
+function broadcastRanking({ onlyIfChanged = false } = {}) {
+  getRanking()
+    .then(({ ranking, aiRanking }) => {
+      const rankingData = encode({ type: "ranking", ranking, aiRanking });
+      if (onlyIfChanged && rankingData === lastRankingData) return;
+      lastRankingData = rankingData;
 
-        // Supprimer le joueur de la file d'attente
-        const queueIndex = quickMatchQueue.indexOf(currentPlayer);
-        if (queueIndex !== -1) {
-          quickMatchQueue.splice(queueIndex, 1);
-        }
+      players.forEach((player) => {
+        if (!player.remote) player.ws.send(rankingData);
+      });
+    })
+    .catch((error) => logger.error(error));
+}
 
-        // Supprimer les parties privées où le joueur est l'hôte
-        for (const [gameId, game] of privateGames.entries()) {
-          if (game.host === currentPlayer) {
-            privateGames.delete(gameId);
-          }
-        }
+// Le nombre de joueurs en ligne couvre toutes les instances ; chacune l'envoie à ses propres joueurs
+function broadcastOnlineCount() {
+  cluster
+    .onlineCount()
+    .then((count) => cluster.broadcast("online_count", { count }))
+    .catch((error) => logger.error("Erreur lors du comptage des joueurs en ligne", { error }));
+}
 
-        // Mettre à jour le nombre de joueurs en ligne
-        broadcastOnlineCount();
-        
-        currentPlayer = null;
-        currentUserId = null;
-        currentToken = null;
-      }
-    } else if (data.type === "select_mode") {
-      playerModes.set(currentPlayer, data.mode);
-      console.log(`${currentPlayer} a sélectionné le mode: ${data.mode}`);
-    } else if (data.type === "play_ai") {
-      if (!["pierre", "feuille", "ciseaux"].includes(data.choice)) {
-        console.error("Choix invalide reçu :", data.choice);
-        return;
-      }
+// Charger les listes de modération du joueur et lui renvoyer l'historique du salon
+async function initChat(player, ws) {
+  try {
+    await chat.loadRelations(player, authenticatedUsers.has(player));
+  } catch (error) {
+    logger.error(error);
+  }
 
-      const playerChoice = data.choice;
-      const aiChoice = getRandomChoice();
-      const result = getResult(playerChoice, aiChoice);
-
-      let resultMessage, resultType;
-
-      if (result === "draw") {
-        resultMessage = `Égalité ! (${playerChoice} contre ${aiChoice})`;
-        resultType = "draw";
-      } else if (result === "player1") {
-        resultMessage = `Vous avez gagné ! (${playerChoice} bat ${aiChoice})`;
-        resultType = "player";
-        // Mettre à jour le score dans la base de données
-        db.run("UPDATE players SET score = score + 1 WHERE username = ?", [
-          currentPlayer,
-        ]);
-      } else {
-        resultMessage = `Vous avez perdu ! (${aiChoice} bat ${playerChoice})`;
-        resultType = "ai";
-      }
+  send(ws, { type: "chat_history", scope: "lobby", messages: chat.lobbyHistoryFor(player) });
+  send(ws, { type: "chat_relations", ...chat.relationsView(player) });
+}
 
-      players.get(currentPlayer).ws.send(
-        JSON.stringify({
-          type: "ai_result",
-          message: resultMessage,
-          result: resultType,
-          playerChoice,
-          aiChoice,
-        })
-      );
+// Distribuer un message aux destinataires qui ne l'ont ni masqué ni bloqué
+function sendChatMessage(chatMessage, recipients) {
+  const chatData = encode({ type: "chat_message", message: chatMessage });
+
+  recipients.forEach((username) => {
+    if (
+      players.has(username) &&
+      !disconnectedPlayers.has(username) &&
+      chat.canReceive(username, chatMessage.from)
+    ) {
+      players.get(username).ws.send(chatData);
+    }
+  });
+}
 
-      // Mettre à jour le classement
-      broadcastRanking();
-    } else if (data.type === "quick_match") {
-      // Ajouter le joueur à la file d'attente pour une partie rapide
-      if (!quickMatchQueue.includes(currentPlayer)) {
-        quickMatchQueue.push(currentPlayer);
-        console.log(
-          `${currentPlayer} a rejoint la file d'attente pour une partie rapide`
-        );
-      }
+// Les amis et les défis sont réservés aux utilisateurs inscrits
+function requireAccount(player, ws) {
+  if (player && authenticatedUsers.has(player)) return true;
 
-      // Essayer de créer un match
-      matchQuickPlayers();
-    } else if (data.type === "create_private_game") {
-      // Créer un ID unique pour la partie privée
-      const gameId = uuidv4();
-      privateGames.set(gameId, { host: currentPlayer, guest: null });
-      console.log(
-        `${currentPlayer} a créé une partie privée avec l'ID: ${gameId}`
-      );
+  sendError(ws, ERROR_CODES.AUTH_REQUIRED, "Créez un compte pour ajouter des amis et lancer des défis.");
+  return false;
+}
 
-      // Informer le client de l'ID de la partie
-      players.get(currentPlayer).ws.send(
-        JSON.stringify({
-          type: "private_game_created",
-          gameId,
-        })
-      );
-    } else if (data.type === "join_private_game") {
-      const gameId = data.gameId;
-      const game = privateGames.get(gameId);
-
-      if (!game) {
-        players.get(currentPlayer).ws.send(
-          JSON.stringify({
-            type: "error",
-            message: "Cette partie privée n'existe pas ou a été fermée.",
-          })
-        );
-        return;
-      }
+// Présence d'un joueur déduite de son état sur le serveur
+function getPresence(username) {
+  if (!players.has(username) || disconnectedPlayers.has(username)) return "offline";
+  if (activeSeries.has(username) || remoteMatches.has(username) || aiSessions.has(username)) return "in_game";
+  if (matchmaker.has(username)) return "in_queue";
+  return "online";
+}
 
-      if (game.host === currentPlayer) {
-        players.get(currentPlayer).ws.send(
-          JSON.stringify({
-            type: "error",
-            message: "Vous ne pouvez pas rejoindre votre propre partie.",
-          })
-        );
-        return;
-      }
+// Charger la liste d'amis d'un utilisateur connecté et la lui envoyer
+async function sendFriendList(username) {
+  if (!authenticatedUsers.has(username) || !players.has(username)) return;
 
-      if (game.guest) {
-        players.get(currentPlayer).ws.send(
-          JSON.stringify({
-            type: "error",
-            message: "Cette partie privée est déjà complète.",
-          })
-        );
-        return;
-      }
+  try {
+    const result = await friendStore.getFriends(username);
+    const { friends, incoming, outgoing } = result.data;
+    friendCache.set(username, new Set(friends));
 
-      // Rejoindre la partie
-      game.guest = currentPlayer;
-      console.log(
-        `${currentPlayer} a rejoint la partie privée de ${game.host}`
-      );
+    send(players.get(username).ws, {
+      type: "friends",
+      friends: friends.map((friend) => ({ username: friend, presence: getPresence(friend) })),
+      incoming,
+      outgoing,
+    });
+  } catch (error) {
+    logger.error(error);
+  }
+}
 
-      // Créer le match
-      matches.set(game.host, currentPlayer);
-      matches.set(currentPlayer, game.host);
+// Charger les amis à la connexion et annoncer l'arrivée du joueur
+async function initFriends(player) {
+  await sendFriendList(player);
+  refreshPresence(player);
+}
 
-      // Initialiser l'état "prêt" des joueurs
-      playerReadyState.set(game.host, false);
-      playerReadyState.set(currentPlayer, false);
+// Informer les amis connectés d'un changement de présence
+function refreshPresence(username) {
+  const friends = friendCache.get(username);
+  if (!friends) return;
 
-      // Informer les deux joueurs
-      players.get(game.host).ws.send(
-        JSON.stringify({
-          type: "game_joined",
-          opponent: currentPlayer,
-        })
-      );
+  const presence = getPresence(username);
+  if (lastPresence.get(username) === presence) return;
+  lastPresence.set(username, presence);
 
-      players.get(currentPlayer).ws.send(
-        JSON.stringify({
-          type: "game_joined",
-          opponent: game.host,
-        })
-      );
-    } else if (data.type === "play_online") {
-      if (!["pierre", "feuille", "ciseaux"].includes(data.choice)) {
-        console.error("Choix invalide reçu :", data.choice);
-        return;
-      }
+  const presenceData = encode({ type: "presence_update", username, presence });
+  friends.forEach((friend) => {
+    if (players.has(friend) && !disconnectedPlayers.has(friend)) {
+      players.get(friend).ws.send(presenceData);
+    }
+  });
+}
 
-      if (players.has(currentPlayer)) {
-        players.get(currentPlayer).choice = data.choice;
-        console.log(`Joueur ${currentPlayer} a choisi : ${data.choice}`);
-
-        const opponent = matches.get(currentPlayer);
-        if (opponent && players.has(opponent)) {
-          const opponentChoice = players.get(opponent).choice;
-
-          if (opponentChoice) {
-            const result = getResult(data.choice, opponentChoice);
-
-            if (result === "draw") {
-              players.get(currentPlayer).ws.send(
-                JSON.stringify({
-                  type: "game_result",
-                  message: `Égalité ! (${data.choice} contre ${opponentChoice})`,
-                  result: "draw",
-                  playerChoice: data.choice,
-                  opponentChoice: opponentChoice,
-                  opponentName: opponent,
-                })
-              );
-
-              players.get(opponent).ws.send(
-                JSON.stringify({
-                  type: "game_result",
-                  message: `Égalité ! (${opponentChoice} contre ${data.choice})`,
-                  result: "draw",
-                  playerChoice: opponentChoice,
-                  opponentChoice: data.choice,
-                  opponentName: currentPlayer,
-                })
-              );
-            } else if (result === "player1") {
-              db.run(
-                "UPDATE players SET score = score + 1 WHERE username = ?",
-                [currentPlayer]
-              );
-
-              players.get(currentPlayer).ws.send(
-                JSON.stringify({
-                  type: "game_result",
-                  message: `Vous avez gagné ! (${data.choice} bat ${opponentChoice})`,
-                  result: "player",
-                  playerChoice: data.choice,
-                  opponentChoice: opponentChoice,
-                  opponentName: opponent,
-                })
-              );
-
-              players.get(opponent).ws.send(
-                JSON.stringify({
-                  type: "game_result",
-                  message: `Vous avez perdu ! (${data.choice} bat ${opponentChoice})`,
-                  result: "opponent",
-                  playerChoice: opponentChoice,
-                  opponentChoice: data.choice,
-                  opponentName: currentPlayer,
-                })
-              );
-            } else {
-              db.run(
-                "UPDATE players SET score = score + 1 WHERE username = ?",
-                [opponent]
-              );
-
-              players.get(currentPlayer).ws.send(
-                JSON.stringify({
-                  type: "game_result",
-                  message: `Vous avez perdu ! (${opponentChoice} bat ${data.choice})`,
-                  result: "opponent",
-                  playerChoice: data.choice,
-                  opponentChoice: opponentChoice,
-                  opponentName: opponent,
-                })
-              );
-
-              players.get(opponent).ws.send(
-                JSON.stringify({
-                  type: "game_result",
-                  message: `Vous avez gagné ! (${opponentChoice} bat ${data.choice})`,
-                  result: "player",
-                  playerChoice: opponentChoice,
-                  opponentChoice: data.choice,
-                  opponentName: currentPlayer,
-                })
-              );
-            }
+// Clôturer un défi et en informer les deux joueurs
+function closeChallenge(challenge, reason, message) {
+  clearTimeout(challenge.timer);
+  challenges.delete(challenge.id);
+
+  const closeData = encode({
+    type: "challenge_closed",
+    challengeId: challenge.id,
+    from: challenge.from,
+    to: challenge.to,
+    reason,
+    message,
+  });
+  [challenge.from, challenge.to].forEach((player) => {
+    if (players.has(player)) {
+      players.get(player).ws.send(closeData);
+    }
+  });
+}
 
-            // Réinitialiser les choix pour un nouveau tour
-            players.get(currentPlayer).choice = null;
-            players.get(opponent).choice = null;
+// Tournois en cours et à venir
+function listTournaments() {
+  return [...tournaments.values()].map((tournament) => tournament.summary());
+}
 
-            // Mettre à jour le classement
-            broadcastRanking();
-          }
-        }
-      }
-    } else if (data.type === "ready_for_next_round") {
-      playerReadyState.set(currentPlayer, data.ready);
-
-      const opponent = matches.get(currentPlayer);
-      if (opponent && opponent !== "IA" && players.has(opponent)) {
-        // Vérifier si les deux joueurs sont prêts
-        if (
-          playerReadyState.get(currentPlayer) &&
-          playerReadyState.get(opponent)
-        ) {
-          // Les deux joueurs sont prêts pour le prochain tour
-          players.get(currentPlayer).ws.send(
-            JSON.stringify({
-              type: "start_new_round",
-            })
-          );
-
-          players.get(opponent).ws.send(
-            JSON.stringify({
-              type: "start_new_round",
-            })
-          );
-
-          // Réinitialiser l'état prêt
-          playerReadyState.set(currentPlayer, false);
-          playerReadyState.set(opponent, false);
-        } else if (
-          playerReadyState.get(currentPlayer) !== playerReadyState.get(opponent)
-        ) {
-          // Les joueurs ont choisi des options différentes (continuer vs quitter)
-          if (playerReadyState.get(currentPlayer)) {
-            // Le joueur actuel veut continuer mais l'adversaire veut quitter
-            players.get(currentPlayer).ws.send(
-              JSON.stringify({
-                type: "opponent_left",
-                message: "Votre adversaire a quitté la partie.",
-              })
-            );
-          }
-          // Sinon, le joueur actuel a choisi de quitter, ce qui est géré par leaveGame()
-        }
-      }
-    } else if (data.type === "leave_game") {
-      const opponent = matches.get(currentPlayer);
-
-      if (opponent && opponent !== "IA" && players.has(opponent)) {
-        players.get(opponent).ws.send(
-          JSON.stringify({
-            type: "opponent_left",
-            message: "Votre adversaire a quitté la partie.",
-          })
-        );
-      }
+// Un joueur déjà engagé dans une série (ici ou sur une autre instance) ne peut pas en commencer une autre
+function isInMatch(player) {
+  return activeSeries.has(player) || remoteMatches.has(player);
+}
 
-      // Supprimer le match
-      removePlayerFromMatch(currentPlayer);
+// Un joueur encore en lice dans un tournoi ne peut pas jouer d'autres matchs en ligne
+function isInTournament(player) {
+  return [...tournaments.values()].some((tournament) => tournament.isActive(player));
+}
 
-      // Supprimer le joueur de la file d'attente
-      const queueIndex = quickMatchQueue.indexOf(currentPlayer);
-      if (queueIndex !== -1) {
-        quickMatchQueue.splice(queueIndex, 1);
-      }
+// Lancer les matchs d'une ronde de tournoi
+function startTournamentRound(tournament, pairings) {
+  pairings.forEach((pairing) => {
+    const pairingPlayers = [pairing.player1, pairing.player2];
 
-      // Supprimer les parties privées où le joueur est l'hôte
-      for (const [gameId, game] of privateGames.entries()) {
-        if (game.host === currentPlayer) {
-          privateGames.delete(gameId);
-        }
-      }
+    // Un joueur absent perd la rencontre par forfait
+    const absent = pairingPlayers.filter(
+      (player) => !players.has(player) || disconnectedPlayers.has(player)
+    );
+    if (absent.length > 0) {
+      const present = pairingPlayers.filter((player) => !absent.includes(player));
+      logger.info("Forfait en tournoi", { tournamentId: tournament.id, players: absent });
+      tournament.recordResult(pairing.id, present[0] || null);
+      return;
     }
-  });
 
-  ws.on("close", () => {
-    if (currentPlayer) {
-      const opponent = matches.get(currentPlayer);
-      if (opponent && opponent !== "IA" && players.has(opponent)) {
-        players.get(opponent).ws.send(
-          JSON.stringify({
-            type: "opponent_left",
-            message: "Votre adversaire a quitté la partie.",
-          })
-        );
-      }
+    pairingPlayers.forEach((player) => {
+      endAISession(player);
+      removePlayerFromQueue(player);
+      playerModes.set(player, "tournament");
+    });
 
-      // Supprimer le joueur des structures de données
-      players.delete(currentPlayer);
-      playerModes.delete(currentPlayer);
-      playerReadyState.delete(currentPlayer);
-      authenticatedUsers.delete(currentPlayer);
-      removePlayerFromMatch(currentPlayer);
-
-      // Supprimer le joueur de la file d'attente
-      const queueIndex = quickMatchQueue.indexOf(currentPlayer);
-      if (queueIndex !== -1) {
-        quickMatchQueue.splice(queueIndex, 1);
-      }
+    const series = startMatch(pairing.player1, pairing.player2, {
+      format: tournament.format,
+      mode: "tournament",
+      ruleSet: tournament.ruleSet,
+      settings: tournament.settings,
+    });
+    series.tournamentId = tournament.id;
+    series.pairingId = pairing.id;
+    tournament.startPairing(pairing.id, series.id);
+  });
 
-      // Supprimer les parties privées où le joueur est l'hôte
-      for (const [gameId, game] of privateGames.entries()) {
-        if (game.host === currentPlayer) {
-          privateGames.delete(gameId);
-        }
-      }
+  broadcastTournament(tournament);
 
-      console.log(`Joueur déconnecté : ${currentPlayer}`);
+  // Toutes les rencontres ont pu se régler par forfait
+  if (tournament.isRoundComplete()) {
+    scheduleNextTournamentRound(tournament);
+  }
+}
 
-      // Mettre à jour le nombre de joueurs en ligne
-      broadcastOnlineCount();
-    }
-  });
-});
+// Enregistrer le résultat d'un match de tournoi et faire avancer le vainqueur
+function recordTournamentResult(series, winner) {
+  const tournament = tournaments.get(series.tournamentId);
+  if (!tournament || tournament.status !== "running") return;
 
-function matchQuickPlayers() {
-  console.log(
-    "Tentative d'association des joueurs en attente de partie rapide..."
+  const [player1, player2] = series.players;
+  const roundComplete = tournament.recordResult(
+    series.pairingId,
+    winner,
+    `${series.scores[player1]}-${series.scores[player2]}`
   );
-  console.log("Joueurs en attente :", quickMatchQueue);
 
-  while (quickMatchQueue.length >= 2) {
-    const player1 = quickMatchQueue.shift();
-    const player2 = quickMatchQueue.shift();
+  broadcastTournament(tournament);
+  if (roundComplete) {
+    scheduleNextTournamentRound(tournament);
+  }
+}
+
+// Laisser aux joueurs le temps de voir les résultats avant la ronde suivante
+function scheduleNextTournamentRound(tournament) {
+  setTimeout(() => {
+    const pairings = tournament.advance();
 
-    if (players.has(player1) && players.has(player2)) {
-      matches.set(player1, player2);
-      matches.set(player2, player1);
+    if (tournament.status === "finished") {
+      logger.info("Tournoi terminé", { tournamentId: tournament.id, winner: tournament.winner });
+      broadcastTournament(tournament);
+      broadcastTournamentList();
 
-      // Initialiser l'état "prêt" des joueurs
-      playerReadyState.set(player1, false);
-      playerReadyState.set(player2, false);
+      // Le tableau final reste consultable pendant un moment
+      setTimeout(() => tournaments.delete(tournament.id), TOURNAMENT_RETENTION * 1000);
+      return;
+    }
 
-      console.log(`Match rapide créé : ${player1} vs ${player2}`);
+    startTournamentRound(tournament, pairings);
+  }, TOURNAMENT_ROUND_DELAY * 1000);
+}
 
-      players.get(player1).ws.send(
-        JSON.stringify({
-          type: "game_joined",
-          opponent: player2,
-        })
-      );
+function cancelTournament(tournament, message) {
+  tournaments.delete(tournament.id);
+  logger.info("Tournoi annulé", { tournamentId: tournament.id });
 
-      players.get(player2).ws.send(
-        JSON.stringify({
-          type: "game_joined",
-          opponent: player1,
-        })
-      );
+  const cancelData = encode({ type: "tournament_cancelled", tournamentId: tournament.id, message });
+  tournament.players.forEach(({ username }) => {
+    if (players.has(username)) {
+      players.get(username).ws.send(cancelData);
     }
-  }
+  });
+
+  broadcastTournamentList();
 }
 
-function removePlayerFromMatch(player) {
-  const opponent = matches.get(player);
-  if (opponent) {
-    matches.delete(player);
-    if (opponent !== "IA") {
-      matches.delete(opponent);
+// Envoyer le tableau à jour à l'organisateur et à tous les participants
+function broadcastTournament(tournament) {
+  const tournamentData = encode({ type: "tournament_update", tournament: tournament.view() });
+  const recipients = new Set([tournament.host, ...tournament.players.map((player) => player.username)]);
+
+  recipients.forEach((username) => {
+    if (players.has(username) && !disconnectedPlayers.has(username)) {
+      players.get(username).ws.send(tournamentData);
     }
-  }
+  });
 }
 
-function getResult(choice1, choice2) {
-  if (choice1 === choice2) return "draw";
-  if (
-    (choice1 === "pierre" && choice2 === "ciseaux") ||
-    (choice1 === "feuille" && choice2 === "pierre") ||
-    (choice1 === "ciseaux" && choice2 === "feuille")
-  ) {
-    return "player1";
-  }
-  return "player2";
+function broadcastTournamentList() {
+  const listData = encode({ type: "tournaments", tournaments: listTournaments() });
+
+  players.forEach((player) => {
+    if (!player.remote) player.ws.send(listData);
+  });
 }
 
-function getRandomChoice() {
-  const choices = ["pierre", "feuille", "ciseaux"];
-  return choices[Math.floor(Math.random() * choices.length)];
+// Administration (routes /api/admin)
+
+// Joueurs connectés à toutes les instances, avec le détail de ceux dont la connexion est ici
+async function listConnectedPlayers() {
+  const directory = await cluster.listPlayers();
+  const connected = Object.keys(directory)
+    .sort()
+    .map((username) => {
+      const node = directory[username];
+      const entry = node === cluster.nodeId ? players.get(username) : null;
+      if (!entry || entry.remote) return { username, node };
+
+      const series = activeSeries.get(username);
+      return {
+        username,
+        node,
+        authenticated: authenticatedUsers.has(username),
+        presence: getPresence(username),
+        mode: playerModes.get(username) || null,
+        matchId: series ? series.id : null,
+      };
+    });
+
+  return {
+    node: cluster.nodeId,
+    players: connected,
+    reconnecting: [...disconnectedPlayers.entries()].map(([username, { since }]) => ({ username, since })),
+  };
 }
 
-function broadcastRanking() {
-  db.all(
-    "SELECT username, score FROM players ORDER BY score DESC",
-    (err, rows) => {
-      if (err) {
-        console.error("Erreur lors de la récupération du classement :", err);
-        return;
-      }
+// Matchs hébergés par cette instance et parties privées de toutes les instances
+async function listRunningMatches() {
+  const privateGameList = await cluster.listPrivateGames();
+  return {
+    node: cluster.nodeId,
+    matches: [...new Set(activeSeries.values())].filter((series) => series.phase !== "over").map(spectatorView),
+    privateGames: Object.keys(privateGameList).map((gameId) => ({ gameId, ...privateGameList[gameId] })),
+  };
+}
 
-      const ranking = rows.map((row) => ({
-        username: row.username,
-        score: row.score,
-      }));
-      const rankingData = JSON.stringify({ type: "ranking", ranking });
+// Exclure un joueur, quelle que soit l'instance qui détient sa connexion ; false s'il n'est pas connecté
+async function kickPlayer(username, message) {
+  const node = await cluster.locatePlayer(username);
+  if (!node) return false;
 
-      players.forEach((player) => {
-        player.ws.send(rankingData);
-      });
-    }
-  );
+  await cluster.sendTo(node, "kick_player", { username, message });
+  return true;
 }
 
-function broadcastOnlineCount() {
-  const count = players.size;
-  const countData = JSON.stringify({ type: "online_count", count });
+// Fermer une partie privée sur l'instance qui l'héberge ; false si elle n'existe pas
+async function requestPrivateGameClose(gameId, message) {
+  const game = await cluster.findPrivateGame(gameId);
+  if (!game) return false;
+
+  await cluster.sendTo(game.node, "close_private_game", { gameId, message });
+  return true;
+}
+
+function announce(message) {
+  return cluster.broadcast("announcement", { message });
+}
+
+// Relancer l'association régulièrement pour élargir l'écart accepté avec le temps d'attente
+setInterval(() => {
+  if (matchmaker.length > 0 && !shuttingDown) {
+    matchQuickPlayers().catch((error) => logger.error("Erreur lors de l'association des joueurs", { error }));
+  }
+}, MATCHMAKING_INTERVAL);
+
+// Événements reçus des autres instances du cluster (et de celle-ci, pour ce qui est diffusé à toutes)
+
+// Message destiné à un joueur connecté ici
+cluster.on("deliver", ({ to, data }) => {
+  const entry = players.get(to);
+  if (entry && !entry.remote) entry.ws.send(data);
+});
 
+// Le joueur a repris son match en se connectant directement à l'instance qui l'héberge
+cluster.on("close_connection", ({ username }, node) => {
+  const entry = players.get(username);
+  if (!entry || entry.remote) return;
+
+  if (remoteMatches.get(username) === node) remoteMatches.delete(username);
+  entry.ws.close();
+});
+
+cluster.on("online_count", ({ count }) => {
+  const countData = encode({ type: "online_count", count });
   players.forEach((player) => {
-    player.ws.send(countData);
+    if (!player.remote) player.ws.send(countData);
   });
-}
+});
+
+// Paire formée par l'instance qui détenait le verrou de l'association, hébergée ici
+cluster.on("start_match", ({ entries }) => {
+  startQuickMatch(...entries.map(fromQueueRecord));
+});
+
+// Un joueur connecté ici joue désormais un match hébergé par une autre instance
+cluster.on("match_hosted", ({ player }, node) => {
+  const entry = players.get(player);
+  if (!entry || entry.remote) {
+    // Parti entre-temps : le match est abandonné plutôt que de le laisser attendre
+    cluster.sendTo(node, "player_message", { player, message: { type: "leave_game" } });
+    return;
+  }
+
+  remoteMatches.set(player, node);
+  matchmaker.remove(player);
+  refreshPresence(player);
+});
+
+cluster.on("match_released", ({ player }, node) => {
+  if (remoteMatches.get(player) !== node) return;
+  remoteMatches.delete(player);
+  refreshPresence(player);
+});
+
+// Message d'un joueur connecté à une autre instance, pour le match ou la partie privée hébergés ici
+cluster.on("player_message", async ({ player, message }, node) => {
+  const log = logger.child({ player, node });
+  // Seule une demande pour rejoindre une partie privée peut venir d'un joueur encore inconnu ici
+  const joining = !players.has(player) && message.type === "join_private_game";
+  if (joining) attachRemotePlayer(player, node);
+
+  const entry = players.get(player);
+  if (!entry || !entry.remote) return;
+
+  try {
+    await messageHandlers[message.type]({ ws: entry.ws, player, log }, message);
+  } catch (error) {
+    log.error("Erreur lors du traitement d'un message relayé", { messageType: message.type, error });
+    sendError(entry.ws, ERROR_CODES.INTERNAL_ERROR, "Une erreur inattendue est survenue.");
+  }
+
+  // Une demande refusée ne laisse pas le joueur représenté ici
+  if (joining && !activeSeries.has(player)) players.delete(player);
+});
+
+// Joueur exclu par un administrateur : son match est abandonné, sans délai de reconnexion
+cluster.on("kick_player", ({ username, message }) => {
+  const entry = players.get(username);
+  if (!entry || entry.remote) return;
+
+  const pending = disconnectedPlayers.get(username);
+  if (pending) {
+    clearTimeout(pending.timer);
+    disconnectedPlayers.delete(username);
+  } else {
+    send(entry.ws, { type: "kicked", message });
+  }
+  logger.info("Joueur exclu", { player: username });
+  removePlayer(username);
+  entry.ws.close();
+});
+
+// Partie privée fermée par un administrateur ; un match déjà commencé est abandonné
+cluster.on("close_private_game", ({ gameId, message }) => {
+  const game = privateGames.get(gameId);
+  if (!game) return;
+
+  const series = activeSeries.get(game.host);
+  if (series && series.privateGameId === gameId && series.phase !== "over") {
+    abandonMatch(series, message, "closed_by_admin");
+    return;
+  }
+
+  closePrivateGame(gameId);
+  const host = players.get(game.host);
+  if (host && !host.remote) send(host.ws, { type: "private_game_closed", gameId, message });
+});
+
+// Annonce d'un administrateur, pour toutes les connexions de cette instance
+cluster.on("announcement", ({ message }) => {
+  const announcement = encode({ type: "announcement", message });
+  wss.clients.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(announcement);
+  });
+});
 
 // Gestion des erreurs du serveur WebSocket
 wss.on("error", (error) => {
-  console.error("Erreur du serveur WebSocket :", error);
+  logger.error("Erreur du serveur WebSocket", { error });
 });
 
+// Jauges de /metrics, relevées à chaque lecture : elles ne concernent que cette instance
+registry.beforeCollect(() => {
+  let authenticated = 0;
+  let guests = 0;
+  players.forEach((entry, player) => {
+    if (entry.remote || disconnectedPlayers.has(player)) return;
+    if (authenticatedUsers.has(player)) authenticated++;
+    else guests++;
+  });
+
+  metrics.connectedSockets.set(wss.clients.size);
+  metrics.players.set(authenticated, { type: "authenticated" });
+  metrics.players.set(guests, { type: "guest" });
+  metrics.queueLength.set(matchmaker.length);
+  metrics.activeMatches.set([...new Set(activeSeries.values())].filter((series) => series.phase !== "over").length);
+});
+
+// API REST et client du jeu sur le même port que le WebSocket
+server.on(
+  "request",
+  createApiApp({
+    matchHistory,
+    getRanking,
+    getPlayerRating,
+    userExists: (username) => friendStore.userExists(username),
+    onSessionsRevoked: (sessionIds) => disconnectSessions(sessionIds, "Cette session a été fermée."),
+    admin: {
+      listPlayers: listConnectedPlayers,
+      listMatches: listRunningMatches,
+      kickPlayer,
+      closePrivateGame: requestPrivateGameClose,
+      announce,
+      onRankingChanged: broadcastRanking,
+    },
+  })
+);
+
+// Arrêt demandé par Docker (redéploiement) ou au clavier
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+// Démarrer le serveur une fois le schéma de la base à jour, les administrateurs configurés promus,
+// l'instance inscrite dans le cluster et les matchs sauvegardés avant le dernier arrêt repris
 const serverPort = process.env.PORT || 8080;
-console.log(`Serveur WebSocket démarré sur le port ${serverPort}`);
\ No newline at end of file
+Promise.all([databaseReady, cluster.start()])
+  .then(() => new ModerationManager().promoteConfiguredAdmins())
+  .then(restoreSuspendedMatches)
+  .then(() => {
+    server.listen(serverPort, () => {
+      logger.info("Serveur HTTP et WebSocket démarré", { port: serverPort, node: cluster.nodeId });
+    });
+  })
+  .catch((error) => {
+    logger.error(error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,100 @@
+// snapshots.js - Sauvegarde des matchs en cours et des parties privées en attente, pour les reprendre après un redémarrage
+
+// Classe pour enregistrer et relire l'état sauvegardé
+class SnapshotStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Enregistrer (ou remplacer) l'état d'un match en cours
+  async saveMatch(state) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        "INSERT OR REPLACE INTO match_snapshots (id, state, saved_at) VALUES (?, ?, ?)",
+        [state.id, JSON.stringify(state), new Date().toISOString()],
+        (err) => {
+          if (err) return reject({ status: 500, message: "Erreur lors de la sauvegarde du match", error: err });
+          resolve({ status: 200 });
+        }
+      );
+    });
+  }
+
+  // Oublier un match terminé ou abandonné
+  async removeMatch(matchId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM match_snapshots WHERE id = ?", [matchId], (err) => {
+        if (err) return reject({ status: 500, message: "Erreur lors de la suppression du match sauvegardé", error: err });
+        resolve({ status: 200 });
+      });
+    });
+  }
+
+  // États de tous les matchs sauvegardés
+  async loadMatches() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT state FROM match_snapshots", [], (err, rows) => {
+        if (err) return reject({ status: 500, message: "Erreur lors de la lecture des matchs sauvegardés", error: err });
+        resolve({ status: 200, data: rows.map((row) => JSON.parse(row.state)) });
+      });
+    });
+  }
+
+  // Enregistrer une partie privée qui attend son invité
+  async savePrivateGame(gameId, host, state) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        "INSERT OR REPLACE INTO private_game_snapshots (id, host, state, saved_at) VALUES (?, ?, ?, ?)",
+        [gameId, host, JSON.stringify(state), new Date().toISOString()],
+        (err) => {
+          if (err) return reject({ status: 500, message: "Erreur lors de la sauvegarde de la partie privée", error: err });
+          resolve({ status: 200 });
+        }
+      );
+    });
+  }
+
+  async removePrivateGame(gameId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM private_game_snapshots WHERE id = ?", [gameId], (err) => {
+        if (err) {
+          return reject({ status: 500, message: "Erreur lors de la suppression de la partie privée sauvegardée", error: err });
+        }
+        resolve({ status: 200 });
+      });
+    });
+  }
+
+  // Parties privées d'un hôte sauvegardées depuis `since` (date ISO), { gameId, state }
+  async loadPrivateGames(host, since) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        "SELECT id, state FROM private_game_snapshots WHERE host = ? AND saved_at >= ?",
+        [host, since],
+        (err, rows) => {
+          if (err) {
+            return reject({ status: 500, message: "Erreur lors de la lecture des parties privées sauvegardées", error: err });
+          }
+          resolve({ status: 200, data: rows.map((row) => ({ gameId: row.id, state: JSON.parse(row.state) })) });
+        }
+      );
+    });
+  }
+
+  // Supprimer les parties privées trop anciennes pour être reprises
+  async purgePrivateGames(before) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM private_game_snapshots WHERE saved_at < ?", [before], function (err) {
+        if (err) {
+          return reject({ status: 500, message: "Erreur lors du nettoyage des parties privées sauvegardées", error: err });
+        }
+        resolve({ status: 200, data: { deleted: this.changes } });
+      });
+    });
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  SnapshotStore,
+};
@@ -0,0 +1,189 @@
+// state.js - État partagé entre les instances du serveur : tables clé-valeur, verrous et publication/abonnement.
+// Deux implémentations de la même interface : en mémoire (une seule instance) et sur un serveur compatible Redis.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { RedisClient } = require("./redis");
+const { logger } = require("./logger");
+
+// Configuration
+const STATE_STORE_URL = process.env.STATE_STORE_URL || "memory://"; // "memory://" ou "redis://hôte:port"
+const KEY_PREFIX = process.env.STATE_KEY_PREFIX || "rps"; // Préfixe des clés, pour partager un serveur Redis
+
+// Supprimer un verrou seulement s'il appartient encore à celui qui le libère (comparaison et suppression atomiques)
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1])
+  end
+  return 0`;
+
+// Les valeurs sont stockées en JSON dans les deux implémentations : elles se comportent de la même façon
+function encodeValue(value) {
+  return JSON.stringify(value);
+}
+
+function decodeValue(value) {
+  return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+// Classe pour l'état d'une instance seule, sans serveur externe
+class MemoryStateStore {
+  constructor() {
+    this.tables = new Map(); // table -> Map(champ -> valeur encodée)
+    this.locks = new Map(); // verrou -> { owner, expiresAt }
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  async connect() {}
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  async set(table, field, value) {
+    this.table(table).set(field, encodeValue(value));
+  }
+
+  async get(table, field) {
+    return decodeValue(this.table(table).get(field));
+  }
+
+  // Supprimer un champ, retourne true s'il existait
+  async delete(table, field) {
+    return this.table(table).delete(field);
+  }
+
+  async getAll(table) {
+    const entries = {};
+    this.table(table).forEach((value, field) => {
+      entries[field] = decodeValue(value);
+    });
+    return entries;
+  }
+
+  // Prendre un verrou pour au plus `ttl` millisecondes.
+  // Retourne le jeton du détenteur, à rendre pour le libérer, ou null s'il est déjà pris.
+  async acquireLock(name, ttl) {
+    const now = Date.now();
+    const lock = this.locks.get(name);
+    if (lock && lock.expiresAt > now) return null;
+
+    const owner = crypto.randomBytes(16).toString("hex");
+    this.locks.set(name, { owner, expiresAt: now + ttl });
+    return owner;
+  }
+
+  // Un verrou expiré puis repris par un autre détenteur n'est pas libéré
+  async releaseLock(name, owner) {
+    const lock = this.locks.get(name);
+    if (lock && lock.owner === owner) this.locks.delete(name);
+  }
+
+  // Les messages sont distribués au tour suivant, comme ils le seraient par le réseau
+  async publish(channel, message) {
+    const data = encodeValue(message);
+    setImmediate(() => this.channels.emit(channel, decodeValue(data)));
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+  }
+
+  async close() {
+    this.channels.removeAllListeners();
+  }
+}
+
+// Classe pour l'état partagé sur un serveur compatible Redis : une table est un hash,
+// un verrou une clé posée avec NX et une durée de vie, qui contient le jeton de son détenteur.
+// Les abonnements ont leur propre connexion.
+class RedisStateStore {
+  constructor(url, prefix = KEY_PREFIX) {
+    this.prefix = prefix;
+    this.client = new RedisClient(url);
+    this.subscriber = new RedisClient(url);
+    this.handlers = new Map(); // canal -> gestionnaires
+
+    const logError = (error) => logger.error("Erreur de l'état partagé", { error });
+    this.client.on("error", logError);
+    this.subscriber.on("error", logError);
+    this.subscriber.on("message", (channel, data) => {
+      const handlers = this.handlers.get(channel.slice(this.prefix.length + 1)) || [];
+      const message = decodeValue(data);
+      handlers.forEach((handler) => handler(message));
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+    await this.subscriber.connect();
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  async set(table, field, value) {
+    await this.client.command("HSET", this.key(table), field, encodeValue(value));
+  }
+
+  async get(table, field) {
+    return decodeValue(await this.client.command("HGET", this.key(table), field));
+  }
+
+  async delete(table, field) {
+    return (await this.client.command("HDEL", this.key(table), field)) > 0;
+  }
+
+  async getAll(table) {
+    const reply = await this.client.command("HGETALL", this.key(table));
+    const entries = {};
+    for (let i = 0; i < reply.length; i += 2) {
+      entries[reply[i]] = decodeValue(reply[i + 1]);
+    }
+    return entries;
+  }
+
+  async acquireLock(name, ttl) {
+    const owner = crypto.randomBytes(16).toString("hex");
+    const reply = await this.client.command("SET", this.key(`lock:${name}`), owner, "NX", "PX", ttl);
+    return reply === "OK" ? owner : null;
+  }
+
+  async releaseLock(name, owner) {
+    await this.client.command("EVAL", RELEASE_LOCK_SCRIPT, 1, this.key(`lock:${name}`), owner);
+  }
+
+  async publish(channel, message) {
+    await this.client.command("PUBLISH", this.key(channel), encodeValue(message));
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, []);
+      this.subscriber.subscribe(this.key(channel));
+    }
+    this.handlers.get(channel).push(handler);
+  }
+
+  async close() {
+    this.client.quit();
+    this.subscriber.quit();
+  }
+}
+
+// Choisir l'implémentation selon l'adresse configurée
+function createStateStore(url = STATE_STORE_URL) {
+  if (url.startsWith("memory:")) return new MemoryStateStore();
+  if (url.startsWith("redis:")) return new RedisStateStore(url);
+  throw new Error(`Stockage de l'état inconnu : ${url}`);
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  createStateStore,
+};
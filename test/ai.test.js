@@ -0,0 +1,56 @@
+// ai.test.js - Stratégies de l'IA (ai.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { AIOpponent } = require("../ai");
+const { getRuleSet } = require("../rules");
+
+function opponentAfter(strategy, moves) {
+  const ai = new AIOpponent(strategy);
+  moves.forEach((move) => ai.observe(move));
+  return ai;
+}
+
+test("une stratégie inconnue est refusée", () => {
+  assert.throws(() => new AIOpponent("triche"), /Stratégie d'IA inconnue/);
+});
+
+test("sans historique, l'IA joue un coup valide au hasard", () => {
+  ["random", "beat_last", "frequency", "markov"].forEach((strategy) => {
+    const ai = new AIOpponent(strategy);
+    assert.strictEqual(ai.predict(), null);
+    assert.ok(getRuleSet().moves.includes(ai.nextMove()));
+  });
+});
+
+test("la stratégie « contre le dernier coup » bat le coup précédent du joueur", () => {
+  const ai = opponentAfter("beat_last", ["ciseaux", "pierre"]);
+  assert.strictEqual(ai.predict(), "pierre");
+  assert.strictEqual(ai.nextMove(), "feuille");
+});
+
+test("le compteur de fréquences bat le coup le plus joué", () => {
+  const ai = opponentAfter("frequency", ["feuille", "pierre", "feuille", "ciseaux"]);
+  assert.strictEqual(ai.predict(), "feuille");
+  assert.strictEqual(ai.nextMove(), "ciseaux");
+});
+
+test("le prédicteur de motifs suit les enchaînements du joueur", () => {
+  const ai = opponentAfter("markov", ["pierre", "ciseaux", "pierre", "ciseaux", "pierre"]);
+  assert.strictEqual(ai.predict(), "ciseaux");
+  assert.strictEqual(ai.nextMove(), "pierre");
+
+  // Sans enchaînement connu depuis le dernier coup, il se rabat sur les fréquences
+  const fallback = opponentAfter("markov", ["pierre", "pierre", "feuille"]);
+  assert.strictEqual(fallback.predict(), "pierre");
+});
+
+test("l'IA ne joue que des coups du jeu de règles choisi", () => {
+  const ruleSet = getRuleSet("rpsls");
+  const ai = new AIOpponent("frequency", ruleSet);
+  ai.observe("spock");
+
+  for (let i = 0; i < 20; i++) {
+    assert.ok(["lezard", "feuille"].includes(ai.nextMove()));
+  }
+});
@@ -0,0 +1,77 @@
+// chat.test.js - Discussion (chat.js) : limite de débit, blocages et filtrage des messages
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { ChatService, RATE_LIMIT_MESSAGES, RATE_LIMIT_WINDOW } = require("../chat");
+
+// Base de données des comptes : les listes enregistrées de chaque joueur
+function fakeDb(rows = []) {
+  return {
+    all(sql, params, callback) {
+      callback(null, rows.filter((row) => row.username === params[0]));
+    },
+    run(sql, params, callback) {
+      callback(null);
+    },
+  };
+}
+
+test("la limite de débit bloque le message de trop puis se libère avec la fenêtre", () => {
+  const chat = new ChatService(fakeDb(), []);
+  const now = Date.now();
+
+  for (let i = 0; i < RATE_LIMIT_MESSAGES; i++) assert.strictEqual(chat.isRateLimited("alice", now + i), false);
+  assert.strictEqual(chat.isRateLimited("alice", now + RATE_LIMIT_MESSAGES), true);
+  assert.strictEqual(chat.isRateLimited("alice", now + RATE_LIMIT_WINDOW * 1000 + 10), false);
+});
+
+test("se reconnecter ne remet pas la limite de débit à zéro", () => {
+  const chat = new ChatService(fakeDb(), []);
+  const now = Date.now();
+
+  for (let i = 0; i < RATE_LIMIT_MESSAGES; i++) chat.isRateLimited("alice", now);
+  chat.forget("alice", now + 1);
+  assert.strictEqual(chat.isRateLimited("alice", now + 2), true);
+
+  // Une fois la fenêtre écoulée, la déconnexion suivante fait le ménage
+  chat.forget("alice", now + RATE_LIMIT_WINDOW * 1000 + 1);
+  assert.strictEqual(chat.recentMessages.has("alice"), false);
+});
+
+test("les blocages d'un joueur déconnecté s'appliquent toujours à l'historique du salon", async () => {
+  const chat = new ChatService(fakeDb([{ username: "bob", target: "alice", kind: "block" }]), []);
+  await chat.loadRelations("bob", true);
+  chat.addToLobbyHistory(chat.createMessage("bob", "lobby", "bonjour"));
+  chat.addToLobbyHistory(chat.createMessage("carol", "lobby", "salut"));
+
+  chat.forget("bob");
+
+  assert.deepStrictEqual(chat.lobbyHistoryFor("alice").map((message) => message.from), ["carol"]);
+  assert.strictEqual(chat.isBlocked("alice", "bob"), true);
+});
+
+test("un invité qui revient retrouve ses listes en mémoire", async () => {
+  const chat = new ChatService(fakeDb(), []);
+  await chat.setRelation("invité", "bob", "mute", true, false);
+
+  chat.forget("invité");
+  await chat.loadRelations("invité", false);
+
+  assert.deepStrictEqual(chat.relationsView("invité"), { muted: ["bob"], blocked: [] });
+});
+
+test("un masquage ne coupe la discussion que pour celui qui l'a choisi", async () => {
+  const chat = new ChatService(fakeDb(), []);
+  await chat.setRelation("alice", "bob", "mute", true, false);
+
+  assert.strictEqual(chat.canReceive("alice", "bob"), false);
+  assert.strictEqual(chat.canReceive("bob", "alice"), true);
+  assert.strictEqual(chat.isBlocked("alice", "bob"), false);
+});
+
+test("les mots interdits sont masqués, sans tenir compte des accents ni de la casse", () => {
+  const chat = new ChatService(fakeDb(), ["zut"]);
+  assert.strictEqual(chat.createMessage("alice", "lobby", "Oh ZÛT, raté !").text, "Oh ***, raté !");
+  assert.throws(() => chat.createMessage("alice", "lobby", "   "), { status: 400 });
+  assert.throws(() => chat.createMessage("alice", "ailleurs", "bonjour"), { status: 400 });
+});
@@ -0,0 +1,85 @@
+// fairplay.test.js - Coups engagés puis dévoilés (fairplay.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { computeCommitment, MoveCommitments } = require("../fairplay");
+
+const NONCE_ALICE = "a".repeat(32);
+const NONCE_BOB = "b".repeat(32);
+const isValidChoice = (choice) => ["pierre", "feuille", "ciseaux"].includes(choice);
+
+function newRound() {
+  return new MoveCommitments("match-1", 1, ["alice", "bob"]);
+}
+
+test("l'empreinte est liée au match, à la manche et au joueur", () => {
+  const commitment = computeCommitment("match-1", 1, "alice", "pierre", NONCE_ALICE);
+
+  assert.match(commitment, /^[0-9a-f]{64}$/);
+  assert.strictEqual(commitment, computeCommitment("match-1", 1, "alice", "pierre", NONCE_ALICE));
+  assert.notStrictEqual(commitment, computeCommitment("match-2", 1, "alice", "pierre", NONCE_ALICE));
+  assert.notStrictEqual(commitment, computeCommitment("match-1", 2, "alice", "pierre", NONCE_ALICE));
+  assert.notStrictEqual(commitment, computeCommitment("match-1", 1, "bob", "pierre", NONCE_ALICE));
+});
+
+test("un engagement doit être une empreinte SHA-256 et n'est accepté qu'une fois", () => {
+  const round = newRound();
+
+  assert.ok(round.commit("alice", "pierre"));
+  assert.strictEqual(round.commit("alice", computeCommitment("match-1", 1, "alice", "pierre", NONCE_ALICE)), null);
+  assert.ok(round.commit("alice", computeCommitment("match-1", 1, "alice", "feuille", NONCE_ALICE)));
+  assert.strictEqual(round.allCommitted(), false);
+});
+
+test("les coups dévoilés conformes aux engagements sont retenus", () => {
+  const round = newRound();
+  round.commit("alice", computeCommitment("match-1", 1, "alice", "pierre", NONCE_ALICE));
+  round.commit("bob", computeCommitment("match-1", 1, "bob", "ciseaux", NONCE_BOB));
+  assert.strictEqual(round.allCommitted(), true);
+
+  assert.strictEqual(round.reveal("alice", "pierre", NONCE_ALICE, isValidChoice), null);
+  assert.strictEqual(round.allRevealed(), false);
+  assert.strictEqual(round.reveal("bob", "ciseaux", NONCE_BOB, isValidChoice), null);
+  assert.strictEqual(round.allRevealed(), true);
+
+  assert.strictEqual(round.choiceOf("alice"), "pierre");
+  assert.strictEqual(round.choiceOf("bob"), "ciseaux");
+});
+
+test("un dévoilement qui ne correspond pas à l'engagement est définitivement refusé", () => {
+  const round = newRound();
+  round.commit("alice", computeCommitment("match-1", 1, "alice", "pierre", NONCE_ALICE));
+
+  assert.ok(round.reveal("alice", "feuille", NONCE_ALICE, isValidChoice));
+  assert.ok(round.reveal("alice", "pierre", NONCE_ALICE, isValidChoice)); // Déjà dévoilé
+  assert.strictEqual(round.choiceOf("alice"), null);
+  assert.ok(round.reveal("bob", "pierre", NONCE_BOB, isValidChoice)); // Aucun engagement
+});
+
+test("un coup engagé hors des règles du match ou avec un nonce trop court est refusé", () => {
+  const round = newRound();
+  round.commit("alice", computeCommitment("match-1", 1, "alice", "spock", NONCE_ALICE));
+  round.commit("bob", computeCommitment("match-1", 1, "bob", "pierre", "abc"));
+
+  assert.ok(round.reveal("alice", "spock", NONCE_ALICE, isValidChoice));
+  assert.ok(round.reveal("bob", "pierre", "abc", isValidChoice));
+  assert.strictEqual(round.choiceOf("alice"), null);
+  assert.strictEqual(round.choiceOf("bob"), null);
+});
+
+test("le journal publie de quoi vérifier chaque empreinte, y compris les coups tirés au hasard", () => {
+  const round = newRound();
+  const commitment = computeCommitment("match-1", 1, "alice", "feuille", NONCE_ALICE);
+  round.commit("alice", commitment);
+  round.reveal("alice", "feuille", NONCE_ALICE, isValidChoice);
+  round.assign("bob", "ciseaux");
+
+  assert.strictEqual(round.choiceOf("bob"), "ciseaux");
+  assert.deepStrictEqual(round.transcript(), {
+    round: 1,
+    players: {
+      alice: { commitment, choice: "feuille", nonce: NONCE_ALICE, valid: true, assigned: false },
+      bob: { commitment: null, choice: "ciseaux", nonce: null, valid: false, assigned: true },
+    },
+  });
+});
@@ -0,0 +1,133 @@
+// fake-redis.js - Serveur RESP minimal pour les tests : tables, clés avec NX/PX, script de libération des verrous,
+// publication/abonnement. Il enregistre les commandes reçues et peut couper les connexions.
+
+const net = require("net");
+const { parseReply, encodeCommand } = require("../redis");
+
+const simple = (value) => `+${value}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => (value === null || value === undefined ? "$-1\r\n" : encodeCommand([value]).slice(4));
+const array = (values) => `*${values.length}\r\n${values.map(bulk).join("")}`;
+
+class FakeRedisServer {
+  constructor() {
+    this.keys = new Map(); // clé -> { value, expiresAt }
+    this.hashes = new Map(); // clé -> Map(champ -> valeur)
+    this.subscribers = new Map(); // canal -> Set(socket)
+    this.sockets = new Set();
+    this.commands = []; // Commandes reçues, dans l'ordre
+    this.server = net.createServer((socket) => this.accept(socket));
+  }
+
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => resolve(`redis://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  // Couper toutes les connexions en cours (le client doit se reconnecter)
+  dropConnections() {
+    this.sockets.forEach((socket) => socket.destroy());
+  }
+
+  close() {
+    this.dropConnections();
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  accept(socket) {
+    this.sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on("close", () => {
+      this.sockets.delete(socket);
+      this.subscribers.forEach((sockets) => sockets.delete(socket));
+    });
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseReply(buffer))) {
+        buffer = buffer.slice(request.offset);
+        this.commands.push(request.value);
+        const reply = this.execute(socket, request.value);
+        if (reply !== null) socket.write(reply);
+      }
+    });
+  }
+
+  liveKey(key) {
+    const entry = this.keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) this.keys.delete(key);
+    return this.keys.get(key);
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    return this.hashes.get(key);
+  }
+
+  execute(socket, [name, ...args]) {
+    switch (name.toUpperCase()) {
+      case "PING":
+        return simple("PONG");
+      case "SET": {
+        const [key, value, ...options] = args;
+        const upper = options.map((option) => option.toUpperCase());
+        if (upper.includes("NX") && this.liveKey(key)) return bulk(null);
+        const px = upper.indexOf("PX");
+        this.keys.set(key, { value, expiresAt: px === -1 ? null : Date.now() + parseInt(options[px + 1], 10) });
+        return simple("OK");
+      }
+      case "GET": {
+        const entry = this.liveKey(args[0]);
+        return bulk(entry ? entry.value : null);
+      }
+      case "DEL":
+        return integer(args.filter((key) => this.liveKey(key) && this.keys.delete(key)).length);
+      case "EVAL": {
+        // Seul le script de libération des verrous est connu : GET puis DEL si la valeur correspond
+        const [, , key, owner] = args;
+        const entry = this.liveKey(key);
+        if (entry && entry.value === owner) {
+          this.keys.delete(key);
+          return integer(1);
+        }
+        return integer(0);
+      }
+      case "HSET":
+        this.hash(args[0]).set(args[1], args[2]);
+        return integer(1);
+      case "HGET":
+        return bulk(this.hash(args[0]).get(args[1]));
+      case "HDEL":
+        return integer(this.hash(args[0]).delete(args[1]) ? 1 : 0);
+      case "HGETALL":
+        return array([...this.hash(args[0])].flat());
+      case "SUBSCRIBE":
+        return args
+          .map((channel, i) => {
+            if (!this.subscribers.has(channel)) this.subscribers.set(channel, new Set());
+            this.subscribers.get(channel).add(socket);
+            return `*3\r\n${bulk("subscribe")}${bulk(channel)}${integer(i + 1)}`;
+          })
+          .join("");
+      case "PUBLISH": {
+        const sockets = this.subscribers.get(args[0]) || new Set();
+        sockets.forEach((subscriber) => subscriber.write(`*3\r\n${bulk("message")}${bulk(args[0])}${bulk(args[1])}`));
+        return integer(sockets.size);
+      }
+      case "BLPOP":
+        // Attente sans fin : la réponse ne vient jamais (pour couper la connexion pendant une commande)
+        return null;
+      case "QUIT":
+        socket.end(simple("OK"));
+        return null;
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+}
+
+module.exports = {
+  FakeRedisServer,
+};
@@ -0,0 +1,32 @@
+// history.test.js - Accès au détail des matchs (canViewMatch)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { canViewMatch } = require("../history");
+
+const finishedQuick = { mode: "quick", player1: "alice", player2: "bob", status: "completed" };
+const finishedPrivate = { ...finishedQuick, mode: "private" };
+const finishedChallenge = { ...finishedQuick, mode: "challenge" };
+const runningQuick = { ...finishedQuick, status: "in_progress" };
+
+test("un match public terminé est visible de tous, même sans connexion", () => {
+  assert.strictEqual(canViewMatch(finishedQuick, { username: "carol" }), true);
+  assert.strictEqual(canViewMatch(finishedQuick, { username: null }), true);
+  assert.strictEqual(canViewMatch({ ...finishedQuick, status: "abandoned" }), true);
+});
+
+test("un match en cours, privé ou issu d'un défi est réservé à ses joueurs", () => {
+  [runningQuick, finishedPrivate, finishedChallenge].forEach((match) => {
+    assert.strictEqual(canViewMatch(match, { username: "alice" }), true);
+    assert.strictEqual(canViewMatch(match, { username: "bob" }), true);
+    assert.strictEqual(canViewMatch(match, { username: "carol" }), false);
+    assert.strictEqual(canViewMatch(match, { username: null }), false);
+    assert.strictEqual(canViewMatch(match), false);
+  });
+});
+
+test("un administrateur peut consulter tous les matchs", () => {
+  [runningQuick, finishedPrivate, finishedChallenge].forEach((match) => {
+    assert.strictEqual(canViewMatch(match, { username: "carol", isAdmin: true }), true);
+  });
+});
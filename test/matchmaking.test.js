@@ -0,0 +1,95 @@
+// matchmaking.test.js - File d'attente des parties rapides (matchmaking.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Matchmaker } = require("../matchmaking");
+
+const BO3 = { code: "bo3" };
+const BO5 = { code: "bo5" };
+const CLASSIC = { id: "classic" };
+const LIZARD = { id: "lizard_spock" };
+
+test("rejoindre la file deux fois met à jour la demande sans dupliquer l'entrée", () => {
+  const matchmaker = new Matchmaker();
+  matchmaker.enqueue("alice", BO3, 1200, CLASSIC, 0);
+  matchmaker.enqueue("alice", BO5, 1250, CLASSIC, 5000);
+
+  assert.strictEqual(matchmaker.length, 1);
+  assert.strictEqual(matchmaker.queue[0].format, BO5);
+  assert.strictEqual(matchmaker.queue[0].joinedAt, 0);
+
+  assert.strictEqual(matchmaker.remove("alice"), true);
+  assert.strictEqual(matchmaker.remove("alice"), false);
+  assert.strictEqual(matchmaker.has("alice"), false);
+});
+
+test("seuls les joueurs demandant le même format et les mêmes règles sont associés", () => {
+  const matchmaker = new Matchmaker();
+  matchmaker.enqueue("alice", BO3, 1200, CLASSIC, 0);
+  matchmaker.enqueue("bob", BO5, 1200, CLASSIC, 0);
+  matchmaker.enqueue("carol", BO3, 1200, LIZARD, 0);
+  assert.deepStrictEqual(matchmaker.findPairs(0), []);
+
+  matchmaker.enqueue("dave", BO3, 1200, CLASSIC, 0);
+  const pairs = matchmaker.findPairs(0);
+  assert.deepStrictEqual(pairs.map((pair) => pair.map((entry) => entry.username)), [["alice", "dave"]]);
+  assert.deepStrictEqual(matchmaker.usernames(), ["bob", "carol"]);
+});
+
+test("l'écart de classement accepté s'élargit avec l'attente", () => {
+  const matchmaker = new Matchmaker();
+  matchmaker.enqueue("alice", BO3, 1200, CLASSIC, 0);
+  matchmaker.enqueue("bob", BO3, 1500, CLASSIC, 0);
+
+  assert.strictEqual(matchmaker.allowedGap(matchmaker.queue[0], 0), 100);
+  assert.deepStrictEqual(matchmaker.findPairs(10000), []); // Écart accepté : 200
+  assert.strictEqual(matchmaker.findPairs(20000).length, 1); // Écart accepté : 300
+  assert.strictEqual(matchmaker.allowedGap({ joinedAt: 0 }, 3600000), 1000);
+});
+
+test("le joueur le plus ancien est associé à l'adversaire le plus proche", () => {
+  const matchmaker = new Matchmaker();
+  matchmaker.enqueue("alice", BO3, 1200, CLASSIC, 0);
+  matchmaker.enqueue("bob", BO3, 1280, CLASSIC, 1000);
+  matchmaker.enqueue("carol", BO3, 1210, CLASSIC, 2000);
+
+  const [pair] = matchmaker.findPairs(2000);
+  assert.deepStrictEqual(pair.map((entry) => entry.username), ["alice", "carol"]);
+  assert.deepStrictEqual(matchmaker.usernames(), ["bob"]);
+});
+
+test("l'estimation du temps d'attente s'appuie sur les associations précédentes", () => {
+  const matchmaker = new Matchmaker();
+  matchmaker.enqueue("alice", BO3, 1200, CLASSIC, 0);
+  matchmaker.enqueue("bob", BO3, 1200, CLASSIC, 0);
+  matchmaker.findPairs(20000);
+
+  matchmaker.enqueue("carol", BO3, 1200, CLASSIC, 30000);
+  matchmaker.enqueue("dave", BO5, 1200, CLASSIC, 30000);
+
+  assert.deepStrictEqual(matchmaker.status("carol", 35000), {
+    position: 1,
+    queueLength: 1,
+    format: "bo3",
+    ruleSet: "classic",
+    waited: 5,
+    ratingGap: 150,
+    estimatedWait: 15,
+  });
+  assert.strictEqual(matchmaker.status("dave", 35000).estimatedWait, null);
+  assert.strictEqual(matchmaker.status("alice", 35000), null);
+});
+
+test("une file de travail partage l'historique d'attente sans toucher à la file locale", () => {
+  const matchmaker = new Matchmaker();
+  matchmaker.enqueue("alice", BO3, 1200, CLASSIC, 0);
+
+  const shared = matchmaker.withQueue([
+    { username: "bob", format: BO3, rating: 1200, ruleSet: CLASSIC, joinedAt: 0 },
+    { username: "carol", format: BO3, rating: 1200, ruleSet: CLASSIC, joinedAt: 0 },
+  ]);
+  assert.strictEqual(shared.findPairs(4000).length, 1);
+
+  assert.deepStrictEqual(matchmaker.usernames(), ["alice"]);
+  assert.deepStrictEqual(matchmaker.waitHistory.get("bo3:classic"), [4, 4]);
+});
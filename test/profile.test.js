@@ -0,0 +1,76 @@
+// profile.test.js - Statistiques de profil (roundStats, buildProfile)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { roundStats, buildProfile } = require("../profile");
+
+test("roundStats compte les résultats, la plus longue série de victoires et le coup favori", () => {
+  const stats = roundStats([
+    { choice: "pierre", outcome: "win" },
+    { choice: "pierre", outcome: "win" },
+    { choice: "feuille", outcome: "draw" },
+    { choice: "pierre", outcome: "win" },
+    { choice: "ciseaux", outcome: "loss" },
+  ]);
+
+  assert.strictEqual(stats.played, 5);
+  assert.deepStrictEqual([stats.wins, stats.draws, stats.losses], [3, 1, 1]);
+  assert.strictEqual(stats.longestWinStreak, 2);
+  assert.strictEqual(stats.winRate, 0.6);
+  assert.strictEqual(stats.favouriteMove, "pierre");
+  assert.deepStrictEqual(stats.moves, { pierre: 3, feuille: 1, ciseaux: 1 });
+});
+
+test("une manche perdue sans coup (délai dépassé) compte comme jouée mais pas dans les coups", () => {
+  const stats = roundStats([
+    { choice: null, outcome: "loss" },
+    { choice: null, outcome: "loss" },
+    { choice: "feuille", outcome: "win" },
+  ]);
+
+  assert.strictEqual(stats.played, 3);
+  assert.strictEqual(stats.losses, 2);
+  assert.deepStrictEqual(stats.moves, { feuille: 1 });
+  assert.strictEqual(stats.favouriteMove, "feuille");
+});
+
+test("roundStats sans manche n'a ni taux ni coup favori", () => {
+  const stats = roundStats([]);
+  assert.strictEqual(stats.winRate, 0);
+  assert.strictEqual(stats.favouriteMove, null);
+});
+
+test("buildProfile sépare les matchs en ligne, les abandons et les manches contre l'IA", () => {
+  const matches = [
+    { mode: "quick", player1: "alice", player2: "bob", winner: "alice", status: "completed" },
+    { mode: "quick", player1: "bob", player2: "alice", winner: "bob", status: "completed" },
+    { mode: "private", player1: "alice", player2: "carol", winner: "carol", status: "abandoned" },
+    { mode: "ai", player1: "alice", player2: "IA", winner: null, status: "completed" },
+  ];
+  const round = (mode, player1, player2, player1Choice, player2Choice, winner) => ({
+    mode,
+    player1,
+    player2,
+    player1_choice: player1Choice,
+    player2_choice: player2Choice,
+    round_winner: winner,
+  });
+  const rounds = [
+    round("quick", "alice", "bob", "pierre", "ciseaux", "alice"),
+    round("quick", "bob", "alice", "pierre", null, "bob"),
+    round("ai", "alice", "IA", "feuille", "feuille", null),
+  ];
+
+  const profile = buildProfile("alice", matches, rounds);
+
+  assert.deepStrictEqual(
+    [profile.online.matchesPlayed, profile.online.wins, profile.online.losses, profile.online.abandoned],
+    [3, 1, 1, 1]
+  );
+  assert.deepStrictEqual(profile.opponents[0], { opponent: "bob", matches: 2, wins: 1, losses: 1, abandoned: 0 });
+  assert.strictEqual(profile.online.rounds.played, 2);
+  assert.deepStrictEqual(profile.online.rounds.moves, { pierre: 1 });
+  assert.strictEqual(profile.ai.rounds.draws, 1);
+  assert.strictEqual(profile.gamesPlayed, 3);
+  assert.notStrictEqual(profile.favouriteMove, "null");
+});
@@ -0,0 +1,65 @@
+// protocol.test.js - Validation des messages WebSocket (protocol.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  parseClientMessage,
+  checkServerMessage,
+  codeForStatus,
+  isSupportedVersion,
+} = require("../protocol");
+
+test("un message déclaré et bien formé est accepté tel quel", () => {
+  assert.deepStrictEqual(parseClientMessage('{"type":"hello","protocolVersion":1,"extra":true}'), {
+    type: "hello",
+    protocolVersion: 1,
+    extra: true,
+  });
+  assert.deepStrictEqual(parseClientMessage('{"type":"quick_match","format":null}'), {
+    type: "quick_match",
+    format: null,
+  });
+});
+
+test("un message illisible ou sans type est refusé", () => {
+  assert.throws(() => parseClientMessage("{pas du json"), { code: ERROR_CODES.INVALID_JSON });
+  assert.throws(() => parseClientMessage("[]"), { code: ERROR_CODES.INVALID_MESSAGE });
+  assert.throws(() => parseClientMessage('{"type":42}'), { code: ERROR_CODES.INVALID_MESSAGE });
+  assert.throws(() => parseClientMessage('{"type":"toString"}'), { code: ERROR_CODES.UNKNOWN_TYPE });
+});
+
+test("les champs obligatoires, les types, les longueurs et les valeurs sont vérifiés", () => {
+  const invalid = [
+    { type: "join_private_game" },
+    { type: "hello", protocolVersion: "1" },
+    { type: "hello", protocolVersion: 1.5 },
+    { type: "chat_message", text: "x".repeat(1001) },
+    { type: "select_mode", mode: "solo" },
+    { type: "commit_move", commitment: "ABC" },
+  ];
+  invalid.forEach((message) => {
+    assert.throws(() => parseClientMessage(JSON.stringify(message)), { code: ERROR_CODES.INVALID_MESSAGE });
+  });
+});
+
+test("les messages du serveur non déclarés ou incomplets sont signalés", () => {
+  assert.deepStrictEqual(checkServerMessage({ type: "online_count", count: 3 }), []);
+  assert.deepStrictEqual(checkServerMessage({ type: "online_count" }), ['"count" est obligatoire']);
+  assert.deepStrictEqual(checkServerMessage({ type: "surprise" }), ["type de message non déclaré : surprise"]);
+});
+
+test("les statuts HTTP des services correspondent à un code d'erreur", () => {
+  assert.strictEqual(codeForStatus(404), ERROR_CODES.NOT_FOUND);
+  assert.strictEqual(codeForStatus(409), ERROR_CODES.CONFLICT);
+  assert.strictEqual(codeForStatus(500), ERROR_CODES.INTERNAL_ERROR);
+  assert.strictEqual(codeForStatus(undefined), ERROR_CODES.INTERNAL_ERROR);
+});
+
+test("seules les versions du protocole prises en charge sont acceptées", () => {
+  assert.strictEqual(isSupportedVersion(PROTOCOL_VERSION), true);
+  assert.strictEqual(isSupportedVersion(0), false);
+  assert.strictEqual(isSupportedVersion(PROTOCOL_VERSION + 1), false);
+  assert.strictEqual(isSupportedVersion("1"), false);
+});
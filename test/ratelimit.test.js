@@ -0,0 +1,79 @@
+// ratelimit.test.js - Blocage après échecs de connexion et débit des messages (ratelimit.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { LoginThrottle, MessageRateLimiter } = require("../ratelimit");
+
+const MINUTE = 60 * 1000;
+
+test("cinq échecs sur un compte le bloquent pendant la durée prévue", () => {
+  const throttle = new LoginThrottle();
+  for (let i = 0; i < 4; i++) throttle.recordFailure("10.0.0.1", "Alice", 0);
+  assert.strictEqual(throttle.retryAfter("10.0.0.1", "alice", 0), 0);
+
+  throttle.recordFailure("10.0.0.2", "alice", 0);
+  assert.strictEqual(throttle.retryAfter("10.0.0.3", "ALICE", 0), 15 * 60);
+  assert.strictEqual(throttle.retryAfter("10.0.0.3", "alice", 10 * MINUTE), 5 * 60);
+  assert.strictEqual(throttle.retryAfter("10.0.0.3", "alice", 15 * MINUTE), 0);
+  assert.strictEqual(throttle.retryAfter("10.0.0.1", "bob", 0), 0);
+});
+
+test("les échecs anciens sortent de la fenêtre de comptage", () => {
+  const throttle = new LoginThrottle();
+  for (let i = 0; i < 4; i++) throttle.recordFailure(null, "alice", 0);
+  throttle.recordFailure(null, "alice", 16 * MINUTE);
+
+  assert.strictEqual(throttle.retryAfter(null, "alice", 16 * MINUTE), 0);
+});
+
+test("une adresse IP qui essaie de nombreux comptes est bloquée", () => {
+  const throttle = new LoginThrottle();
+  for (let i = 0; i < 20; i++) throttle.recordFailure("10.0.0.1", `joueur${i}`, 0);
+
+  assert.ok(throttle.retryAfter("10.0.0.1", "nouveau", 0) > 0);
+  assert.strictEqual(throttle.retryAfter("10.0.0.2", "nouveau", 0), 0);
+});
+
+test("une connexion réussie efface les échecs du compte mais pas ceux de l'adresse", () => {
+  const throttle = new LoginThrottle();
+  for (let i = 0; i < 4; i++) throttle.recordFailure("10.0.0.1", "alice", 0);
+  throttle.recordSuccess("Alice");
+
+  assert.strictEqual(throttle.entries.has("user:alice"), false);
+  assert.deepStrictEqual(throttle.entries.get("ip:10.0.0.1").failures, [0, 0, 0, 0]);
+});
+
+test("les entrées qui ne bloquent plus rien sont oubliées", () => {
+  const throttle = new LoginThrottle({ lockout: 30 * 60 });
+  for (let i = 0; i < 5; i++) throttle.recordFailure(null, "alice", 0);
+  throttle.recordFailure(null, "bob", 0);
+
+  throttle.prune(15 * MINUTE);
+  assert.deepStrictEqual([...throttle.entries.keys()], ["user:alice"]);
+  throttle.prune(30 * MINUTE);
+  assert.strictEqual(throttle.entries.size, 0);
+});
+
+test("les messages sont acceptés par rafale puis au rythme de recharge", () => {
+  const limiter = new MessageRateLimiter({ burst: 3, rate: 2 });
+  const start = limiter.updatedAt;
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(() => limiter.consume(start)), [true, true, true, false]);
+  assert.strictEqual(limiter.retryAfter(), 1);
+  assert.strictEqual(limiter.consume(start + 250), false);
+  assert.strictEqual(limiter.consume(start + 500), true);
+  assert.strictEqual(limiter.consume(start + 10000), true); // Le seau ne dépasse pas la rafale
+  assert.strictEqual(limiter.tokens, 2);
+});
+
+test("un client qui insiste malgré les refus est considéré comme abusif", () => {
+  const limiter = new MessageRateLimiter({ burst: 1, rate: 1, maxViolations: 3 });
+  const start = limiter.updatedAt;
+  limiter.consume(start);
+
+  limiter.consume(start);
+  limiter.consume(start);
+  assert.strictEqual(limiter.isAbusive(), false);
+  limiter.consume(start);
+  assert.strictEqual(limiter.isAbusive(), true);
+});
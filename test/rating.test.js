@@ -0,0 +1,40 @@
+// rating.test.js - Classement Elo et période provisoire (rating.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { DEFAULT_RATING, expectedScore, isProvisional, computeMatchRatings } = require("../rating");
+
+test("deux joueurs de même niveau ont chacun une chance sur deux", () => {
+  assert.strictEqual(expectedScore(DEFAULT_RATING, DEFAULT_RATING), 0.5);
+  assert.ok(Math.abs(expectedScore(1600, 1200) - 10 / 11) < 1e-9);
+  assert.ok(Math.abs(expectedScore(1200, 1600) + expectedScore(1600, 1200) - 1) < 1e-9);
+});
+
+test("le classement reste provisoire pendant les 10 premiers matchs", () => {
+  assert.strictEqual(isProvisional(0), true);
+  assert.strictEqual(isProvisional(9), true);
+  assert.strictEqual(isProvisional(10), false);
+});
+
+test("les comptes provisoires bougent deux fois plus vite", () => {
+  assert.deepStrictEqual(
+    computeMatchRatings({ rating: 1200, gamesPlayed: 0 }, { rating: 1200, gamesPlayed: 0 }),
+    { winner: 1220, loser: 1180 }
+  );
+  assert.deepStrictEqual(
+    computeMatchRatings({ rating: 1200, gamesPlayed: 30 }, { rating: 1200, gamesPlayed: 30 }),
+    { winner: 1210, loser: 1190 }
+  );
+  assert.deepStrictEqual(
+    computeMatchRatings({ rating: 1200, gamesPlayed: 2 }, { rating: 1200, gamesPlayed: 50 }),
+    { winner: 1220, loser: 1190 }
+  );
+});
+
+test("battre un adversaire bien plus fort rapporte davantage", () => {
+  const upset = computeMatchRatings({ rating: 1200, gamesPlayed: 30 }, { rating: 1600, gamesPlayed: 30 });
+  const expected = computeMatchRatings({ rating: 1600, gamesPlayed: 30 }, { rating: 1200, gamesPlayed: 30 });
+
+  assert.deepStrictEqual(upset, { winner: 1218, loser: 1582 });
+  assert.deepStrictEqual(expected, { winner: 1602, loser: 1198 });
+});
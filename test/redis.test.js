@@ -0,0 +1,131 @@
+// redis.test.js - Client RESP (redis.js) : lecture des réponses, commandes, abonnements et reconnexion
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { RedisClient, parseReply, encodeCommand } = require("../redis");
+const { FakeRedisServer } = require("./fake-redis");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Attendre qu'une condition soit remplie (au plus `timeout` ms)
+async function until(condition, timeout = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error("Condition non remplie à temps");
+    await wait(10);
+  }
+}
+
+test("encodeCommand produit un tableau de chaînes RESP, longueurs en octets", () => {
+  assert.strictEqual(encodeCommand(["SET", "clé", 42]), "*3\r\n$3\r\nSET\r\n$4\r\nclé\r\n$2\r\n42\r\n");
+});
+
+test("parseReply lit chaque type de réponse", () => {
+  const parse = (text) => parseReply(Buffer.from(text));
+
+  assert.deepStrictEqual(parse("+OK\r\n"), { value: "OK", offset: 5 });
+  assert.strictEqual(parse(":12\r\n").value, 12);
+  assert.strictEqual(parse("$4\r\nhé!\r\n").value, "hé!");
+  assert.strictEqual(parse("$-1\r\n").value, null);
+  assert.strictEqual(parse("*-1\r\n").value, null);
+  assert.deepStrictEqual(parse("*3\r\n$1\r\na\r\n:2\r\n*1\r\n+b\r\n").value, ["a", 2, ["b"]]);
+
+  const error = parse("-ERR boom\r\n").value;
+  assert.ok(error instanceof Error);
+  assert.strictEqual(error.message, "ERR boom");
+});
+
+test("parseReply attend la suite d'une réponse incomplète", () => {
+  assert.strictEqual(parseReply(Buffer.from("+OK")), null);
+  assert.strictEqual(parseReply(Buffer.from("$5\r\nabc")), null);
+  assert.strictEqual(parseReply(Buffer.from("*2\r\n$1\r\na\r\n")), null);
+});
+
+test("parseReply lit les réponses à la suite à partir d'un décalage", () => {
+  const buffer = Buffer.from("+OK\r\n:1\r\n");
+  const first = parseReply(buffer);
+  assert.deepStrictEqual(parseReply(buffer, first.offset), { value: 1, offset: buffer.length });
+});
+
+test("parseReply refuse un type de réponse inconnu", () => {
+  assert.throws(() => parseReply(Buffer.from("?x\r\n")), /Réponse RESP inattendue/);
+});
+
+test("RedisClient", async (t) => {
+  const server = new FakeRedisServer();
+  const url = await server.listen();
+  const clients = [];
+  const connect = async () => {
+    const client = new RedisClient(url);
+    client.on("error", () => {});
+    clients.push(client);
+    await client.connect();
+    return client;
+  };
+
+  t.after(async () => {
+    clients.forEach((client) => client.quit());
+    await server.close();
+  });
+
+  await t.test("répond aux commandes dans l'ordre d'envoi", async () => {
+    const client = await connect();
+    const replies = await Promise.all([
+      client.command("SET", "a", "1"),
+      client.command("GET", "a"),
+      client.command("GET", "absente"),
+      client.command("DEL", "a"),
+    ]);
+    assert.deepStrictEqual(replies, ["OK", "1", null, 1]);
+  });
+
+  await t.test("rejette la commande en cas de réponse d'erreur", async () => {
+    const client = await connect();
+    await assert.rejects(client.command("INCONNUE"), /unknown command/);
+    assert.strictEqual(await client.command("PING"), "PONG");
+  });
+
+  await t.test("refuse une commande sans connexion", async () => {
+    const client = new RedisClient(url);
+    await assert.rejects(client.command("PING"), /indisponible/);
+  });
+
+  await t.test("reçoit les messages publiés sur les canaux abonnés", async () => {
+    const publisher = await connect();
+    const subscriber = await connect();
+    const received = [];
+    subscriber.on("message", (channel, message) => received.push([channel, message]));
+
+    subscriber.subscribe("salon");
+    await until(() => (server.subscribers.get("salon") || new Set()).size > 0);
+    await publisher.command("PUBLISH", "salon", "bonjour");
+    await publisher.command("PUBLISH", "autre", "ignoré");
+
+    await until(() => received.length > 0);
+    assert.deepStrictEqual(received, [["salon", "bonjour"]]);
+  });
+
+  await t.test("rejette les commandes en cours, se reconnecte et se réabonne après une coupure", async () => {
+    const publisher = await connect();
+    const subscriber = await connect();
+    const received = [];
+    subscriber.on("message", (channel, message) => received.push(message));
+    subscriber.subscribe("partie");
+    await until(() => (server.subscribers.get("partie") || new Set()).size > 0);
+
+    const errors = [];
+    publisher.on("error", (error) => errors.push(error));
+    const lost = publisher.command("BLPOP", "file", 0);
+    await until(() => server.commands.some(([name]) => name === "BLPOP"));
+    server.dropConnections();
+    await assert.rejects(lost, /Connexion Redis fermée/);
+
+    // Nouvelle tentative après RECONNECT_DELAY
+    await until(() => publisher.socket && !publisher.socket.destroyed && publisher.socket.readyState === "open");
+    await until(() => (server.subscribers.get("partie") || new Set()).size > 0);
+    assert.ok(errors.some((error) => /perdue/.test(error.message)));
+
+    await publisher.command("PUBLISH", "partie", "de retour");
+    await until(() => received.includes("de retour"));
+  });
+});
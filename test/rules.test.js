@@ -0,0 +1,51 @@
+// rules.test.js - Jeux de règles et résultat des manches (rules.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { getRuleSet, isValidMove, getResult, counterMoves, listRuleSets } = require("../rules");
+
+test("les règles classiques sont utilisées par défaut, un jeu inconnu est refusé", () => {
+  assert.strictEqual(getRuleSet().id, "classic");
+  assert.strictEqual(getRuleSet("rpsls").moves.length, 5);
+  assert.strictEqual(getRuleSet("rps9"), null);
+  assert.strictEqual(getRuleSet("toString"), null);
+});
+
+test("chaque jeu de règles est équilibré : entre deux coups différents, un seul l'emporte", () => {
+  listRuleSets().forEach(({ id }) => {
+    const ruleSet = getRuleSet(id);
+    ruleSet.moves.forEach((move) => {
+      assert.strictEqual(ruleSet.beats[move].length, (ruleSet.moves.length - 1) / 2, `${id} : ${move}`);
+      ruleSet.moves
+        .filter((other) => other !== move)
+        .forEach((other) => {
+          assert.notStrictEqual(getResult(ruleSet, move, other), getResult(ruleSet, other, move));
+        });
+    });
+  });
+});
+
+test("le résultat d'une manche suit le graphe des coups", () => {
+  const ruleSet = getRuleSet("rpsls");
+
+  assert.strictEqual(getResult(ruleSet, "spock", "spock"), "draw");
+  assert.strictEqual(getResult(ruleSet, "lezard", "spock"), "player1");
+  assert.strictEqual(getResult(ruleSet, "pierre", "spock"), "player2");
+  assert.deepStrictEqual(counterMoves(ruleSet, "pierre"), ["feuille", "spock"]);
+});
+
+test("seuls les coups du jeu de règles sont acceptés", () => {
+  assert.strictEqual(isValidMove(getRuleSet("classic"), "pierre"), true);
+  assert.strictEqual(isValidMove(getRuleSet("classic"), "spock"), false);
+  assert.strictEqual(isValidMove(getRuleSet("rps15"), "dragon"), true);
+});
+
+test("la description envoyée aux clients détaille chaque coup", () => {
+  const classic = listRuleSets().find((ruleSet) => ruleSet.id === "classic");
+
+  assert.deepStrictEqual(classic.moves[0], { id: "pierre", label: "Pierre", emoji: "🪨" });
+  assert.deepStrictEqual(
+    listRuleSets().map((ruleSet) => ruleSet.id),
+    ["classic", "rpsls", "rps7", "rps15"]
+  );
+});
@@ -0,0 +1,138 @@
+// series.test.js - Formats de match et score de la série (series.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseMatchFormat,
+  parseMatchSettings,
+  createSeries,
+  recordRound,
+  recordTimeout,
+  seriesView,
+  spectatorView,
+  serializeSeries,
+  restoreSeries,
+} = require("../series");
+const { computeCommitment, MoveCommitments } = require("../fairplay");
+const { getRuleSet } = require("../rules");
+
+function newSeries(format = "bo3") {
+  return createSeries("alice", "bob", { format: parseMatchFormat(format), mode: "quick", ruleSet: getRuleSet() });
+}
+
+test("les formats au meilleur des N manches demandent une majorité de victoires", () => {
+  assert.deepStrictEqual(parseMatchFormat("bo3"), {
+    code: "bo3",
+    type: "best_of",
+    winsNeeded: 2,
+    label: "Au meilleur des 3 manches",
+  });
+  assert.strictEqual(parseMatchFormat("BO5").winsNeeded, 3);
+  assert.strictEqual(parseMatchFormat("bo7").winsNeeded, 4);
+});
+
+test("les formats premier à N victoires vont de 1 à 10", () => {
+  assert.strictEqual(parseMatchFormat("ft1").label, "Premier à 1 victoire");
+  assert.strictEqual(parseMatchFormat("ft10").winsNeeded, 10);
+  assert.strictEqual(parseMatchFormat("ft0"), null);
+  assert.strictEqual(parseMatchFormat("ft11"), null);
+});
+
+test("un format absent vaut bo3, un format inconnu est refusé", () => {
+  assert.strictEqual(parseMatchFormat(undefined).code, "bo3");
+  assert.strictEqual(parseMatchFormat("bo4"), null);
+  assert.strictEqual(parseMatchFormat("bo"), null);
+  assert.strictEqual(parseMatchFormat("rapide"), null);
+});
+
+test("la série se termine dès qu'un joueur atteint le nombre de victoires requis", () => {
+  const series = newSeries("bo3");
+
+  assert.strictEqual(recordRound(series, "alice"), null);
+  assert.strictEqual(recordRound(series, null), null); // Égalité : manche rejouée, score inchangé
+  assert.strictEqual(recordRound(series, "bob"), null);
+  assert.deepStrictEqual(series.scores, { alice: 1, bob: 1 });
+  assert.strictEqual(series.round, 4);
+
+  assert.strictEqual(recordRound(series, "alice"), "alice");
+  assert.strictEqual(series.winner, "alice");
+});
+
+test("chaque joueur voit son propre score en premier, les spectateurs une vue neutre", () => {
+  const series = newSeries("ft2");
+  recordRound(series, "bob");
+
+  assert.deepStrictEqual(
+    [seriesView(series, "alice").playerScore, seriesView(series, "alice").opponentScore],
+    [0, 1]
+  );
+  assert.deepStrictEqual(
+    [seriesView(series, "bob").playerScore, seriesView(series, "bob").opponentScore],
+    [1, 0]
+  );
+
+  const view = spectatorView(series);
+  assert.deepStrictEqual(view.players, ["alice", "bob"]);
+  assert.deepStrictEqual(view.scores, { alice: 0, bob: 1 });
+  assert.strictEqual(view.spectators, 0);
+});
+
+test("les réglages du chronomètre ont des valeurs par défaut et des bornes", () => {
+  assert.deepStrictEqual(parseMatchSettings(), { roundTime: 30, timeoutAction: "forfeit", moveProtocol: "plain" });
+  assert.strictEqual(parseMatchSettings({ roundTime: "5", timeoutAction: "random" }).roundTime, 5);
+  assert.strictEqual(parseMatchSettings({ roundTime: 120 }).roundTime, 120);
+  assert.strictEqual(parseMatchSettings({ roundTime: 4 }), null);
+  assert.strictEqual(parseMatchSettings({ roundTime: 121 }), null);
+  assert.strictEqual(parseMatchSettings({ roundTime: "abc" }), null);
+  assert.strictEqual(parseMatchSettings({ timeoutAction: "pause" }), null);
+});
+
+test("trois délais dépassés consécutifs font perdre le match", () => {
+  const series = newSeries("bo3");
+
+  assert.strictEqual(recordTimeout(series, "alice"), false);
+  assert.strictEqual(recordTimeout(series, "alice"), false);
+  series.timeouts.alice = 0; // Le serveur remet le compteur à zéro dès que le joueur joue
+  assert.strictEqual(recordTimeout(series, "alice"), false);
+  assert.strictEqual(recordTimeout(series, "alice"), false);
+  assert.strictEqual(recordTimeout(series, "alice"), true);
+  assert.strictEqual(series.timeouts.bob, 0);
+});
+
+test("une série enregistrée est restaurée en pause avec son score et ses engagements", () => {
+  const series = createSeries("alice", "bob", {
+    format: parseMatchFormat("ft3"),
+    mode: "private",
+    ruleSet: getRuleSet("rpsls"),
+    settings: parseMatchSettings({ roundTime: 20, moveProtocol: "commit_reveal" }),
+    allowSpectators: false,
+  });
+  recordRound(series, "bob");
+  series.privateGameId = "partie-1";
+  series.phase = "playing";
+  series.deadline = Date.now() + 12000;
+  series.commitments = new MoveCommitments(series.id, series.round, series.players);
+  const commitment = computeCommitment(series.id, series.round, "alice", "spock", "c".repeat(32));
+  series.commitments.commit("alice", commitment);
+
+  // Même chemin que la base de données : l'état passe par JSON
+  const state = JSON.parse(JSON.stringify(serializeSeries(series, { bob: "lezard" })));
+  assert.ok(state.remaining > 0 && state.remaining <= 12000);
+  assert.deepStrictEqual(state.choices, { bob: "lezard" });
+
+  const restored = restoreSeries(state);
+  assert.strictEqual(restored.id, series.id);
+  assert.strictEqual(restored.format.winsNeeded, 3);
+  assert.strictEqual(restored.ruleSet.id, "rpsls");
+  assert.deepStrictEqual(restored.settings, series.settings);
+  assert.strictEqual(restored.allowSpectators, false);
+  assert.strictEqual(restored.privateGameId, "partie-1");
+  assert.deepStrictEqual(restored.scores, { alice: 0, bob: 1 });
+  assert.strictEqual(restored.round, 2);
+  assert.strictEqual(restored.paused, true);
+  assert.strictEqual(restored.pausedRemaining, state.remaining);
+
+  // Les engagements restaurés permettent toujours de dévoiler le coup
+  assert.ok(restored.commitments instanceof MoveCommitments);
+  assert.strictEqual(restored.commitments.reveal("alice", "spock", "c".repeat(32), () => true), null);
+});
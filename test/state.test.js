@@ -0,0 +1,84 @@
+// state.test.js - État partagé (state.js) : tables, verrous avec détenteur, publication/abonnement
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { MemoryStateStore, RedisStateStore } = require("../state");
+const { FakeRedisServer } = require("./fake-redis");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Les deux implémentations doivent se comporter de la même façon
+async function checkStore(t, store) {
+  await t.test("tables clé-valeur en JSON", async () => {
+    await store.set("queue", "alice", { rating: 1200, format: "bo3" });
+    await store.set("queue", "bob", { rating: 1300 });
+
+    assert.deepStrictEqual(await store.get("queue", "alice"), { rating: 1200, format: "bo3" });
+    assert.strictEqual(await store.get("queue", "carol"), null);
+    assert.deepStrictEqual(Object.keys(await store.getAll("queue")).sort(), ["alice", "bob"]);
+    assert.strictEqual(await store.delete("queue", "alice"), true);
+    assert.strictEqual(await store.delete("queue", "alice"), false);
+  });
+
+  await t.test("un verrou pris ne peut pas l'être une seconde fois avant sa libération", async () => {
+    const owner = await store.acquireLock("matchmaking", 1000);
+    assert.ok(owner);
+    assert.strictEqual(await store.acquireLock("matchmaking", 1000), null);
+
+    await store.releaseLock("matchmaking", owner);
+    const next = await store.acquireLock("matchmaking", 1000);
+    assert.ok(next);
+    assert.notStrictEqual(next, owner);
+    await store.releaseLock("matchmaking", next);
+  });
+
+  await t.test("un verrou expiré repris par un autre détenteur n'est pas libéré par l'ancien", async () => {
+    const slow = await store.acquireLock("tick", 50);
+    await wait(80);
+    const other = await store.acquireLock("tick", 1000);
+    assert.ok(other);
+
+    await store.releaseLock("tick", slow);
+    assert.strictEqual(await store.acquireLock("tick", 1000), null);
+
+    await store.releaseLock("tick", other);
+    assert.ok(await store.acquireLock("tick", 1000));
+  });
+
+  await t.test("publication et abonnement", async () => {
+    const received = [];
+    await store.subscribe("events", (message) => received.push(message));
+    await wait(50);
+    await store.publish("events", { type: "kick_player", player: "bob" });
+
+    for (let i = 0; i < 100 && received.length === 0; i++) await wait(10);
+    assert.deepStrictEqual(received, [{ type: "kick_player", player: "bob" }]);
+  });
+}
+
+test("MemoryStateStore", async (t) => {
+  const store = new MemoryStateStore();
+  await store.connect();
+  await checkStore(t, store);
+  await store.close();
+});
+
+test("RedisStateStore", async (t) => {
+  const server = new FakeRedisServer();
+  const store = new RedisStateStore(await server.listen(), "test");
+  await store.connect();
+
+  await checkStore(t, store);
+
+  await t.test("les clés sont préfixées et le verrou contient le jeton de son détenteur", async () => {
+    const owner = await store.acquireLock("prefix", 1000);
+    assert.strictEqual(server.keys.get("test:lock:prefix").value, owner);
+    assert.ok(server.hashes.has("test:queue"));
+
+    const release = server.commands.filter(([name]) => name === "EVAL").pop();
+    assert.match(release[1], /GET[\s\S]*DEL/);
+  });
+
+  await store.close();
+  await server.close();
+});
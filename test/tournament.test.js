@@ -0,0 +1,148 @@
+// tournament.test.js - Tableaux à élimination directe et appariements au système suisse (tournament.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseTournamentOptions, Tournament } = require("../tournament");
+
+function newTournament(type, usernames, options = {}) {
+  const tournament = new Tournament({
+    host: usernames[0],
+    type,
+    name: "Test",
+    maxPlayers: 64,
+    swissRounds: null,
+    format: { code: "bo3", label: "Au meilleur des 3 manches" },
+    ruleSet: { id: "classic" },
+    settings: {},
+    ...options,
+  });
+  // Le premier joueur de la liste est la meilleure tête de série
+  usernames.forEach((username, index) => tournament.register(username, 2000 - index * 100));
+  return tournament;
+}
+
+function names(pairings) {
+  return pairings.map((pairing) => [pairing.player1, pairing.player2]);
+}
+
+test("les options d'un tournoi ont des valeurs par défaut et des bornes", () => {
+  assert.deepStrictEqual(parseTournamentOptions({}, "alice"), {
+    type: "single_elimination",
+    name: "Tournoi de alice",
+    maxPlayers: 64,
+    swissRounds: null,
+  });
+  assert.strictEqual(parseTournamentOptions({ tournamentType: "swiss", rounds: 4 }, "alice").swissRounds, 4);
+  assert.strictEqual(parseTournamentOptions({ tournamentType: "swiss", rounds: 11 }, "alice"), null);
+  assert.strictEqual(parseTournamentOptions({ tournamentType: "round_robin" }, "alice"), null);
+  assert.strictEqual(parseTournamentOptions({ maxPlayers: 1 }, "alice"), null);
+  assert.strictEqual(parseTournamentOptions({ name: "   " }, "alice"), null);
+});
+
+test("les inscriptions sont refusées en double, au-delà de la capacité et après le lancement", () => {
+  const tournament = newTournament("single_elimination", ["alice", "bob"], { maxPlayers: 2 });
+
+  assert.ok(tournament.register("alice", 1200));
+  assert.ok(tournament.register("carol", 1200));
+  assert.strictEqual(tournament.start(), null);
+  assert.ok(tournament.start());
+  assert.strictEqual(tournament.unregister("bob"), false);
+});
+
+test("un tournoi ne démarre pas avec un seul joueur", () => {
+  const tournament = newTournament("single_elimination", ["alice"]);
+  assert.ok(tournament.start());
+  assert.strictEqual(tournament.status, "registration");
+});
+
+test("les meilleures têtes de série sont exemptées du premier tour d'un tableau incomplet", () => {
+  const tournament = newTournament("single_elimination", ["p1", "p2", "p3", "p4", "p5"]);
+  tournament.start();
+  assert.strictEqual(tournament.totalRounds, 3);
+
+  const pending = tournament.nextRound();
+  assert.deepStrictEqual(names(tournament.currentRound), [
+    ["p1", null],
+    ["p4", "p5"],
+    ["p2", null],
+    ["p3", null],
+  ]);
+  assert.deepStrictEqual(names(pending), [["p4", "p5"]]);
+  assert.strictEqual(tournament.points.p1, 1);
+});
+
+test("les vainqueurs avancent jusqu'à la finale et les perdants sont éliminés", () => {
+  const tournament = newTournament("single_elimination", ["p1", "p2", "p3", "p4"]);
+  tournament.start();
+
+  const [first, second] = tournament.nextRound();
+  assert.deepStrictEqual(names([first, second]), [
+    ["p1", "p4"],
+    ["p2", "p3"],
+  ]);
+  assert.strictEqual(tournament.recordResult(first.id, "p4", "2-1"), false);
+  assert.strictEqual(tournament.recordResult(first.id, "p1"), false); // Résultat déjà enregistré
+  assert.strictEqual(tournament.recordResult(second.id, null), true); // Personne n'a joué : p2 passe
+
+  assert.strictEqual(tournament.isEliminated("p1"), true);
+  assert.strictEqual(tournament.isActive("p2"), true);
+
+  const [final] = tournament.advance();
+  assert.deepStrictEqual(names([final]), [["p4", "p2"]]);
+  tournament.recordResult(final.id, "p4");
+  assert.deepStrictEqual(tournament.advance(), []);
+  assert.strictEqual(tournament.status, "finished");
+  assert.strictEqual(tournament.winner, "p4");
+});
+
+test("le système suisse associe les joueurs de même score sans répéter une rencontre", () => {
+  const tournament = newTournament("swiss", ["a", "b", "c", "d"]);
+  tournament.start();
+  assert.strictEqual(tournament.totalRounds, 2);
+
+  const firstRound = tournament.nextRound();
+  assert.deepStrictEqual(names(firstRound), [
+    ["a", "b"],
+    ["c", "d"],
+  ]);
+  tournament.recordResult(firstRound[0].id, "a");
+  tournament.recordResult(firstRound[1].id, "c");
+
+  const secondRound = tournament.advance();
+  assert.deepStrictEqual(names(secondRound), [
+    ["a", "c"],
+    ["b", "d"],
+  ]);
+  tournament.recordResult(secondRound[0].id, "c");
+  tournament.recordResult(secondRound[1].id, null); // Aucun point en l'absence des deux joueurs
+
+  tournament.advance();
+  assert.strictEqual(tournament.winner, "c");
+  assert.deepStrictEqual(
+    tournament.standings().map((standing) => [standing.username, standing.points, standing.buchholz]),
+    [
+      ["c", 2, 1],
+      ["a", 1, 2],
+      ["d", 0, 2],
+      ["b", 0, 1],
+    ]
+  );
+});
+
+test("au système suisse, l'exemption va au moins bien classé qui n'en a pas encore eu", () => {
+  const tournament = newTournament("swiss", ["a", "b", "c"]);
+  tournament.start();
+
+  tournament.nextRound();
+  assert.deepStrictEqual(names(tournament.currentRound), [
+    ["a", "b"],
+    ["c", null],
+  ]);
+  tournament.recordResult("1-1", "a");
+
+  tournament.advance();
+  assert.deepStrictEqual(names(tournament.currentRound), [
+    ["a", "c"],
+    ["b", null],
+  ]);
+});
@@ -0,0 +1,342 @@
+// tournament.js - Tournois à élimination directe ou au système suisse
+
+const { v4: uuidv4 } = require("uuid");
+
+// Configuration
+const TOURNAMENT_TYPES = {
+  single_elimination: "Élimination directe",
+  swiss: "Système suisse",
+};
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+const MAX_SWISS_ROUNDS = 10;
+const MAX_NAME_LENGTH = 40;
+
+// Analyse les options d'un tournoi ({ tournamentType, name, maxPlayers, rounds })
+// Retourne null si les options sont invalides
+function parseTournamentOptions({ tournamentType: type, name, maxPlayers, rounds } = {}, host) {
+  const tournamentType = type || "single_elimination";
+  if (!Object.prototype.hasOwnProperty.call(TOURNAMENT_TYPES, tournamentType)) return null;
+
+  const tournamentName = String(name || `Tournoi de ${host}`).trim().slice(0, MAX_NAME_LENGTH);
+  if (!tournamentName) return null;
+
+  const capacity = maxPlayers === undefined ? MAX_PLAYERS : parseInt(maxPlayers, 10);
+  if (!(capacity >= MIN_PLAYERS && capacity <= MAX_PLAYERS)) return null;
+
+  // Nombre de rondes du système suisse (calculé au lancement si absent)
+  let swissRounds = null;
+  if (tournamentType === "swiss" && rounds !== undefined && rounds !== null) {
+    swissRounds = parseInt(rounds, 10);
+    if (!(swissRounds >= 1 && swissRounds <= MAX_SWISS_ROUNDS)) return null;
+  }
+
+  return { type: tournamentType, name: tournamentName, maxPlayers: capacity, swissRounds };
+}
+
+// Ordre des têtes de série dans un tableau de `size` places : 1 contre size, 2 contre size - 1...
+// placées pour que les meilleures têtes de série ne se rencontrent qu'en fin de tournoi
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const slots = order.length * 2;
+    order = order.flatMap((seed) => [seed, slots + 1 - seed]);
+  }
+  return order;
+}
+
+// Regrouper une liste de joueurs par paires consécutives
+function pairUp(list) {
+  const pairs = [];
+  for (let i = 0; i < list.length; i += 2) {
+    pairs.push([list[i], list[i + 1] || null]);
+  }
+  return pairs;
+}
+
+class Tournament {
+  constructor({ host, type, name, maxPlayers, swissRounds, format, ruleSet, settings }) {
+    this.id = uuidv4();
+    this.host = host;
+    this.type = type;
+    this.name = name;
+    this.maxPlayers = maxPlayers;
+    this.swissRounds = swissRounds;
+    this.format = format;
+    this.ruleSet = ruleSet;
+    this.settings = settings;
+    this.status = "registration"; // Puis "running" et "finished"
+    this.players = []; // Inscrits { username, rating }, triés par tête de série au lancement
+    this.points = {}; // Victoires de chaque joueur
+    this.rounds = []; // Rondes jouées, chacune étant une liste de rencontres
+    this.totalRounds = null;
+    this.winner = null;
+    this.createdAt = new Date().toISOString();
+  }
+
+  hasPlayer(username) {
+    return this.players.some((player) => player.username === username);
+  }
+
+  // Inscrire un joueur, retourne un message d'erreur ou null
+  register(username, rating) {
+    if (this.status !== "registration") return "Les inscriptions à ce tournoi sont closes.";
+    if (this.hasPlayer(username)) return "Vous êtes déjà inscrit à ce tournoi.";
+    if (this.players.length >= this.maxPlayers) return "Ce tournoi est complet.";
+
+    this.players.push({ username, rating });
+    return null;
+  }
+
+  // Désinscrire un joueur, retourne true s'il était inscrit
+  unregister(username) {
+    if (this.status !== "registration") return false;
+    const index = this.players.findIndex((player) => player.username === username);
+    if (index === -1) return false;
+    this.players.splice(index, 1);
+    return true;
+  }
+
+  // Un joueur est encore en lice tant que le tournoi n'est pas terminé et qu'il n'est pas éliminé
+  isActive(username) {
+    return this.status === "running" && this.hasPlayer(username) && !this.isEliminated(username);
+  }
+
+  isEliminated(username) {
+    if (this.type !== "single_elimination") return false;
+    return this.rounds.some((round) =>
+      round.some(
+        (pairing) =>
+          pairing.status === "done" &&
+          pairing.winner !== username &&
+          (pairing.player1 === username || pairing.player2 === username)
+      )
+    );
+  }
+
+  // Lancer le tournoi, retourne un message d'erreur ou null
+  start() {
+    if (this.status !== "registration") return "Ce tournoi a déjà commencé.";
+    if (this.players.length < MIN_PLAYERS) {
+      return `Il faut au moins ${MIN_PLAYERS} joueurs pour lancer le tournoi.`;
+    }
+
+    // Les têtes de série sont attribuées selon le classement
+    this.players.sort((a, b) => b.rating - a.rating);
+    this.players.forEach((player) => {
+      this.points[player.username] = 0;
+    });
+
+    const eliminationRounds = Math.ceil(Math.log2(this.players.length));
+    this.totalRounds =
+      this.type === "swiss"
+        ? Math.min(this.swissRounds || eliminationRounds, this.players.length - 1)
+        : eliminationRounds;
+
+    this.status = "running";
+    return null;
+  }
+
+  get currentRound() {
+    return this.rounds[this.rounds.length - 1] || null;
+  }
+
+  // Générer la ronde suivante, retourne les rencontres à jouer (les exemptions sont gagnées d'office)
+  nextRound() {
+    const number = this.rounds.length + 1;
+    const pairs = this.type === "swiss" ? this.swissPairs() : this.eliminationPairs();
+
+    const round = pairs.map(([player1, player2], index) => ({
+      id: `${number}-${index + 1}`,
+      round: number,
+      player1,
+      player2,
+      winner: player2 ? null : player1,
+      status: player2 ? "pending" : "bye",
+      seriesId: null,
+      score: null,
+    }));
+    this.rounds.push(round);
+
+    round
+      .filter((pairing) => pairing.status === "bye")
+      .forEach((pairing) => {
+        this.points[pairing.player1]++;
+      });
+
+    return round.filter((pairing) => pairing.status === "pending");
+  }
+
+  eliminationPairs() {
+    if (this.rounds.length === 0) {
+      // Tableau complété par des exemptions pour les meilleures têtes de série
+      const size = 2 ** Math.ceil(Math.log2(this.players.length));
+      const seeded = bracketOrder(size).map((seed) =>
+        seed <= this.players.length ? this.players[seed - 1].username : null
+      );
+      return pairUp(seeded);
+    }
+
+    // Les vainqueurs de deux rencontres voisines se retrouvent à la ronde suivante
+    return pairUp(this.currentRound.map((pairing) => pairing.winner));
+  }
+
+  swissPairs() {
+    const pool = this.standings().map((standing) => standing.username);
+
+    // Exemption pour le joueur le moins bien classé qui n'en a pas encore eu
+    let bye = null;
+    if (pool.length % 2 === 1) {
+      let index = pool.length - 1;
+      while (index > 0 && this.hadBye(pool[index])) index--;
+      bye = pool.splice(this.hadBye(pool[index]) ? pool.length - 1 : index, 1)[0];
+    }
+
+    // Associer les joueurs de même niveau en évitant les rencontres déjà jouées
+    const pairs = [];
+    while (pool.length > 0) {
+      const player = pool.shift();
+      const index = pool.findIndex((opponent) => !this.havePlayed(player, opponent));
+      pairs.push([player, pool.splice(index === -1 ? 0 : index, 1)[0]]);
+    }
+
+    if (bye) pairs.push([bye, null]);
+    return pairs;
+  }
+
+  havePlayed(player, opponent) {
+    return this.rounds.some((round) =>
+      round.some(
+        (pairing) =>
+          (pairing.player1 === player && pairing.player2 === opponent) ||
+          (pairing.player1 === opponent && pairing.player2 === player)
+      )
+    );
+  }
+
+  hadBye(username) {
+    return this.rounds.some((round) =>
+      round.some((pairing) => pairing.status === "bye" && pairing.player1 === username)
+    );
+  }
+
+  findPairing(pairingId) {
+    return (this.currentRound || []).find((pairing) => pairing.id === pairingId) || null;
+  }
+
+  // Associer une rencontre au match qui la dispute
+  startPairing(pairingId, seriesId) {
+    const pairing = this.findPairing(pairingId);
+    if (!pairing) return;
+    pairing.status = "playing";
+    pairing.seriesId = seriesId;
+  }
+
+  // Enregistrer le résultat d'une rencontre (winner = null si aucun des deux joueurs n'a joué)
+  // Retourne true si la ronde en cours est terminée
+  recordResult(pairingId, winner, score = null) {
+    const pairing = this.findPairing(pairingId);
+    if (!pairing || pairing.status === "done" || pairing.status === "bye") return false;
+
+    // En élimination directe, la meilleure tête de série passe si personne n'a joué
+    if (!winner && this.type === "single_elimination") {
+      winner = pairing.player1;
+    }
+
+    pairing.winner = winner;
+    pairing.status = "done";
+    pairing.score = score;
+    if (winner) this.points[winner]++;
+
+    return this.isRoundComplete();
+  }
+
+  isRoundComplete() {
+    return (this.currentRound || []).every(
+      (pairing) => pairing.status === "done" || pairing.status === "bye"
+    );
+  }
+
+  // Passer à la ronde suivante ou terminer le tournoi, retourne les rencontres à jouer
+  advance() {
+    const lastRound =
+      this.type === "swiss"
+        ? this.rounds.length >= this.totalRounds
+        : this.currentRound.length === 1;
+
+    if (lastRound) {
+      this.status = "finished";
+      this.winner =
+        this.type === "swiss" ? this.standings()[0].username : this.currentRound[0].winner;
+      return [];
+    }
+
+    return this.nextRound();
+  }
+
+  // Classement : victoires, puis somme des victoires des adversaires rencontrés (Buchholz), puis tête de série
+  standings() {
+    return this.players
+      .map((player, seed) => {
+        let buchholz = 0;
+        this.rounds.forEach((round) => {
+          round.forEach((pairing) => {
+            if (pairing.player1 === player.username && pairing.player2) {
+              buchholz += this.points[pairing.player2] || 0;
+            } else if (pairing.player2 === player.username) {
+              buchholz += this.points[pairing.player1] || 0;
+            }
+          });
+        });
+
+        return {
+          username: player.username,
+          rating: player.rating,
+          seed: seed + 1,
+          points: this.points[player.username] || 0,
+          buchholz,
+          eliminated: this.isEliminated(player.username),
+        };
+      })
+      .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || a.seed - b.seed);
+  }
+
+  // Résumé affiché dans la liste des tournois
+  summary() {
+    return {
+      id: this.id,
+      name: this.name,
+      host: this.host,
+      type: this.type,
+      typeLabel: TOURNAMENT_TYPES[this.type],
+      format: this.format.code,
+      formatLabel: this.format.label,
+      ruleSet: this.ruleSet.id,
+      status: this.status,
+      playerCount: this.players.length,
+      maxPlayers: this.maxPlayers,
+      winner: this.winner,
+    };
+  }
+
+  // État complet du tournoi (tableau, rondes et classement)
+  view() {
+    return {
+      ...this.summary(),
+      settings: this.settings,
+      players: this.players.map((player) => player.username),
+      currentRound: this.rounds.length,
+      totalRounds: this.totalRounds,
+      rounds: this.rounds,
+      standings: this.status === "registration" ? [] : this.standings(),
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+// Exporter les fonctionnalités
+module.exports = {
+  TOURNAMENT_TYPES,
+  parseTournamentOptions,
+  Tournament,
+};